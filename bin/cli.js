@@ -1,13 +1,22 @@
 #!/usr/bin/env node
 
-const { createServer } = require('../src/server/server.js');
-
 const args = process.argv.slice(2);
+const command = args[0] && !args[0].startsWith('-') ? args[0] : null;
 const port = parseInt(getArg(args, '--port', '-p') || '3456', 10);
 const summaryMode = args.includes('--summary') || args.includes('-s');
 const helpMode = args.includes('--help') || args.includes('-h');
 const exportFormat = getArg(args, '--export', '-e');
 const watchMode = args.includes('--watch') || args.includes('-w');
+const claudeDirs = getArgs(args, '--claude-dir');
+const plan = getArg(args, '--plan');
+
+if (claudeDirs.length > 0) {
+  require('../src/data/reader.js').setClaudeDirs(claudeDirs);
+}
+
+if (plan) {
+  require('../src/data/settings.js').setSettingsOverrides({ plan });
+}
 
 if (helpMode) {
   console.log(`
@@ -17,18 +26,66 @@ Usage:
   claude-burn-rate              Open browser dashboard
   claude-burn-rate --summary    Quick terminal summary
   claude-burn-rate --export csv Export data (json|csv|markdown)
+  claude-burn-rate check        Check spend against budgets; exits 1 when
+                                any budget is over
+  claude-burn-rate statusline   Print a one-line cost summary for Claude
+                                Code's statusLine hook (reads its JSON on stdin)
+  claude-burn-rate search <query>
+                                Find the sessions and turns whose prompts
+                                contain every word of the query
 
 Options:
   -p, --port <port>    Server port (default: 3456)
   -s, --summary        Terminal summary mode
   -e, --export <fmt>   Export format: json, csv, markdown
   -w, --watch          Watch mode with live updates
+  --claude-dir <dir>   Claude data directory, optionally "label=dir"
+                       (repeatable; default: CLAUDE_CONFIG_DIR or ~/.claude)
+  --plan <plan>        Your plan: api, pro, max5x, max20x, or a monthly
+                       price in USD (default: from config.json, else api)
   -h, --help           Show this help
+
+Search options:
+  --all                Also search Claude's replies and tool input
+  --from <date>        Only sessions started on or after YYYY-MM-DD
+  --to <date>          Only sessions started on or before YYYY-MM-DD
+  --project <path>     Only sessions in this project directory
+  --branch <name>      Only sessions on this git branch
+  --limit <n>          Show at most n matches (default: 50)
 `);
   process.exit(0);
 }
 
-if (summaryMode) {
+if (command === 'check') {
+  const { runBudgetCheck } = require('../src/terminal/check.js');
+  runBudgetCheck().then(code => { process.exitCode = code; }).catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+} else if (command === 'statusline') {
+  const { printStatusline } = require('../src/terminal/statusline.js');
+  printStatusline().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+} else if (command === 'search') {
+  const { printSearch } = require('../src/terminal/search.js');
+  const filters = {};
+  for (const key of ['from', 'to', 'project', 'branch']) {
+    const value = getArg(args, '--' + key);
+    if (value) filters[key] = value;
+  }
+  const options = { scope: args.includes('--all') ? 'all' : 'prompts' };
+  const limit = parseInt(getArg(args, '--limit'), 10);
+  if (limit > 0) options.limit = limit;
+  printSearch(positionalArgs(args.slice(1)).join(' '), filters, options).then(code => { process.exitCode = code; }).catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+} else if (command) {
+  console.error(`Unknown command: ${command}. Run claude-burn-rate --help for usage.`);
+  process.exit(1);
+} else if (summaryMode) {
   const { printSummary } = require('../src/terminal/summary.js');
   printSummary().catch(err => {
     console.error('Error:', err.message);
@@ -41,6 +98,7 @@ if (summaryMode) {
     process.exit(1);
   });
 } else {
+  const { createServer } = require('../src/server/server.js');
   createServer({ port, watch: watchMode }).catch(err => {
     console.error('Error:', err.message);
     process.exit(1);
@@ -58,3 +116,27 @@ function getArg(args, long, short) {
   }
   return null;
 }
+
+// Arguments that are neither options nor an option's value
+function positionalArgs(args) {
+  const takesValue = new Set(['--port', '-p', '--export', '-e', '--claude-dir', '--plan', '--from', '--to', '--project', '--branch', '--limit']);
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    if (takesValue.has(args[i])) i++;
+    else if (!args[i].startsWith('-')) values.push(args[i]);
+  }
+  return values;
+}
+
+// Every value of a repeatable option
+function getArgs(args, long) {
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === long && args[i + 1]) {
+      values.push(args[++i]);
+    } else if (args[i].startsWith(long + '=')) {
+      values.push(args[i].slice(long.length + 1));
+    }
+  }
+  return values;
+}
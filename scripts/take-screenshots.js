@@ -145,8 +145,8 @@ const DUMMY = {
   ],
 
   contributions: {
-    totalLinesWritten: 14823,
-    totalLinesEdited: 6247,
+    linesAdded: 14823,
+    linesRemoved: 6247,
     totalFilesTouched: 342,
     coAuthoredCommits: 89,
     topFiles: [
@@ -0,0 +1,253 @@
+const path = require('path');
+const { getSessions } = require('./sessions.js');
+const { calculateCost, getPricing, formatCost } = require('../cost/pricing.js');
+
+// Earlier active days a day is judged against
+const WINDOW = 28;
+// Fewer earlier days than this is no baseline at all
+const MIN_HISTORY = 7;
+// Fewer sessions than this is no baseline either
+const MIN_SESSIONS = 10;
+// Robust z-score (distance from the median in MADs) that counts as a spike
+const THRESHOLD = 3.5;
+// ...and it has to be at least this many times the usual spend
+const MIN_RATIO = 2;
+// Keeps near-identical histories from turning small rises into spikes
+const MIN_SPREAD = 0.1;
+
+const TOKEN_TYPES = { inputCost: 'input', outputCost: 'output', cacheReadCost: 'cache read', cacheWriteCost: 'cache write' };
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// How far x sits above the median, in standard deviations estimated from the
+// median absolute deviation (1.4826 × MAD for normally distributed data)
+function robustScore(x, values) {
+  const m = median(values);
+  const mad = median(values.map(v => Math.abs(v - m)));
+  const scale = Math.max(1.4826 * mad, MIN_SPREAD * Math.abs(m));
+  return { median: m, score: scale > 0 ? (x - m) / scale : 0 };
+}
+
+function add(map, key, cost) {
+  map[key] = (map[key] || 0) + cost;
+}
+
+// Cost of one session's tokens split by model, token type and day
+function breakDown(session) {
+  const byDate = {};
+  for (const [date, byModel] of Object.entries(session.tokensByDate || {})) {
+    if (!date) continue;
+    const day = byDate[date] = { cost: 0, models: {}, tokenTypes: {} };
+    for (const [model, tokens] of Object.entries(byModel)) {
+      const c = calculateCost(tokens, model, date);
+      day.cost += c.totalCost;
+      add(day.models, model, c.totalCost);
+      for (const [field, type] of Object.entries(TOKEN_TYPES)) add(day.tokenTypes, type, c[field]);
+    }
+  }
+  return byDate;
+}
+
+// What grew most against what is usual, in each dimension. usual maps a key
+// to its normal cost.
+function drivers(actual, usual) {
+  const keys = new Set([...Object.keys(actual), ...Object.keys(usual)]);
+  return [...keys]
+    .map(key => ({ key, cost: actual[key] || 0, usual: usual[key] || 0, excess: (actual[key] || 0) - (usual[key] || 0) }))
+    .filter(d => d.excess > 0)
+    .sort((a, b) => b.excess - a.excess)
+    .slice(0, 3);
+}
+
+function modelName(model) {
+  return getPricing(model).displayName || model;
+}
+
+function explain(cost, usual, top) {
+  const parts = [];
+  if (top.models[0]) parts.push(`${modelName(top.models[0].key)} (+${formatCost(top.models[0].excess)})`);
+  if (top.projects && top.projects[0]) parts.push(`project ${path.basename(top.projects[0].key)} (+${formatCost(top.projects[0].excess)})`);
+  if (top.tokenTypes[0]) parts.push(`${top.tokenTypes[0].key} tokens (+${formatCost(top.tokenTypes[0].excess)})`);
+  const ratio = usual > 0 ? ` (${(cost / usual).toFixed(1)}×)` : '';
+  return `${formatCost(cost)} against a usual ${formatCost(usual)}${ratio}.${parts.length ? ' Driven by ' + parts.join(', ') + '.' : ''}`;
+}
+
+// Each active day against the median of the active days before it
+function dailyAnomalies(days) {
+  const anomalies = [];
+  for (let i = MIN_HISTORY; i < days.length; i++) {
+    const day = days[i];
+    const history = days.slice(Math.max(0, i - WINDOW), i);
+    const { median: usual, score } = robustScore(day.cost, history.map(d => d.cost));
+    if (score < THRESHOLD || day.cost < usual * MIN_RATIO) continue;
+
+    // A usual day's spend per model, project and token type
+    const mean = field => {
+      const totals = {};
+      for (const d of history) for (const [key, cost] of Object.entries(d[field])) add(totals, key, cost / history.length);
+      return totals;
+    };
+    const top = {
+      models: drivers(day.models, mean('models')),
+      projects: drivers(day.projects, mean('projects')),
+      tokenTypes: drivers(day.tokenTypes, mean('tokenTypes'))
+    };
+    anomalies.push({
+      date: day.date,
+      cost: day.cost,
+      usual,
+      score: Math.round(score * 10) / 10,
+      ratio: usual > 0 ? Math.round((day.cost / usual) * 10) / 10 : null,
+      sessions: day.sessions.size,
+      drivers: top,
+      explanation: explain(day.cost, usual, top)
+    });
+  }
+  return anomalies.reverse();
+}
+
+// Session costs are heavy-tailed, so they are compared on a log scale
+function sessionAnomalies(sessions, breakdowns) {
+  const costed = sessions.filter(s => s.cost > 0);
+  if (costed.length < MIN_SESSIONS) return [];
+  const logs = costed.map(s => Math.log(s.cost));
+  const usual = median(costed.map(s => s.cost));
+
+  // The typical split of a session's cost, scaled to a usual session
+  const totals = { models: {}, tokenTypes: {} };
+  let all = 0;
+  for (const s of costed) {
+    for (const day of Object.values(breakdowns.get(s))) {
+      for (const [key, cost] of Object.entries(day.models)) add(totals.models, key, cost);
+      for (const [key, cost] of Object.entries(day.tokenTypes)) add(totals.tokenTypes, key, cost);
+      all += day.cost;
+    }
+  }
+  const typical = field => Object.fromEntries(Object.entries(totals[field]).map(([key, cost]) => [key, all > 0 ? (cost / all) * usual : 0]));
+
+  const anomalies = [];
+  for (const s of costed) {
+    const { score } = robustScore(Math.log(s.cost), logs);
+    if (score < THRESHOLD || s.cost < usual * MIN_RATIO) continue;
+
+    const actual = { models: {}, tokenTypes: {} };
+    for (const day of Object.values(breakdowns.get(s))) {
+      for (const [key, cost] of Object.entries(day.models)) add(actual.models, key, cost);
+      for (const [key, cost] of Object.entries(day.tokenTypes)) add(actual.tokenTypes, key, cost);
+    }
+    const top = {
+      models: drivers(actual.models, typical('models')),
+      tokenTypes: drivers(actual.tokenTypes, typical('tokenTypes'))
+    };
+    let explanation = explain(s.cost, usual, top);
+    if (s.subagentCost > s.cost / 2) explanation += ` Subagents account for ${formatCost(s.subagentCost)}.`;
+
+    anomalies.push({
+      sessionId: s.sessionId,
+      project: s.project,
+      gitBranch: s.gitBranch,
+      date: s.date,
+      summary: s.summary || s.firstPrompt || null,
+      cost: s.cost,
+      usual,
+      score: Math.round(score * 10) / 10,
+      ratio: Math.round((s.cost / usual) * 10) / 10,
+      subagentCost: s.subagentCost || 0,
+      drivers: top,
+      explanation
+    });
+  }
+  return anomalies.sort((a, b) => b.score - a.score).slice(0, 20);
+}
+
+// Days and sessions that cost far more than usual, and what drove them
+async function getCostAnomalies(filters) {
+  const sessions = await getSessions(filters);
+  const breakdowns = new Map(sessions.map(s => [s, breakDown(s)]));
+
+  const byDate = {};
+  for (const s of sessions) {
+    for (const [date, day] of Object.entries(breakdowns.get(s))) {
+      if (!byDate[date]) byDate[date] = { date, cost: 0, models: {}, projects: {}, tokenTypes: {}, sessions: new Set() };
+      const d = byDate[date];
+      d.cost += day.cost;
+      for (const [key, cost] of Object.entries(day.models)) add(d.models, key, cost);
+      for (const [key, cost] of Object.entries(day.tokenTypes)) add(d.tokenTypes, key, cost);
+      add(d.projects, s.project || '(unknown)', day.cost);
+      d.sessions.add(s.sessionId);
+    }
+  }
+  const days = Object.values(byDate).filter(d => d.cost > 0).sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    days: dailyAnomalies(days),
+    sessions: sessionAnomalies(sessions, breakdowns),
+    activeDays: days.length,
+    sessionCount: sessions.length,
+    helpText: `A day is flagged when it cost at least ${MIN_RATIO}× the median of the ${WINDOW} active days before it and sits ${THRESHOLD} or more robust standard deviations (from the median absolute deviation) above it; ${MIN_HISTORY} earlier active days are needed first. Sessions are compared the same way with every other session in view, on a log scale because a few long sessions always cost far more than most. Each finding lists the models, projects and token types whose spend grew most against a usual day or session.`
+  };
+}
+
+// Insight cards for /api/insights
+function anomalyInsights(anomalies) {
+  const insights = [];
+  const { days, sessions, helpText } = anomalies;
+
+  if (days.length > 0) {
+    const latest = days[0];
+    insights.push({
+      severity: 'warning',
+      title: days.length === 1
+        ? `Unusual spend on ${latest.date}: ${formatCost(latest.cost)}`
+        : `${days.length} days of unusual spend, latest ${latest.date} at ${formatCost(latest.cost)}`,
+      description: latest.explanation,
+      detail: days.slice(0, 10).map(d => `${d.date}: ${d.explanation}`).join('\n'),
+      helpText
+    });
+  }
+
+  if (sessions.length > 0) {
+    const top = sessions[0];
+    insights.push({
+      severity: 'warning',
+      title: sessions.length === 1
+        ? `A session cost ${formatCost(top.cost)}, far above your usual ${formatCost(top.usual)}`
+        : `${sessions.length} sessions cost far more than usual, up to ${formatCost(top.cost)}`,
+      description: `${top.date || ''} ${path.basename(top.project || '')}: ${top.explanation}`.trim(),
+      detail: sessions.slice(0, 10).map(s => `${s.date || ''} ${s.sessionId.slice(0, 8)} ${path.basename(s.project || '')}: ${s.explanation}`).join('\n'),
+      helpText
+    });
+  }
+
+  return insights;
+}
+
+// For watch mode: reports each day or session the first time it turns
+// anomalous. The first call only records what is already flagged.
+function createAnomalyMonitor() {
+  const seen = new Set();
+  let primed = false;
+
+  return async function checkAnomalies() {
+    const { days, sessions } = await getCostAnomalies();
+    const alerts = [];
+    for (const d of days) {
+      const key = 'day:' + d.date;
+      if (primed && !seen.has(key)) alerts.push({ kind: 'day', ...d });
+      seen.add(key);
+    }
+    for (const s of sessions) {
+      const key = 'session:' + s.sessionId;
+      if (primed && !seen.has(key)) alerts.push({ kind: 'session', ...s });
+      seen.add(key);
+    }
+    primed = true;
+    return alerts;
+  };
+}
+
+module.exports = { getCostAnomalies, anomalyInsights, createAnomalyMonitor, robustScore };
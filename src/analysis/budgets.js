@@ -0,0 +1,119 @@
+const { getSessions } = require('./sessions.js');
+const { calculateCost } = require('../cost/pricing.js');
+const { getSettings } = require('../data/settings.js');
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const WARNING_PERCENT = 80;
+
+// Budgets come from the `budgets` setting:
+//   { daily, weekly, monthly,
+//     projects: { "/path": { monthly, ... } },
+//     branches: { "main": { daily, ... } } }
+// A bare number for a project or branch is a monthly limit.
+function readBudgetLimits(config) {
+  const limits = [];
+  if (!config) return limits;
+
+  const addLimits = (scope, target, spec) => {
+    const periods = typeof spec === 'number' ? { monthly: spec } : (spec || {});
+    for (const period of PERIODS) {
+      const limit = Number(periods[period]);
+      if (limit > 0) limits.push({ scope, target, period, limit });
+    }
+  };
+
+  addLimits('total', null, config);
+  for (const [project, spec] of Object.entries(config.projects || {})) addLimits('project', project, spec);
+  for (const [branch, spec] of Object.entries(config.branches || {})) addLimits('branch', branch, spec);
+  return limits;
+}
+
+// First day (YYYY-MM-DD, UTC) of the period containing `now`. Weeks start on Monday.
+function periodStart(period, now = new Date()) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'weekly') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (period === 'monthly') d.setUTCDate(1);
+  return d.toISOString().split('T')[0];
+}
+
+function spendSince(sessions, from) {
+  let cost = 0;
+  for (const s of sessions) {
+    for (const [date, byModel] of Object.entries(s.tokensByDate || {})) {
+      if (date < from) continue;
+      for (const [model, tokens] of Object.entries(byModel)) {
+        cost += calculateCost(tokens, model, date).totalCost;
+      }
+    }
+  }
+  return cost;
+}
+
+function budgetStatus(percent) {
+  if (percent >= 100) return 'over';
+  if (percent >= WARNING_PERCENT) return 'warning';
+  return 'ok';
+}
+
+async function getBudgets(now = new Date()) {
+  const limits = readBudgetLimits(getSettings().budgets);
+  const sessions = limits.length > 0 ? await getSessions() : [];
+
+  const budgets = limits.map(b => {
+    const scoped = b.scope === 'project' ? sessions.filter(s => s.project === b.target)
+      : b.scope === 'branch' ? sessions.filter(s => s.gitBranch === b.target)
+      : sessions;
+    const start = periodStart(b.period, now);
+    // Sessions that started before the period can still spend inside it
+    const spent = spendSince(scoped, start);
+    const percent = Math.round((spent / b.limit) * 1000) / 10;
+    return {
+      ...b,
+      periodStart: start,
+      spent,
+      remaining: Math.max(b.limit - spent, 0),
+      percent,
+      status: budgetStatus(percent)
+    };
+  });
+
+  return {
+    configured: budgets.length > 0,
+    budgets,
+    over: budgets.filter(b => b.status === 'over').length,
+    warning: budgets.filter(b => b.status === 'warning').length,
+    warningPercent: WARNING_PERCENT,
+    helpText: `Spend so far in the current day, week (from Monday) and month (UTC) against the limits in your config file's "budgets" setting, overall and per project or git branch. Budgets turn to warning at ${WARNING_PERCENT}% and over at 100%; \`claude-burn-rate check\` exits non-zero when any budget is over.`
+  };
+}
+
+function budgetKey(b) {
+  return [b.scope, b.target, b.period, b.periodStart].join('::');
+}
+
+// Remembers which thresholds each budget has already crossed this period, so
+// a watcher can alert once per crossing. The first check only records state.
+function createBudgetMonitor() {
+  const crossed = new Map();
+  let primed = false;
+
+  return async function checkBudgetThresholds() {
+    const { budgets } = await getBudgets();
+    const alerts = [];
+    for (const b of budgets) {
+      const key = budgetKey(b);
+      const threshold = b.percent >= 100 ? 100 : b.percent >= WARNING_PERCENT ? WARNING_PERCENT : 0;
+      if (primed && threshold > (crossed.get(key) || 0)) alerts.push({ ...b, threshold });
+      crossed.set(key, Math.max(threshold, crossed.get(key) || 0));
+    }
+    primed = true;
+    return alerts;
+  };
+}
+
+function describeBudget(b) {
+  const scope = b.scope === 'total' ? 'Total' : `${b.scope === 'project' ? 'Project' : 'Branch'} ${b.target}`;
+  return `${scope} ${b.period}`;
+}
+
+module.exports = { getBudgets, createBudgetMonitor, readBudgetLimits, periodStart, describeBudget, WARNING_PERCENT };
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { getSessions } = require('./sessions.js');
+
+// A commit this long after a session's last message still counts as its work
+const GRACE_MS = 30 * 60 * 1000;
+// Merges looked into for their branch's commits, newest first
+const MAX_MERGES = 200;
+const GIT_TIMEOUT = 10000;
+
+const CLAUDE_COAUTHOR = /co-authored-by:.*claude/i;
+
+const execFileAsync = promisify(execFile);
+
+// Runs in request handlers, so never synchronously
+async function git(cwd, args) {
+  const { stdout } = await execFileAsync('git', args, { cwd, encoding: 'utf-8', timeout: GIT_TIMEOUT, maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
+
+async function repoRoot(projectPath) {
+  if (!projectPath || !fs.existsSync(projectPath)) return null;
+  try {
+    return (await git(projectPath, ['rev-parse', '--show-toplevel'])).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// Commits on any ref with a Co-Authored-By: Claude trailer, or 0 if git fails
+async function countCoAuthoredCommits(root) {
+  try {
+    const out = await git(root, ['log', '--all', '--format=%x1e%B']);
+    return out.split('\x1e').slice(1).filter(body => CLAUDE_COAUTHOR.test(body)).length;
+  } catch {
+    return 0;
+  }
+}
+
+function refName(ref) {
+  return (ref || '').replace(/^refs\/(heads|remotes\/[^/]+|tags)\//, '') || null;
+}
+
+// Non-merge commits on any ref since the given date, with their changed files
+async function readCommits(root, since) {
+  const out = await git(root, ['log', '--all', '--source', '--no-merges', '--numstat', '--no-renames', `--since=${since}`,
+    '--format=%x1e%H%x1f%at%x1f%an%x1f%ae%x1f%S%x1f%s%x1f%b%x1f']);
+  const commits = [];
+  for (const record of out.split('\x1e').slice(1)) {
+    const [hash, time, author, email, source, subject, body, numstat] = record.split('\x1f');
+    const files = [];
+    for (const line of (numstat || '').split('\n')) {
+      const [added, deleted, file] = line.split('\t');
+      if (!file) continue;
+      // Binary files show "-"
+      files.push({ file, added: parseInt(added, 10) || 0, deleted: parseInt(deleted, 10) || 0 });
+    }
+    commits.push({
+      hash,
+      timestamp: parseInt(time, 10) * 1000,
+      author,
+      email,
+      subject,
+      branch: refName(source),
+      coAuthored: CLAUDE_COAUTHOR.test(body || ''),
+      files
+    });
+  }
+  return commits;
+}
+
+// "Merge branch 'x'", "Merge pull request #1 from user/x", or the subject as is
+function mergedBranchName(subject) {
+  const m = subject.match(/^Merge (?:remote-tracking )?branch '([^']+)'/) || subject.match(/^Merge pull request #\d+ from [^/\s]+\/(\S+)/);
+  return m ? m[1] : subject;
+}
+
+// Merges into the current branch since the given date, with the commits each
+// brought in
+async function readMerges(root, since) {
+  let out;
+  try {
+    out = await git(root, ['log', '--merges', '--first-parent', 'HEAD', `--since=${since}`, '--format=%H%x1f%P%x1f%at%x1f%s']);
+  } catch {
+    return [];
+  }
+  const merges = [];
+  for (const line of out.split('\n').filter(Boolean).slice(0, MAX_MERGES)) {
+    const [hash, parents, time, subject] = line.split('\x1f');
+    const [first, second] = parents.split(' ');
+    if (!second) continue;
+    let hashes = [];
+    try {
+      hashes = (await git(root, ['rev-list', '--no-merges', `${first}..${second}`])).split('\n').filter(Boolean);
+    } catch {
+      // Shallow clone or missing objects
+    }
+    merges.push({ hash, timestamp: parseInt(time, 10) * 1000, branch: mergedBranchName(subject), hashes });
+  }
+  return merges;
+}
+
+async function userEmail(root) {
+  try {
+    return (await git(root, ['config', 'user.email'])).trim().toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+function commitLines(commit) {
+  return commit.files.reduce((sum, f) => sum + f.added + f.deleted, 0);
+}
+
+// Session cost attributed to the git commits made during or right after each
+// session, per commit, changed file and merged branch
+async function getCommitCosts(filters) {
+  const sessions = await getSessions(filters);
+
+  // Sessions grouped by the repository they ran in
+  const repos = new Map();
+  const rootOf = new Map();
+  let outsideGit = 0;
+  for (const s of sessions) {
+    if (!s.createdAt) continue;
+    if (!rootOf.has(s.project)) rootOf.set(s.project, await repoRoot(s.project));
+    const root = rootOf.get(s.project);
+    if (!root) {
+      outsideGit++;
+      continue;
+    }
+    if (!repos.has(root)) repos.set(root, []);
+    repos.get(root).push(s);
+  }
+
+  const commits = [];
+  const files = new Map();
+  const branches = [];
+  const committed = new Set();
+
+  for (const [root, repoSessions] of repos) {
+    const starts = repoSessions.map(s => Date.parse(s.createdAt));
+    const since = new Date(Math.min(...starts) - 86400000).toISOString();
+    let repoCommits;
+    try {
+      repoCommits = await readCommits(root, since);
+    } catch {
+      continue;
+    }
+
+    // Only your commits, or ones Claude co-authored
+    const email = await userEmail(root);
+    repoCommits = repoCommits.filter(c => !email || c.email.toLowerCase() === email || c.coAuthored);
+    for (const c of repoCommits) {
+      c.project = root;
+      c.cost = 0;
+      c.sessions = [];
+    }
+
+    // Each session's cost is split over its commits by lines changed
+    for (const s of repoSessions) {
+      const start = Date.parse(s.createdAt);
+      const end = start + (s.duration || 0) + GRACE_MS;
+      const matched = repoCommits.filter(c => c.timestamp >= start && c.timestamp <= end);
+      if (matched.length === 0) continue;
+      committed.add(s.sessionId);
+      const weights = matched.map(c => Math.max(commitLines(c), 1));
+      const total = weights.reduce((sum, w) => sum + w, 0);
+      matched.forEach((c, i) => {
+        c.cost += (s.cost || 0) * weights[i] / total;
+        c.sessions.push(s.sessionId);
+      });
+    }
+
+    const attributed = repoCommits.filter(c => c.sessions.length > 0);
+    commits.push(...attributed);
+
+    for (const c of attributed) {
+      const lines = commitLines(c);
+      for (const f of c.files) {
+        const key = root + '\0' + f.file;
+        if (!files.has(key)) files.set(key, { file: f.file, project: root, commits: 0, added: 0, deleted: 0, cost: 0 });
+        const entry = files.get(key);
+        entry.commits++;
+        entry.added += f.added;
+        entry.deleted += f.deleted;
+        // Shared the same way as the commit's cost
+        entry.cost += lines > 0 ? c.cost * (f.added + f.deleted) / lines : c.cost / c.files.length;
+      }
+    }
+
+    // Only worth walking the merges when some commit has a session
+    const byHash = new Map(attributed.map(c => [c.hash, c]));
+    const merges = byHash.size > 0 ? await readMerges(root, since) : [];
+    for (const merge of merges) {
+      const mine = merge.hashes.map(h => byHash.get(h)).filter(Boolean);
+      if (mine.length === 0) continue;
+      for (const c of mine) c.branch = merge.branch;
+      branches.push({
+        branch: merge.branch,
+        project: root,
+        mergeHash: merge.hash,
+        mergedAt: new Date(merge.timestamp).toISOString(),
+        commits: mine.length,
+        sessions: new Set(mine.flatMap(c => c.sessions)).size,
+        cost: mine.reduce((sum, c) => sum + c.cost, 0)
+      });
+    }
+  }
+
+  const inRepos = [...repos.values()].flat();
+  const without = inRepos.filter(s => !committed.has(s.sessionId));
+  const attributedCost = commits.reduce((sum, c) => sum + c.cost, 0);
+  const withoutCost = without.reduce((sum, s) => sum + (s.cost || 0), 0);
+
+  return {
+    repos: repos.size,
+    totals: {
+      commits: commits.length,
+      attributedCost,
+      costPerCommit: commits.length > 0 ? attributedCost / commits.length : 0,
+      sessions: inRepos.length,
+      sessionsWithCommits: committed.size,
+      sessionsWithoutCommits: without.length,
+      costWithoutCommits: withoutCost,
+      sessionsOutsideGit: outsideGit
+    },
+    commits: commits
+      .sort((a, b) => b.cost - a.cost)
+      .slice(0, 100)
+      .map(c => ({
+        hash: c.hash,
+        shortHash: c.hash.slice(0, 7),
+        project: c.project,
+        date: new Date(c.timestamp).toISOString(),
+        author: c.author,
+        subject: c.subject,
+        branch: c.branch,
+        coAuthored: c.coAuthored,
+        files: c.files.length,
+        added: c.files.reduce((sum, f) => sum + f.added, 0),
+        deleted: c.files.reduce((sum, f) => sum + f.deleted, 0),
+        cost: c.cost,
+        sessions: c.sessions
+      })),
+    files: [...files.values()].sort((a, b) => b.cost - a.cost).slice(0, 100),
+    branches: branches.sort((a, b) => b.cost - a.cost),
+    sessionsWithoutCommits: without
+      .sort((a, b) => (b.cost || 0) - (a.cost || 0))
+      .slice(0, 100)
+      .map(s => ({ sessionId: s.sessionId, project: s.project, gitBranch: s.gitBranch, date: s.date, cost: s.cost || 0, summary: s.summary || s.firstPrompt || null })),
+    helpText: `Commits come from git log in each project's repository, counting only those by your configured git user.email or co-authored by Claude. A commit made while a session ran, or up to ${GRACE_MS / 60000} minutes after its last message, is credited with a share of that session's cost, split across the session's commits by lines changed; a file's cost is its share of each commit's. Merged branches are the merge commits on your current branch, with the commits each brought in. Squash merges show up as single commits. Sessions without a commit may be exploration, review or questions, or work you haven't committed yet.`
+  };
+}
+
+module.exports = { getCommitCosts, mergedBranchName, repoRoot, countCoAuthoredCommits };
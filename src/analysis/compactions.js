@@ -0,0 +1,96 @@
+const { getSessions } = require('./sessions.js');
+const { getSessionCorpus } = require('../data/session-corpus.js');
+const { calculateCost } = require('../cost/pricing.js');
+
+// Requests on each side of an event that its before/after averages cover
+const WINDOW = 5;
+
+function requestCost(msg) {
+  return calculateCost(msg.usage, msg.model, msg.timestamp).totalCost;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+// Main-conversation requests with usage; subagents keep their own context
+function priced(messages) {
+  return messages.filter(m => !m.sidechain && m.usage && m.model);
+}
+
+// Cost and context size per request just before and just after each
+// compaction or /clear in a session
+function sessionEvents(session) {
+  const rows = [];
+
+  session.events.forEach((event, i) => {
+    const start = i > 0 ? session.events[i - 1].messageIndex : 0;
+    const next = session.events[i + 1];
+    const before = priced(session.assistantMessages.slice(start, event.messageIndex)).slice(-WINDOW);
+    const following = priced(session.assistantMessages.slice(event.messageIndex, next ? next.messageIndex : undefined));
+    const after = following.slice(0, WINDOW);
+    const compared = before.length > 0 && after.length > 0;
+    const costBefore = average(before.map(requestCost));
+    const costAfter = average(after.map(requestCost));
+
+    rows.push({
+      sessionId: session.sessionId,
+      project: session.projectPath,
+      date: event.timestamp ? event.timestamp.split('T')[0] : null,
+      timestamp: event.timestamp,
+      type: event.type,
+      trigger: event.trigger,
+      preTokens: event.preTokens,
+      requestsAfter: following.length,
+      compared,
+      costBefore,
+      costAfter,
+      contextBefore: Math.round(average(before.map(m => m.usage.contextTokens))),
+      contextAfter: Math.round(average(after.map(m => m.usage.contextTokens))),
+      // What the requests until the next event saved at the lower per-request cost
+      saved: compared ? (costBefore - costAfter) * following.length : 0
+    });
+  });
+
+  return rows;
+}
+
+function summarize(rows) {
+  const compared = rows.filter(r => r.compared);
+  return {
+    count: rows.length,
+    compared: compared.length,
+    avgCostBefore: average(compared.map(r => r.costBefore)),
+    avgCostAfter: average(compared.map(r => r.costAfter)),
+    avgContextBefore: Math.round(average(compared.map(r => r.contextBefore))),
+    avgContextAfter: Math.round(average(compared.map(r => r.contextAfter))),
+    saved: compared.reduce((sum, r) => sum + r.saved, 0)
+  };
+}
+
+// Compactions (automatic or /compact) and /clear commands logged in the
+// transcripts, and whether requests got cheaper afterwards
+async function getCompactions(filters) {
+  const [sessions, corpus] = await Promise.all([getSessions(filters), getSessionCorpus()]);
+  const included = new Set(sessions.map(s => s.sessionId));
+  const rows = [];
+  const sessionIds = new Set();
+
+  for (const { session } of corpus) {
+    if (!included.has(session.sessionId) || !session.events || session.events.length === 0) continue;
+    sessionIds.add(session.sessionId);
+    rows.push(...sessionEvents(session));
+  }
+
+  return {
+    sessions: sessionIds.size,
+    window: WINDOW,
+    auto: summarize(rows.filter(r => r.type === 'compact' && r.trigger === 'auto')),
+    manual: summarize(rows.filter(r => r.type === 'compact' && r.trigger === 'manual')),
+    clear: summarize(rows.filter(r => r.type === 'clear')),
+    events: rows.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || '')).slice(0, 50),
+    helpText: `Compactions and /clear commands as logged in your transcripts. Claude Code compacts automatically when the context fills up; /compact does it on request. Each event compares the average cost of the ${WINDOW} requests before it with the ${WINDOW} after it. Saved is that difference applied to every request until the next event — a rough measure of whether compacting paid off. Compaction itself is not free: the summary is written by a request of its own, and re-reading files afterwards can win the context back quickly.`
+  };
+}
+
+module.exports = { getCompactions };
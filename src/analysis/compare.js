@@ -0,0 +1,110 @@
+// Period-over-period comparison: the same analysis run for the filtered
+// period and for a second date range (compareFrom/compareTo), with the
+// differences between them.
+
+// The filters of each period, or null when no second range was given. The
+// current period's are an object even when empty: null would send /api/overview
+// down its stats-cache path, priced differently from the previous period's
+// sessions.
+function splitComparison(filters) {
+  if (!filters || (!filters.compareFrom && !filters.compareTo)) return null;
+  const { compareFrom, compareTo, ...rest } = filters;
+  const previous = { ...rest };
+  delete previous.from;
+  delete previous.to;
+  if (compareFrom) previous.from = compareFrom;
+  if (compareTo) previous.to = compareTo;
+  return { current: rest, previous };
+}
+
+function change(current, previous) {
+  const diff = current - previous;
+  return {
+    current,
+    previous,
+    change: diff,
+    // No percentage against nothing
+    percent: previous ? Math.round((diff / previous) * 1000) / 10 : null
+  };
+}
+
+// Match the rows of both periods by key and compare the given numeric fields.
+// identity picks the fields that name a row (project, branch, ...).
+function compareRows(currentRows, previousRows, keyOf, fields, identity) {
+  const rows = new Map();
+  for (const [period, list] of [['current', currentRows], ['previous', previousRows]]) {
+    for (const row of list || []) {
+      const key = keyOf(row);
+      if (!rows.has(key)) rows.set(key, { identity: identity(row), current: null, previous: null });
+      rows.get(key)[period] = row;
+    }
+  }
+
+  return [...rows.values()]
+    .map(({ identity: id, current, previous }) => {
+      const result = { ...id };
+      for (const field of fields) result[field] = change((current && current[field]) || 0, (previous && previous[field]) || 0);
+      return result;
+    })
+    .sort((a, b) => b[fields[0]].current - a[fields[0]].current || b[fields[0]].previous - a[fields[0]].previous);
+}
+
+function compareOverview(current, previous) {
+  return {
+    totalCost: change(current.totalCost || 0, previous.totalCost || 0),
+    totalSessions: change(current.totalSessions || 0, previous.totalSessions || 0),
+    totalMessages: change(current.totalMessages || 0, previous.totalMessages || 0),
+    activeDays: change(current.activeDays || 0, previous.activeDays || 0),
+    avgCostPerDay: change(current.avgCostPerDay || 0, previous.avgCostPerDay || 0),
+    models: compareRows(current.modelBreakdown, previous.modelBreakdown, m => m.modelId, ['totalCost'], m => ({ modelId: m.modelId, displayName: m.displayName }))
+  };
+}
+
+function compareProjects(current, previous) {
+  return {
+    projects: compareRows(current, previous, p => p.project, ['cost', 'sessions', 'messages'], p => ({ project: p.project }))
+  };
+}
+
+function compareToolUsage(current, previous) {
+  return {
+    totalToolCalls: change(current.totalToolCalls, previous.totalToolCalls),
+    sessionCount: change(current.sessionCount, previous.sessionCount),
+    avgToolsPerSession: change(current.avgToolsPerSession, previous.avgToolsPerSession),
+    tools: compareRows(current.topTools, previous.topTools, t => t.name, ['count'], t => ({ name: t.name }))
+  };
+}
+
+function compareBranchCosts(current, previous) {
+  return {
+    branches: compareRows(current.branches, previous.branches, b => `${b.project}::${b.branch}`, ['cost', 'sessions'], b => ({ project: b.project, branch: b.branch }))
+  };
+}
+
+// Run an analysis for one period, or for both with their differences when
+// the filters carry a second range
+async function withComparison(filters, run, diff) {
+  const periods = splitComparison(filters);
+  if (!periods) return run(filters);
+  const [current, previous] = await Promise.all([run(periods.current), run(periods.previous)]);
+  return {
+    periods: {
+      current: { from: periods.current.from || null, to: periods.current.to || null },
+      previous: { from: periods.previous.from || null, to: periods.previous.to || null }
+    },
+    current,
+    previous,
+    deltas: diff(current, previous)
+  };
+}
+
+module.exports = {
+  splitComparison,
+  change,
+  compareRows,
+  compareOverview,
+  compareProjects,
+  compareToolUsage,
+  compareBranchCosts,
+  withComparison
+};
@@ -1,71 +1,276 @@
-const { listProjectDirs, listSessionFiles } = require('../data/reader.js');
-const { parseSessionFile, extractWriteEditCalls } = require('../data/session-parser.js');
-const { execSync } = require('child_process');
-
-async function getContributions() {
-  const projectDirs = await listProjectDirs();
-  let totalLinesWritten = 0;
-  let totalLinesEdited = 0;
-  const fileCounts = {};
-  let coAuthoredCommits = 0;
+const path = require('path');
+const { extractFileOperations } = require('../data/session-parser.js');
+const { getSessionCorpus } = require('../data/session-corpus.js');
+const { diffLines, splitLines } = require('../data/line-diff.js');
+const { filterCorpus } = require('./tool-usage.js');
+const { repoRoot, countCoAuthoredCommits } = require('./commits.js');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const LANGUAGES = {
+  '.js': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript', '.jsx': 'JavaScript',
+  '.ts': 'TypeScript', '.tsx': 'TypeScript', '.mts': 'TypeScript', '.cts': 'TypeScript',
+  '.py': 'Python', '.rb': 'Ruby', '.go': 'Go', '.rs': 'Rust', '.java': 'Java', '.kt': 'Kotlin',
+  '.swift': 'Swift', '.c': 'C', '.h': 'C', '.cc': 'C++', '.cpp': 'C++', '.hpp': 'C++', '.cs': 'C#',
+  '.php': 'PHP', '.scala': 'Scala', '.ex': 'Elixir', '.exs': 'Elixir', '.dart': 'Dart', '.lua': 'Lua',
+  '.sh': 'Shell', '.bash': 'Shell', '.zsh': 'Shell', '.sql': 'SQL',
+  '.html': 'HTML', '.css': 'CSS', '.scss': 'CSS', '.vue': 'Vue', '.svelte': 'Svelte',
+  '.json': 'JSON', '.yml': 'YAML', '.yaml': 'YAML', '.toml': 'TOML', '.xml': 'XML',
+  '.md': 'Markdown', '.mdx': 'Markdown', '.txt': 'Text'
+};
+
+function languageOf(file) {
+  const base = path.basename(file);
+  if (base === 'Dockerfile') return 'Dockerfile';
+  if (base === 'Makefile') return 'Makefile';
+  return LANGUAGES[path.extname(base).toLowerCase()] || 'Other';
+}
+
+// Lines worth looking for at HEAD: blank lines and lone braces match anywhere
+function meaningful(line) {
+  return /[A-Za-z0-9]/.test(line);
+}
+
+// The whole lines an edit touches, before and after it
+function editRegion(content, at, edit) {
+  const start = content.lastIndexOf('\n', at - 1) + 1;
+  const newline = content.indexOf('\n', at + edit.oldString.length);
+  const end = newline === -1 ? content.length : newline;
+  const before = content.slice(start, end);
+  const after = before.slice(0, at - start) + edit.newString + before.slice(at - start + edit.oldString.length);
+  return { before: splitLines(before), after: splitLines(after) };
+}
+
+// Apply one edit to what's known of the file and diff the lines it changed.
+// Without the file's content only the edit's own strings can be compared.
+function applyEdit(file, edit) {
+  const content = file.content;
+  const at = content === null || !edit.oldString ? -1 : content.indexOf(edit.oldString);
+  if (at === -1) {
+    // Changed outside Claude since it was last seen, or never seen
+    file.content = null;
+    return diffLines(splitLines(edit.oldString), splitLines(edit.newString));
+  }
+  if (edit.replaceAll) {
+    file.content = content.split(edit.oldString).join(edit.newString);
+    return diffLines(splitLines(content), splitLines(file.content));
+  }
+  const region = editRegion(content, at, edit);
+  file.content = content.slice(0, at) + edit.newString + content.slice(at + edit.oldString.length);
+  return diffLines(region.before, region.after);
+}
 
-  for (const dir of projectDirs) {
-    const sessionFiles = await listSessionFiles(dir.path);
-
-    for (const file of sessionFiles) {
-      try {
-        const session = await parseSessionFile(file);
-        const { writes, edits } = extractWriteEditCalls(session);
-
-        for (const w of writes) {
-          if (w.content) {
-            const lines = w.content.split('\n').length;
-            totalLinesWritten += lines;
-          }
-          if (w.filePath) {
-            fileCounts[w.filePath] = (fileCounts[w.filePath] || 0) + 1;
-          }
-        }
-
-        for (const e of edits) {
-          if (e.newString) {
-            const newLines = e.newString.split('\n').length;
-            const oldLines = (e.oldString || '').split('\n').length;
-            totalLinesEdited += Math.abs(newLines - oldLines) + Math.min(newLines, oldLines);
-          }
-          if (e.filePath) {
-            fileCounts[e.filePath] = (fileCounts[e.filePath] || 0) + 1;
-          }
-        }
-      } catch {
-        // Skip unreadable sessions
+// Replay every Write, Edit and MultiEdit in order, file by file, tracking
+// each file's content as Claude left it, or as the transcript recorded it
+// before a session's first change to it
+function replay(corpus) {
+  const operations = [];
+  for (const { session } of corpus) {
+    for (const op of extractFileOperations(session)) {
+      if (op.filePath && !op.failed) operations.push({ ...op, session });
+    }
+  }
+  // Stable, so calls logged at the same moment keep their order
+  operations.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+
+  const files = new Map();
+  const sessions = new Map();
+  for (const op of operations) {
+    if (!files.has(op.filePath)) {
+      files.set(op.filePath, {
+        file: op.filePath,
+        project: op.session.projectPath || null,
+        language: languageOf(op.filePath),
+        content: null,
+        added: 0,
+        removed: 0,
+        changes: 0,
+        addedLines: new Map()
+      });
+    }
+    const file = files.get(op.filePath);
+    const sid = op.session.sessionId;
+    if (!sessions.has(sid)) {
+      const first = op.session.firstTimestamp;
+      sessions.set(sid, { sessionId: sid, project: op.session.projectPath || null, date: first ? new Date(first).toISOString().split('T')[0] : null, added: 0, removed: 0, files: new Set() });
+    }
+    const stats = sessions.get(sid);
+
+    // What the transcript says the file held beats what is known from
+    // earlier calls: it may have changed outside Claude in between
+    if (op.priorContent !== undefined) file.content = op.priorContent;
+
+    const diffs = [];
+    if (op.kind === 'write') {
+      if (file.content === null && op.patch) diffs.push(op.patch);
+      else diffs.push(diffLines(file.content === null ? [] : splitLines(file.content), splitLines(op.content)));
+      file.content = op.content;
+    } else {
+      for (const edit of op.edits) diffs.push(applyEdit(file, edit));
+    }
+
+    file.changes++;
+    stats.files.add(op.filePath);
+    for (const { added, removed } of diffs) {
+      file.added += added.length;
+      file.removed += removed.length;
+      stats.added += added.length;
+      stats.removed += removed.length;
+      for (const line of added) {
+        const key = line.trim();
+        if (meaningful(key)) file.addedLines.set(key, (file.addedLines.get(key) || 0) + 1);
       }
     }
+  }
+
+  return { files: [...files.values()], sessions: [...sessions.values()] };
+}
 
-    // Try git log for co-authored commits
+// Contents of files at HEAD, by path relative to the repository root. Files
+// missing at HEAD map to null.
+async function readAtHead(root, relPaths) {
+  const contents = new Map();
+  if (relPaths.length === 0) return contents;
+  const running = execFileAsync('git', ['cat-file', '--batch'], {
+    cwd: root,
+    encoding: 'buffer',
+    maxBuffer: 256 * 1024 * 1024,
+    timeout: 10000
+  });
+  // If git exits before reading it all, the rejection below reports why
+  running.child.stdin.on('error', () => {});
+  running.child.stdin.end(relPaths.map(p => `HEAD:${p}`).join('\n') + '\n');
+  const out = (await running).stdout;
+
+  let pos = 0;
+  for (const rel of relPaths) {
+    const eol = out.indexOf(10, pos);
+    if (eol === -1) break;
+    const header = out.slice(pos, eol).toString();
+    pos = eol + 1;
+    const m = header.match(/^\S+ (\S+) (\d+)$/);
+    if (!m) {
+      contents.set(rel, null);
+      continue;
+    }
+    const size = parseInt(m[2], 10);
+    contents.set(rel, m[1] === 'blob' ? out.slice(pos, pos + size).toString() : null);
+    pos += size + 1;
+  }
+  return contents;
+}
+
+// How many of the meaningful lines Claude added are still in each file at
+// HEAD, matched by content after trimming. rootOf maps a project path to its
+// repository root.
+async function survivalAtHead(files, rootOf) {
+  const byRoot = new Map();
+  for (const f of files) {
+    if (f.addedLines.size === 0) continue;
+    const root = await rootOf(f.project);
+    if (!root || !f.file.startsWith(root + path.sep)) continue;
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(f);
+  }
+
+  const projects = [];
+  for (const [root, rootFiles] of byRoot) {
+    let head;
     try {
-      const projectPath = dir.projectPath;
-      const result = execSync(
-        'git log --all --format="%B" 2>/dev/null | grep -c "Co-Authored-By.*Claude\\|Co-Authored-By.*claude\\|Co-authored-by.*Claude\\|Co-authored-by.*claude"',
-        { cwd: projectPath, encoding: 'utf-8', timeout: 5000 }
-      ).trim();
-      coAuthoredCommits += parseInt(result, 10) || 0;
+      head = await readAtHead(root, rootFiles.map(f => path.relative(root, f.file).split(path.sep).join('/')));
     } catch {
-      // Not a git repo or no matches
+      continue;
+    }
+
+    let written = 0;
+    let surviving = 0;
+    for (const f of rootFiles) {
+      const counts = new Map();
+      for (const line of splitLines(head.get(path.relative(root, f.file).split(path.sep).join('/')) || '')) {
+        const key = line.trim();
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+      f.written = 0;
+      f.surviving = 0;
+      for (const [line, n] of f.addedLines) {
+        f.written += n;
+        f.surviving += Math.min(n, counts.get(line) || 0);
+      }
+      written += f.written;
+      surviving += f.surviving;
     }
+    projects.push({ project: root, files: rootFiles.length, linesAdded: written, surviving, percent: written > 0 ? Math.round((surviving / written) * 1000) / 10 : 0 });
+  }
+
+  const written = projects.reduce((sum, p) => sum + p.linesAdded, 0);
+  const surviving = projects.reduce((sum, p) => sum + p.surviving, 0);
+  return {
+    linesAdded: written,
+    surviving,
+    percent: written > 0 ? Math.round((surviving / written) * 1000) / 10 : 0,
+    projects: projects.sort((a, b) => b.linesAdded - a.linesAdded)
+  };
+}
+
+async function getContributions(filters) {
+  const corpus = filterCorpus(await getSessionCorpus(), filters);
+  const { files, sessions } = replay(corpus);
+
+  const roots = new Map();
+  const rootOf = async projectPath => {
+    if (!roots.has(projectPath)) roots.set(projectPath, await repoRoot(projectPath));
+    return roots.get(projectPath);
+  };
+
+  // Each repository the sessions ran in, by their recorded working directory
+  const repoRoots = new Set();
+  for (const { session } of corpus) {
+    const root = await rootOf(session.projectPath);
+    if (root) repoRoots.add(root);
+  }
+  let coAuthoredCommits = 0;
+  for (const root of repoRoots) coAuthoredCommits += await countCoAuthoredCommits(root);
+
+  const survival = await survivalAtHead(files, rootOf);
+
+  const languages = {};
+  for (const f of files) {
+    if (!languages[f.language]) languages[f.language] = { language: f.language, files: 0, added: 0, removed: 0 };
+    languages[f.language].files++;
+    languages[f.language].added += f.added;
+    languages[f.language].removed += f.removed;
   }
 
   // Build top files list
-  const topFiles = Object.entries(fileCounts)
-    .map(([file, changes]) => ({ file, changes }))
+  const topFiles = files
+    .map(f => ({
+      file: f.file,
+      project: f.project,
+      language: f.language,
+      changes: f.changes,
+      added: f.added,
+      removed: f.removed,
+      surviving: f.written !== undefined ? f.surviving : null,
+      written: f.written !== undefined ? f.written : null
+    }))
     .sort((a, b) => b.changes - a.changes);
 
   return {
-    totalLinesWritten,
-    totalLinesEdited,
-    totalFilesTouched: Object.keys(fileCounts).length,
+    // Lines added and removed, from diffing each file before and after
+    linesAdded: files.reduce((sum, f) => sum + f.added, 0),
+    linesRemoved: files.reduce((sum, f) => sum + f.removed, 0),
+    totalFilesTouched: files.length,
     coAuthoredCommits,
-    topFiles
+    topFiles,
+    sessions: sessions
+      .map(s => ({ ...s, files: s.files.size }))
+      .sort((a, b) => (b.added + b.removed) - (a.added + a.removed))
+      .slice(0, 50),
+    languages: Object.values(languages).sort((a, b) => (b.added + b.removed) - (a.added + a.removed)),
+    survival,
+    helpText: 'Every Write, Edit and MultiEdit Claude made is replayed in order, file by file, and each is diffed line by line against the file as Claude last left it, so rewriting a file only counts the lines that changed. Calls that failed or that you rejected are skipped. Before a session first changes a file, its content is taken from what Claude Code logged with the Write or Edit (the original file, or the patch it applied), so a Write over an existing file only counts what it changed. Transcripts from older Claude Code versions do not log this: there an Edit to a file Claude had not seen is only known from the edit itself, and a Write to one counts every line as added. Still at HEAD compares the meaningful lines Claude added (not blank lines or lone brackets) with each file in the last commit of its git repository; uncommitted work is not at HEAD yet.'
   };
 }
 
@@ -0,0 +1,26 @@
+const { getSessions } = require('./sessions.js');
+const { calculateCost } = require('../cost/pricing.js');
+
+// API-equivalent cost per UTC day from transcript usage, with each day's
+// tokens priced at the rate in force that day
+async function getDailyCosts(filters) {
+  const sessions = await getSessions(filters);
+  const byDate = {};
+
+  for (const s of sessions) {
+    for (const [date, byModel] of Object.entries(s.tokensByDate || {})) {
+      if (!date) continue;
+      if (!byDate[date]) byDate[date] = { date, cost: 0, sessions: new Set() };
+      for (const [model, tokens] of Object.entries(byModel)) {
+        byDate[date].cost += calculateCost(tokens, model, date).totalCost;
+      }
+      byDate[date].sessions.add(s.sessionId);
+    }
+  }
+
+  return Object.values(byDate)
+    .map(d => ({ date: d.date, cost: d.cost, sessions: d.sessions.size }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = { getDailyCosts };
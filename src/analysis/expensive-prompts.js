@@ -1,12 +1,16 @@
-const { listProjectDirs, listSessionFiles } = require('../data/reader.js');
-const { parseSessionFile, pairMessages } = require('../data/session-parser.js');
-const { calculateCost, getPricing } = require('../cost/pricing.js');
+const { groupPrompts } = require('../data/session-parser.js');
+const { getSessionCorpus } = require('../data/session-corpus.js');
+const { calculateCost, getPricing, formatCost } = require('../cost/pricing.js');
 
 let cachedExpensive = null;
+let cachedCorpus = null;
 
 async function getExpensivePrompts(filters) {
-  if (!cachedExpensive) {
-    cachedExpensive = await buildExpensivePrompts();
+  const corpus = await getSessionCorpus();
+  // Rebuild whenever the shared corpus has been rebuilt
+  if (!cachedExpensive || cachedCorpus !== corpus) {
+    cachedExpensive = buildExpensivePrompts(corpus);
+    cachedCorpus = corpus;
   }
 
   let results = cachedExpensive;
@@ -15,102 +19,105 @@ async function getExpensivePrompts(filters) {
     if (filters.from) results = results.filter(p => p.date >= filters.from);
     if (filters.to) results = results.filter(p => p.date <= filters.to);
     if (filters.project) results = results.filter(p => p.project === filters.project);
+    if (filters.root) results = results.filter(p => p.root === filters.root);
   }
 
   return results;
 }
 
-async function buildExpensivePrompts() {
-  const projectDirs = await listProjectDirs();
+function buildExpensivePrompts(corpus) {
   const allPrompts = [];
 
-  for (const dir of projectDirs) {
-    const sessionFiles = await listSessionFiles(dir.path);
-
-    for (const file of sessionFiles) {
-      try {
-        const session = await parseSessionFile(file);
-        const pairs = pairMessages(session);
-
-        for (const pair of pairs) {
-          // Sum all assistant response costs for this turn
-          let totalCost = 0;
-          let totalTokens = 0;
-          let totalInputTokens = 0;
-          let totalOutputTokens = 0;
-          let totalCacheRead = 0;
-          let totalCacheWrite = 0;
-          let model = null;
-          const toolsUsed = [];
-
-          for (const resp of pair.responses) {
-            if (!resp.usage || !resp.model) continue;
-            model = resp.model;
-            const cost = calculateCost(resp.usage, resp.model);
-            totalCost += cost.totalCost;
-            totalInputTokens += resp.usage.inputTokens;
-            totalOutputTokens += resp.usage.outputTokens;
-            totalCacheRead += resp.usage.cacheReadInputTokens;
-            totalCacheWrite += resp.usage.cacheCreationInputTokens;
-            totalTokens += resp.usage.inputTokens + resp.usage.outputTokens +
-              resp.usage.cacheReadInputTokens + resp.usage.cacheCreationInputTokens;
-
-            for (const tc of resp.toolCalls) {
-              if (!toolsUsed.includes(tc.name)) toolsUsed.push(tc.name);
-            }
-          }
-
-          if (totalCost <= 0) continue;
-
-          // Determine why it was expensive
-          const reasons = [];
-          if (totalCacheWrite > 50000) {
-            reasons.push(`Large cache creation (${fmtTokens(totalCacheWrite)} tokens) — first message in session or context changed`);
-          }
-          if (totalCacheRead > 200000) {
-            reasons.push(`Large context window (${fmtTokens(totalCacheRead)} cached tokens read)`);
-          }
-          if (totalOutputTokens > 5000) {
-            reasons.push(`Long response (${fmtTokens(totalOutputTokens)} output tokens at ${model && model.includes('opus') ? '$75' : '$15'}/M)`);
-          }
-          if (model && model.includes('opus') && totalOutputTokens < 200 && totalCacheWrite > 10000) {
-            reasons.push('Opus used for a short response with heavy cache creation — Sonnet would be cheaper');
-          }
-          if (pair.turnIndex > 15) {
-            reasons.push(`Late in conversation (turn ${pair.turnIndex + 1}) — accumulated context increases cost`);
-          }
-          if (reasons.length === 0) {
-            if (model && model.includes('opus')) {
-              reasons.push('Opus model with standard token usage');
-            } else {
-              reasons.push('Standard token usage');
-            }
-          }
-
-          const date = pair.prompt.timestamp ? pair.prompt.timestamp.split('T')[0] : null;
-
-          allPrompts.push({
-            prompt: truncate(pair.prompt.promptText || '(no text)', 200),
-            fullPrompt: pair.prompt.promptText || '(no text)',
-            date,
-            timestamp: pair.prompt.timestamp,
-            sessionId: session.sessionId,
-            project: session.projectPath,
-            model,
-            cost: totalCost,
-            totalTokens,
-            inputTokens: totalInputTokens,
-            outputTokens: totalOutputTokens,
-            cacheReadTokens: totalCacheRead,
-            cacheWriteTokens: totalCacheWrite,
-            turnIndex: pair.turnIndex,
-            toolsUsed,
-            reasons
-          });
+  for (const { dir, session } of corpus) {
+    const delegated = subagentCostByTurn(session);
+
+    for (const turn of groupPrompts(session)) {
+      // Sum all assistant response costs for this turn
+      let totalCost = 0;
+      let totalTokens = 0;
+      let totalInputTokens = 0;
+      let totalOutputTokens = 0;
+      let totalCacheRead = 0;
+      let totalCacheWrite = 0;
+      let model = null;
+      const toolsUsed = [];
+
+      for (const resp of turn.responses) {
+        if (!resp.usage || !resp.model) continue;
+        model = resp.model;
+        const cost = calculateCost(resp.usage, resp.model, resp.timestamp);
+        totalCost += cost.totalCost;
+        totalInputTokens += resp.usage.inputTokens;
+        totalOutputTokens += resp.usage.outputTokens;
+        totalCacheRead += resp.usage.cacheReadInputTokens;
+        totalCacheWrite += resp.usage.cacheCreationInputTokens;
+        totalTokens += resp.usage.inputTokens + resp.usage.outputTokens +
+          resp.usage.cacheReadInputTokens + resp.usage.cacheCreationInputTokens;
+
+        for (const tc of resp.toolCalls) {
+          if (!toolsUsed.includes(tc.name)) toolsUsed.push(tc.name);
         }
-      } catch {
-        // Skip unreadable sessions
       }
+
+      // What the subagents this turn started cost
+      const subagents = delegated.get(turn.turnIndex) || [];
+      const subagentCost = subagents.reduce((sum, run) => sum + run.cost, 0);
+      totalCost += subagentCost;
+
+      if (totalCost <= 0) continue;
+
+      // Determine why it was expensive
+      const reasons = [];
+      if (totalCacheWrite > 50000) {
+        reasons.push(`Large cache creation (${fmtTokens(totalCacheWrite)} tokens) — first message in session or context changed`);
+      }
+      if (totalCacheRead > 200000) {
+        reasons.push(`Large context window (${fmtTokens(totalCacheRead)} cached tokens read)`);
+      }
+      if (totalOutputTokens > 5000) {
+        reasons.push(`Long response (${fmtTokens(totalOutputTokens)} output tokens at ${model && model.includes('opus') ? '$75' : '$15'}/M)`);
+      }
+      if (model && model.includes('opus') && totalOutputTokens < 200 && totalCacheWrite > 10000) {
+        reasons.push('Opus used for a short response with heavy cache creation — Sonnet would be cheaper');
+      }
+      if (subagentCost > 0 && subagentCost >= totalCost / 2) {
+        const types = [...new Set(subagents.map(run => run.subagentType))].join(', ');
+        reasons.push(`Delegated to ${subagents.length} subagent${subagents.length === 1 ? '' : 's'} (${types}) costing ${formatCost(subagentCost)}`);
+      }
+      if (turn.turnIndex > 15) {
+        reasons.push(`Late in conversation (turn ${turn.turnIndex + 1}) — accumulated context increases cost`);
+      }
+      if (reasons.length === 0) {
+        if (model && model.includes('opus')) {
+          reasons.push('Opus model with standard token usage');
+        } else {
+          reasons.push('Standard token usage');
+        }
+      }
+
+      const date = turn.prompt.timestamp ? turn.prompt.timestamp.split('T')[0] : null;
+
+      allPrompts.push({
+        prompt: truncate(turn.prompt.promptText || '(no text)', 200),
+        fullPrompt: turn.prompt.promptText || '(no text)',
+        date,
+        timestamp: turn.prompt.timestamp,
+        sessionId: session.sessionId,
+        project: session.projectPath,
+        root: dir.root,
+        model,
+        cost: totalCost,
+        subagentCost,
+        subagents: subagents.map(run => ({ subagentType: run.subagentType, description: run.description, cost: run.cost })),
+        totalTokens,
+        inputTokens: totalInputTokens,
+        outputTokens: totalOutputTokens,
+        cacheReadTokens: totalCacheRead,
+        cacheWriteTokens: totalCacheWrite,
+        turnIndex: turn.turnIndex,
+        toolsUsed,
+        reasons
+      });
     }
   }
 
@@ -119,6 +126,21 @@ async function buildExpensivePrompts() {
   return allPrompts.slice(0, 50);
 }
 
+// turnIndex -> [{ subagentType, description, cost }] for the session's subagent runs
+function subagentCostByTurn(session) {
+  const byTurn = new Map();
+  for (const run of session.subagents || []) {
+    if (run.turnIndex === null) continue;
+    let cost = 0;
+    for (const msg of run.assistantMessages) {
+      if (msg.usage && msg.model) cost += calculateCost(msg.usage, msg.model, msg.timestamp).totalCost;
+    }
+    if (!byTurn.has(run.turnIndex)) byTurn.set(run.turnIndex, []);
+    byTurn.get(run.turnIndex).push({ subagentType: run.subagentType, description: run.description, cost });
+  }
+  return byTurn;
+}
+
 function truncate(s, n) {
   return s.length > n ? s.slice(0, n) + '...' : s;
 }
@@ -129,4 +151,4 @@ function fmtTokens(n) {
   return n.toString();
 }
 
-module.exports = { getExpensivePrompts };
+module.exports = { getExpensivePrompts, subagentCostByTurn };
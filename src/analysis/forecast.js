@@ -0,0 +1,222 @@
+const { getDailyCosts } = require('./daily-costs.js');
+const { formatCost } = require('../cost/pricing.js');
+
+// Recent days whose mean sets the level: four whole weeks, so every weekday
+// counts equally
+const LEVEL_DAYS = 28;
+// Weeks the weekday pattern is learned from
+const SEASON_WEEKS = 8;
+// Fewer calendar days than this can't show a weekly pattern
+const MIN_DAYS = 14;
+// Past days the forecast is replayed on to measure its accuracy
+const BACKTEST_DAYS = 28;
+// Two-sided normal quantiles for the 80% and 95% intervals
+const Z80 = 1.2816;
+const Z95 = 1.96;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function addDays(date, n) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split('T')[0];
+}
+
+function weekday(date) {
+  return new Date(date + 'T00:00:00Z').getUTCDay();
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+// Every calendar day from the first active day up to (not including) today,
+// with no-spend days as zero
+function fillDays(daily, today) {
+  const byDate = new Map(daily.map(d => [d.date, d.cost]));
+  const first = daily.length > 0 ? daily[0].date : null;
+  const series = [];
+  if (!first) return series;
+  for (let date = first; date < today; date = addDays(date, 1)) {
+    series.push({ date, cost: byDate.get(date) || 0 });
+  }
+  return series;
+}
+
+// Level times a factor per weekday. A weekday you never work on gets a
+// factor of zero. Both are taken over whole weeks so no weekday is counted
+// more often than another.
+function fit(history) {
+  const weeks = Math.floor(history.length / 7);
+  const recent = history.slice(-Math.min(LEVEL_DAYS, Math.max(weeks, 1) * 7));
+  const level = mean(recent.map(d => d.cost));
+  const factors = Array(7).fill(1);
+
+  if (history.length >= MIN_DAYS) {
+    const season = history.slice(-Math.min(SEASON_WEEKS, weeks) * 7);
+    const overall = mean(season.map(d => d.cost));
+    if (overall > 0) {
+      for (let w = 0; w < 7; w++) {
+        const days = season.filter(d => weekday(d.date) === w);
+        if (days.length > 0) factors[w] = mean(days.map(d => d.cost)) / overall;
+      }
+    }
+  }
+  return { level, factors };
+}
+
+function predict(model, date) {
+  return model.level * model.factors[weekday(date)];
+}
+
+// What the previous version of the forecast did: 2:1 weighting of the last
+// 7 and 30 days, the same every day. Kept as the back-test's yardstick.
+function flatPredict(history) {
+  return (mean(history.slice(-7).map(d => d.cost)) * 2 + mean(history.slice(-30).map(d => d.cost))) / 3;
+}
+
+// Day-ahead forecast errors, each made only from the days before it
+function oneStepErrors(series) {
+  const errors = [];
+  for (let i = MIN_DAYS; i < series.length; i++) {
+    const history = series.slice(0, i);
+    const forecast = predict(fit(history), series[i].date);
+    errors.push({ index: i, date: series[i].date, actual: series[i].cost, forecast, error: series[i].cost - forecast, baseline: flatPredict(history) });
+  }
+  return errors;
+}
+
+// Spread of the errors per weekday (root mean square), falling back to all
+// days for weekdays with too few errors to go on
+function errorSpread(errors) {
+  const rms = list => Math.sqrt(mean(list.map(e => e.error * e.error)));
+  const all = rms(errors);
+  return WEEKDAYS.map((_, w) => {
+    const mine = errors.filter(e => weekday(e.date) === w);
+    return mine.length >= 2 ? rms(mine) : all;
+  });
+}
+
+function interval(cost, sigma, floor = 0) {
+  return {
+    cost: Math.max(cost, floor),
+    low80: Math.max(cost - Z80 * sigma, floor),
+    high80: Math.max(cost + Z80 * sigma, floor),
+    low95: Math.max(cost - Z95 * sigma, floor),
+    high95: Math.max(cost + Z95 * sigma, floor)
+  };
+}
+
+// Replay the last BACKTEST_DAYS: how far off the day-ahead forecast was, and
+// how often the actual cost landed inside its intervals
+function backtest(errors) {
+  const tested = errors.slice(-BACKTEST_DAYS);
+  let in80 = 0;
+  let in95 = 0;
+  let counted = 0;
+  for (const e of tested) {
+    const earlier = errors.filter(x => x.index < e.index && x.index >= e.index - BACKTEST_DAYS);
+    if (earlier.length < 7) continue;
+    const sigma = errorSpread(earlier)[weekday(e.date)];
+    const band = interval(e.forecast, sigma);
+    counted++;
+    if (e.actual >= band.low80 && e.actual <= band.high80) in80++;
+    if (e.actual >= band.low95 && e.actual <= band.high95) in95++;
+  }
+
+  const active = tested.filter(e => e.actual > 0);
+  return {
+    days: tested.length,
+    mae: mean(tested.map(e => Math.abs(e.error))),
+    // Percentage errors only mean something on days with spend
+    mape: active.length > 0 ? Math.round(mean(active.map(e => Math.abs(e.error) / e.actual)) * 1000) / 10 : null,
+    baselineMae: mean(tested.map(e => Math.abs(e.actual - e.baseline))),
+    coverage80: counted > 0 ? Math.round((in80 / counted) * 1000) / 10 : null,
+    coverage95: counted > 0 ? Math.round((in95 / counted) * 1000) / 10 : null
+  };
+}
+
+// Forecast daily cost from today to the end of the month. daily is
+// [{date, cost}] sorted by date; today is a UTC date string.
+function forecastSeries(daily, today) {
+  const series = fillDays(daily, today);
+  const monthEnd = addDays(today.slice(0, 8) + '01', 32).slice(0, 8) + '01';
+  const lastDay = addDays(monthEnd, -1);
+  const todaySoFar = (daily.find(d => d.date === today) || {}).cost || 0;
+  const monthToDate = series.filter(d => d.date.startsWith(today.slice(0, 7))).reduce((sum, d) => sum + d.cost, 0) + todaySoFar;
+
+  if (series.length < MIN_DAYS) {
+    return { insufficient: true, days: series.length, minDays: MIN_DAYS, today, history: series, forecast: [] };
+  }
+
+  const model = fit(series);
+  const errors = oneStepErrors(series);
+  const sigmas = errorSpread(errors.slice(-BACKTEST_DAYS));
+
+  const forecast = [];
+  let variance = 0;
+  for (let date = today, h = 0; date <= lastDay; date = addDays(date, 1), h++) {
+    // Uncertainty in the level adds to the day's own noise further out
+    const sigma = sigmas[weekday(date)] * Math.sqrt(1 + h / LEVEL_DAYS);
+    // Today's spend so far is a floor for today
+    forecast.push({ date, ...interval(predict(model, date), sigma, date === today ? todaySoFar : 0) });
+    variance += sigma * sigma;
+  }
+
+  // Adds up the days as if their errors were independent, which makes the
+  // month's interval somewhat narrower than it should be
+  const remaining = forecast.reduce((sum, d) => sum + d.cost, 0) - todaySoFar;
+  const sigma = Math.sqrt(variance);
+  const projected = monthToDate + remaining;
+
+  return {
+    insufficient: false,
+    today,
+    history: series,
+    forecast,
+    month: {
+      month: today.slice(0, 7),
+      spentSoFar: monthToDate,
+      projected,
+      low80: Math.max(projected - Z80 * sigma, monthToDate),
+      high80: projected + Z80 * sigma,
+      low95: Math.max(projected - Z95 * sigma, monthToDate),
+      high95: projected + Z95 * sigma,
+      daysLeft: forecast.length
+    },
+    level: model.level,
+    weekdayFactors: Object.fromEntries(WEEKDAYS.map((name, w) => [name, Math.round(model.factors[w] * 100) / 100])),
+    backtest: backtest(errors)
+  };
+}
+
+// Spend forecast to the end of the current month, from transcript costs
+async function getForecast(filters, options = {}) {
+  const today = options.today || new Date().toISOString().split('T')[0];
+  const daily = (await getDailyCosts(filters)).filter(d => d.date <= today);
+  return {
+    ...forecastSeries(daily, today),
+    helpText: `Each day is forecast as your average daily spend over the last ${LEVEL_DAYS} days times a factor for its weekday, learned from the last ${SEASON_WEEKS} weeks, so days you don't work are forecast at zero. The shaded band is the 80% prediction interval, sized from how far the day-ahead forecast missed on each weekday over the last ${BACKTEST_DAYS} days and widening further out. The back-test replays those days, forecasting each from only the days before it; coverage is how often the actual spend landed inside the band and should sit near 80%. The yardstick is a flat 2:1 blend of the 7- and 30-day averages.`
+  };
+}
+
+// Insight card for /api/insights: the chart's month-end projection, and
+// whether the last week ran above the week before it
+function forecastInsights(forecast) {
+  if (forecast.insufficient) return [];
+  const { month, history } = forecast;
+  const last7 = mean(history.slice(-7).map(d => d.cost));
+  const prev7 = mean(history.slice(-14, -7).map(d => d.cost));
+  const change = prev7 > 0 ? (last7 - prev7) / prev7 : 0;
+  const trend = change > 0.1 ? 'trending up' : change < -0.1 ? 'trending down' : 'stable';
+
+  return [{
+    severity: change > 0.1 ? 'warning' : 'info',
+    title: `Projected spend for ${month.month}: ${formatCost(month.projected)}`,
+    description: `${formatCost(month.spentSoFar)} spent so far with ${month.daysLeft} day${month.daysLeft !== 1 ? 's' : ''} to go, most likely ending between ${formatCost(month.low80)} and ${formatCost(month.high80)}. Your daily spend is ${trend}.`,
+    detail: `Spent so far: ${formatCost(month.spentSoFar)}\nProjected: ${formatCost(month.projected)}\n80% interval: ${formatCost(month.low80)} – ${formatCost(month.high80)}\n95% interval: ${formatCost(month.low95)} – ${formatCost(month.high95)}\nDaily avg (last 7 days): ${formatCost(last7)}\nDaily avg (7 days before): ${formatCost(prev7)}\nTrend: ${trend}`,
+    helpText: 'This is the month-end projection shown under the daily activity chart, where its method and back-test are explained. The interval is the range the month total lands in 80% of the time. Spend is trending up when the last 7 days averaged more than 10% above the 7 days before. To bring it down: use Sonnet (claude --model sonnet) for simple tasks, use /compact in long conversations, and start new sessions when switching topics rather than continuing an expensive one.'
+  }];
+}
+
+module.exports = { getForecast, forecastSeries, forecastInsights };
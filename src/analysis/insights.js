@@ -18,7 +18,6 @@ function generateInsights(overview, sessions, config) {
   costPerMessage(insights, overview, sessions);
   shortVsLongSessions(insights, sessions);
   weekendWarrior(insights, overview);
-  costForecast(insights, overview);
   sessionDurationDistribution(insights, sessions);
 
   return insights;
@@ -500,51 +499,6 @@ function weekendWarrior(insights, overview) {
   }
 }
 
-// Cost forecast based on recent daily spend
-function costForecast(insights, overview) {
-  const dc = overview.dailyCosts;
-  if (!dc || dc.length < 3) return;
-
-  // Last 7 days
-  const last7 = dc.slice(-7);
-  const avg7 = last7.reduce((s, d) => s + d.cost, 0) / last7.length;
-
-  // Last 30 days (or all available)
-  const last30 = dc.slice(-30);
-  const avg30 = last30.reduce((s, d) => s + d.cost, 0) / last30.length;
-
-  // Weighted daily average: emphasize recent week
-  const dailyAvg = (avg7 * 2 + avg30) / 3;
-  const weeklyEstimate = dailyAvg * 7;
-  const monthlyEstimate = dailyAvg * 30;
-
-  // Trend: compare last 7-day avg vs previous 7-day avg
-  let trend = 'stable';
-  if (dc.length >= 14) {
-    const prev7 = dc.slice(-14, -7);
-    const avgPrev7 = prev7.reduce((s, d) => s + d.cost, 0) / prev7.length;
-    if (avgPrev7 > 0) {
-      const change = (avg7 - avgPrev7) / avgPrev7;
-      if (change > 0.1) trend = 'increasing';
-      else if (change < -0.1) trend = 'decreasing';
-    }
-  }
-
-  // Confidence based on data days
-  const confidence = dc.length >= 14 ? 'high' : dc.length >= 7 ? 'medium' : 'low';
-  const severity = trend === 'increasing' ? 'warning' : 'info';
-
-  const trendLabel = trend === 'increasing' ? 'trending up' : trend === 'decreasing' ? 'trending down' : 'stable';
-
-  insights.push({
-    severity,
-    title: `Projected spend: ${formatCost(weeklyEstimate)}/week, ${formatCost(monthlyEstimate)}/month`,
-    description: `Based on your recent daily average of ${formatCost(dailyAvg)}/day. Your spend is ${trendLabel}. Confidence: ${confidence} (${dc.length} days of data).`,
-    detail: `Daily avg (last 7 days): ${formatCost(avg7)}\nDaily avg (last 30 days): ${formatCost(avg30)}\nWeighted daily avg: ${formatCost(dailyAvg)}\nWeekly estimate: ${formatCost(weeklyEstimate)}\nMonthly estimate: ${formatCost(monthlyEstimate)}\nTrend: ${trendLabel}\nConfidence: ${confidence}`,
-    helpText: 'This projects your future spend based on recent usage velocity. The weekly estimate uses your last 7 days of daily costs. The monthly estimate uses a weighted average emphasizing the most recent week. To reduce projected costs: use Sonnet (claude --model sonnet) for simple tasks, keep sessions longer to improve cache reuse, use /compact in long conversations, and start new sessions when switching topics rather than continuing an expensive one.'
-  });
-}
-
 // Session duration distribution analysis
 function sessionDurationDistribution(insights, sessions) {
   if (!sessions || sessions.length < 5) return;
@@ -0,0 +1,74 @@
+const { getSessions } = require('./sessions.js');
+const { calculateCost, getPricing, LONG_CONTEXT_THRESHOLD } = require('../cost/pricing.js');
+
+// Spend from requests whose prompt exceeded the long-context threshold, and
+// how much of it is the premium over standard rates
+async function getLongContextUsage(filters) {
+  const sessions = await getSessions(filters);
+  const modelMap = {};
+  const sessionRows = [];
+  let totalCost = 0;
+
+  for (const s of sessions) {
+    totalCost += s.cost || 0;
+    let sessionRequests = 0;
+
+    for (const [date, byModel] of Object.entries(s.tokensByDate || {})) {
+      for (const [model, tokens] of Object.entries(byModel)) {
+        const long = tokens.longContext;
+        if (!long) continue;
+
+        const { requests, ...usage } = long;
+        const cost = calculateCost(tokens, model, date).longContextCost;
+        const standardCost = calculateCost(usage, model, date).totalCost;
+
+        if (!modelMap[model]) {
+          const pricing = getPricing(model);
+          modelMap[model] = {
+            modelId: model,
+            displayName: pricing.displayName,
+            hasLongContextRates: !!pricing.longContext,
+            requests: 0,
+            tokens: 0,
+            cost: 0,
+            premium: 0
+          };
+        }
+        const m = modelMap[model];
+        m.requests += requests;
+        m.tokens += usage.inputTokens + usage.outputTokens + usage.cacheReadInputTokens + usage.cacheCreationInputTokens;
+        m.cost += cost;
+        m.premium += cost - standardCost;
+        sessionRequests += requests;
+      }
+    }
+
+    if (s.longContextCost > 0 || sessionRequests > 0) {
+      sessionRows.push({
+        sessionId: s.sessionId,
+        date: s.date,
+        project: s.project,
+        requests: sessionRequests,
+        longContextCost: s.longContextCost,
+        cost: s.cost
+      });
+    }
+  }
+
+  const models = Object.values(modelMap).sort((a, b) => b.cost - a.cost);
+  const longContextCost = models.reduce((sum, m) => sum + m.cost, 0);
+
+  return {
+    threshold: LONG_CONTEXT_THRESHOLD,
+    totalCost,
+    longContextCost,
+    premium: models.reduce((sum, m) => sum + m.premium, 0),
+    longContextPercent: totalCost > 0 ? Math.round((longContextCost / totalCost) * 1000) / 10 : 0,
+    requests: models.reduce((sum, m) => sum + m.requests, 0),
+    models,
+    topSessions: sessionRows.sort((a, b) => b.longContextCost - a.longContextCost).slice(0, 10),
+    helpText: `Requests whose prompt (input + cache read + cache write tokens) exceeded ${LONG_CONTEXT_THRESHOLD.toLocaleString('en-US')} tokens. Models with a 1M-context mode bill the whole request at a higher rate past that point; the premium is what those requests cost above standard rates. Long conversations grow past the threshold on their own — compacting or starting a fresh session brings requests back under it.`
+  };
+}
+
+module.exports = { getLongContextUsage };
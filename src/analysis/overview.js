@@ -1,6 +1,9 @@
 const { parseStatsCache, getDateRange } = require('../data/stats-parser.js');
 const { calculateTotalCost, calculateCost, getPricing } = require('../cost/pricing.js');
 
+const STATS_HELP = 'All-time totals come from Claude Code\'s stats-cache.json, which records tokens per model and day but not per request. Its tokens are priced at standard rates: requests over 200K prompt tokens are not charged the long-context rate, and 1-hour cache writes are priced as 5-minute ones, so this total can be lower than the Long-Context Requests panel and the pricing breakdown suggest. Sessions newer than the cache are priced request by request from their transcripts. Pick a date range or project to price every request that way.';
+const SESSIONS_HELP = 'Totals are priced request by request from the session transcripts, including the long-context rate for requests over 200K prompt tokens and 1-hour cache writes.';
+
 // Unfiltered: fast path from stats-cache.json (supplemented with recent sessions if stale)
 // Filtered: recompute everything from session data
 function buildOverview(stats, filters, sessions) {
@@ -29,7 +32,7 @@ function buildOverview(stats, filters, sessions) {
 function buildFromStats(stats) {
   const parsed = parseStatsCache(stats);
   const dateRange = getDateRange(parsed);
-  const costResult = calculateTotalCost(parsed.modelUsage);
+  const costResult = calculateTotalCost(parsed.modelUsage, parsed.dailyModelTokens);
   const dailyCosts = buildDailyCosts(parsed.dailyModelTokens);
   const dailyTokens = buildDailyTokens(parsed.dailyModelTokens);
   const modelBreakdown = buildModelBreakdown(parsed.modelUsage, costResult.byModel);
@@ -56,7 +59,8 @@ function buildFromStats(stats) {
     tokenComposition,
     hourCounts: parsed.hourCounts,
     longestSession: parsed.longestSession,
-    firstSessionDate: parsed.firstSessionDate
+    firstSessionDate: parsed.firstSessionDate,
+    helpText: STATS_HELP
   };
 }
 
@@ -72,13 +76,7 @@ function supplementWithRecentSessions(base, stats, recentSessions) {
     extraMessages += s.messages || 0;
 
     for (const [model, tokens] of Object.entries(s.tokensByModel || {})) {
-      if (!recentModelUsage[model]) {
-        recentModelUsage[model] = { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 };
-      }
-      recentModelUsage[model].inputTokens += tokens.inputTokens || 0;
-      recentModelUsage[model].outputTokens += tokens.outputTokens || 0;
-      recentModelUsage[model].cacheReadInputTokens += tokens.cacheReadInputTokens || 0;
-      recentModelUsage[model].cacheCreationInputTokens += tokens.cacheCreationInputTokens || 0;
+      addModelUsage(recentModelUsage, model, tokens);
     }
 
     if (s.date) {
@@ -95,20 +93,33 @@ function supplementWithRecentSessions(base, stats, recentSessions) {
   }
 
   // Calculate cost for recent sessions
-  const recentCost = calculateTotalCost(recentModelUsage);
+  const recentDaily = Object.values(dailyMap).sort((a, b) => a.date.localeCompare(b.date));
+  const recentDailyModelTokens = recentDaily.map(d => ({ date: d.date, tokensByModel: d.tokensByModel }));
+  const recentCost = calculateTotalCost(recentModelUsage, recentDailyModelTokens);
 
   // Merge totals
   base.totalCost += recentCost.totalCost;
   base.totalMessages += extraMessages;
   base.totalSessions += recentSessions.length;
 
-  // Merge daily activity and charts
-  const recentDaily = Object.values(dailyMap).sort((a, b) => a.date.localeCompare(b.date));
-  base.dailyActivity = [...base.dailyActivity, ...recentDaily];
-
-  const recentDailyModelTokens = recentDaily.map(d => ({ date: d.date, tokensByModel: d.tokensByModel }));
-  base.dailyCosts = [...base.dailyCosts, ...buildDailyCosts(recentDailyModelTokens)];
-  base.dailyTokens = [...base.dailyTokens, ...buildDailyTokens(recentDailyModelTokens)];
+  // Merge daily activity and charts. With several data roots a recent day
+  // may already be counted in another root's stats cache.
+  base.dailyActivity = mergeByDate(base.dailyActivity, recentDaily, (a, b) => ({
+    ...a,
+    messageCount: (a.messageCount || 0) + b.messageCount,
+    sessionCount: (a.sessionCount || 0) + b.sessionCount,
+    toolCallCount: (a.toolCallCount || 0) + b.toolCallCount
+  }));
+
+  const mergedDailyModelTokens = mergeByDate(parsed.dailyModelTokens, recentDailyModelTokens, (a, b) => {
+    const tokensByModel = { ...a.tokensByModel };
+    for (const [model, tokens] of Object.entries(b.tokensByModel)) {
+      tokensByModel[model] = (tokensByModel[model] || 0) + tokens;
+    }
+    return { date: a.date, tokensByModel };
+  });
+  base.dailyCosts = buildDailyCosts(mergedDailyModelTokens);
+  base.dailyTokens = buildDailyTokens(mergedDailyModelTokens);
 
   // Merge model breakdown
   for (const [model, tokens] of Object.entries(recentModelUsage)) {
@@ -120,40 +131,22 @@ function supplementWithRecentSessions(base, stats, recentSessions) {
       existing.outputTokens += tokens.outputTokens || 0;
       existing.cacheReadInputTokens += tokens.cacheReadInputTokens || 0;
       existing.cacheCreationInputTokens += tokens.cacheCreationInputTokens || 0;
+      existing.cacheCreation1hInputTokens += tokens.cacheCreation1hInputTokens || 0;
       existing.costBreakdown.input += costInfo.inputCost || 0;
       existing.costBreakdown.output += costInfo.outputCost || 0;
       existing.costBreakdown.cacheRead += costInfo.cacheReadCost || 0;
       existing.costBreakdown.cacheWrite += costInfo.cacheWriteCost || 0;
+      existing.costBreakdown.cacheWrite1h += costInfo.cacheWrite1hCost || 0;
     } else {
-      base.modelBreakdown.push({
-        modelId: model,
-        displayName: costInfo.displayName || model,
-        totalCost: costInfo.totalCost || 0,
-        inputTokens: tokens.inputTokens || 0,
-        outputTokens: tokens.outputTokens || 0,
-        cacheReadInputTokens: tokens.cacheReadInputTokens || 0,
-        cacheCreationInputTokens: tokens.cacheCreationInputTokens || 0,
-        costBreakdown: {
-          input: costInfo.inputCost || 0,
-          output: costInfo.outputCost || 0,
-          cacheRead: costInfo.cacheReadCost || 0,
-          cacheWrite: costInfo.cacheWriteCost || 0
-        }
-      });
+      base.modelBreakdown.push(...buildModelBreakdown({ [model]: tokens }, recentCost.byModel));
     }
   }
   base.modelBreakdown.sort((a, b) => b.totalCost - a.totalCost);
 
   // Rebuild token composition from merged model usage
-  const mergedModelUsage = { ...(parsed.modelUsage || {}) };
-  for (const [model, tokens] of Object.entries(recentModelUsage)) {
-    if (!mergedModelUsage[model]) {
-      mergedModelUsage[model] = { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 };
-    }
-    mergedModelUsage[model].inputTokens += tokens.inputTokens;
-    mergedModelUsage[model].outputTokens += tokens.outputTokens;
-    mergedModelUsage[model].cacheReadInputTokens += tokens.cacheReadInputTokens;
-    mergedModelUsage[model].cacheCreationInputTokens += tokens.cacheCreationInputTokens;
+  const mergedModelUsage = {};
+  for (const usage of [parsed.modelUsage || {}, recentModelUsage]) {
+    for (const [model, tokens] of Object.entries(usage)) addModelUsage(mergedModelUsage, model, tokens);
   }
   base.tokenComposition = buildTokenComposition(mergedModelUsage);
 
@@ -191,6 +184,32 @@ function supplementWithRecentSessions(base, stats, recentSessions) {
   return base;
 }
 
+// Sum session token totals per model, keeping the long-context share so it is
+// still priced at the long-context rate
+function addModelUsage(modelUsage, model, tokens) {
+  if (!modelUsage[model]) {
+    modelUsage[model] = { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0, cacheCreation1hInputTokens: 0 };
+  }
+  const target = modelUsage[model];
+  target.inputTokens += tokens.inputTokens || 0;
+  target.outputTokens += tokens.outputTokens || 0;
+  target.cacheReadInputTokens += tokens.cacheReadInputTokens || 0;
+  target.cacheCreationInputTokens += tokens.cacheCreationInputTokens || 0;
+  target.cacheCreation1hInputTokens += tokens.cacheCreation1hInputTokens || 0;
+  if (tokens.longContext) addModelUsage(target, 'longContext', tokens.longContext);
+}
+
+// Combine two date-keyed lists, folding same-day entries together with combine()
+function mergeByDate(existing, extra, combine) {
+  const byDate = new Map();
+  for (const entry of existing || []) byDate.set(entry.date, entry);
+  for (const entry of extra) {
+    const prev = byDate.get(entry.date);
+    byDate.set(entry.date, prev ? combine(prev, entry) : entry);
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
 function buildFromSessions(stats, sessions) {
   // Aggregate everything from filtered session data
   const modelUsage = {};
@@ -209,13 +228,7 @@ function buildFromSessions(stats, sessions) {
 
     // Aggregate token usage per model
     for (const [model, tokens] of Object.entries(s.tokensByModel || {})) {
-      if (!modelUsage[model]) {
-        modelUsage[model] = { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 };
-      }
-      modelUsage[model].inputTokens += tokens.inputTokens || 0;
-      modelUsage[model].outputTokens += tokens.outputTokens || 0;
-      modelUsage[model].cacheReadInputTokens += tokens.cacheReadInputTokens || 0;
-      modelUsage[model].cacheCreationInputTokens += tokens.cacheCreationInputTokens || 0;
+      addModelUsage(modelUsage, model, tokens);
     }
 
     // Build daily activity from sessions
@@ -241,7 +254,7 @@ function buildFromSessions(stats, sessions) {
   const dailyActivity = Object.values(dailyMap).sort((a, b) => a.date.localeCompare(b.date));
   const dailyModelTokens = dailyActivity.map(d => ({ date: d.date, tokensByModel: d.tokensByModel }));
 
-  const costResult = calculateTotalCost(modelUsage);
+  const costResult = calculateTotalCost(modelUsage, dailyModelTokens);
   const dailyCosts = buildDailyCosts(dailyModelTokens);
   const dailyTokens = buildDailyTokens(dailyModelTokens);
   const modelBreakdown = buildModelBreakdown(modelUsage, costResult.byModel);
@@ -272,7 +285,8 @@ function buildFromSessions(stats, sessions) {
     hourCounts,
     longestSession,
     firstSessionDate: dates[0] || null,
-    filtered: true
+    filtered: true,
+    helpText: SESSIONS_HELP
   };
 }
 
@@ -281,7 +295,7 @@ function buildDailyCosts(dailyModelTokens) {
     let dayCost = 0;
     const byModel = {};
     for (const [model, tokens] of Object.entries(day.tokensByModel)) {
-      const cost = calculateCost({ outputTokens: tokens }, model);
+      const cost = calculateCost({ outputTokens: tokens }, model, day.date);
       dayCost += cost.totalCost;
       byModel[model] = { tokens, cost: cost.totalCost };
     }
@@ -312,40 +326,50 @@ function buildModelBreakdown(modelUsage, costByModel) {
       outputTokens: usage.outputTokens || 0,
       cacheReadInputTokens: usage.cacheReadInputTokens || 0,
       cacheCreationInputTokens: usage.cacheCreationInputTokens || 0,
+      cacheCreation1hInputTokens: usage.cacheCreation1hInputTokens || 0,
       costBreakdown: {
         input: costInfo.inputCost || 0,
         output: costInfo.outputCost || 0,
         cacheRead: costInfo.cacheReadCost || 0,
-        cacheWrite: costInfo.cacheWriteCost || 0
+        // Both cache TTLs; cacheWrite1h is the part billed at the 1-hour rate
+        cacheWrite: costInfo.cacheWriteCost || 0,
+        cacheWrite1h: costInfo.cacheWrite1hCost || 0
       }
     };
   }).sort((a, b) => b.totalCost - a.totalCost);
 }
 
 function buildTokenComposition(modelUsage) {
-  let totalInput = 0, totalOutput = 0, totalCacheRead = 0, totalCacheWrite = 0;
+  let totalInput = 0, totalOutput = 0, totalCacheRead = 0, totalCacheWrite = 0, totalCacheWrite1h = 0;
 
   for (const usage of Object.values(modelUsage)) {
     totalInput += usage.inputTokens || 0;
     totalOutput += usage.outputTokens || 0;
     totalCacheRead += usage.cacheReadInputTokens || 0;
     totalCacheWrite += usage.cacheCreationInputTokens || 0;
+    totalCacheWrite1h += usage.cacheCreation1hInputTokens || 0;
   }
 
   const total = totalInput + totalOutput + totalCacheRead + totalCacheWrite;
+  const pct = n => (n / total * 100).toFixed(1);
 
+  // cacheWrite covers both TTLs, split into cacheWrite5m and cacheWrite1h
   return {
     input: totalInput,
     output: totalOutput,
     cacheRead: totalCacheRead,
     cacheWrite: totalCacheWrite,
+    cacheWrite5m: totalCacheWrite - totalCacheWrite1h,
+    cacheWrite1h: totalCacheWrite1h,
     total,
     percentages: total > 0 ? {
-      input: (totalInput / total * 100).toFixed(1),
-      output: (totalOutput / total * 100).toFixed(1),
-      cacheRead: (totalCacheRead / total * 100).toFixed(1),
-      cacheWrite: (totalCacheWrite / total * 100).toFixed(1)
-    } : { input: '0', output: '0', cacheRead: '0', cacheWrite: '0' }
+      input: pct(totalInput),
+      output: pct(totalOutput),
+      cacheRead: pct(totalCacheRead),
+      cacheWrite: pct(totalCacheWrite),
+      cacheWrite5m: pct(totalCacheWrite - totalCacheWrite1h),
+      cacheWrite1h: pct(totalCacheWrite1h)
+    } : { input: '0', output: '0', cacheRead: '0', cacheWrite: '0', cacheWrite5m: '0', cacheWrite1h: '0' }
   };
 }
 
@@ -0,0 +1,123 @@
+const { getDailyCosts } = require('./daily-costs.js');
+const { PLANS, resolvePlan } = require('../cost/plans.js');
+const { getSettings } = require('../data/settings.js');
+
+// Billing days past the 28th would skip short months
+function resolveBillingDay(value) {
+  const day = parseInt(value, 10);
+  if (!day || day < 1) return 1;
+  return Math.min(day, 28);
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Start date (YYYY-MM-DD) of the billing cycle containing `date`
+function cycleStart(date, billingDay) {
+  let [year, month, day] = date.split('-').map(Number);
+  if (day < billingDay) {
+    month -= 1;
+    if (month === 0) { month = 12; year -= 1; }
+  }
+  return `${year}-${pad(month)}-${pad(billingDay)}`;
+}
+
+// Last day of the cycle starting on `start`
+function cycleEnd(start) {
+  const [year, month, day] = start.split('-').map(Number);
+  return new Date(Date.UTC(year, month, day - 1)).toISOString().split('T')[0];
+}
+
+// Plans worth comparing against the current one. Usage on a subscription is
+// only known to fit its own tier, so smaller tiers are left out; flat plans
+// are otherwise assumed to cover the usage.
+function planOptions(current) {
+  const options = Object.values(PLANS).filter(p => p.tier === null || !current.tier || p.tier >= current.tier);
+  if (current.id === 'custom') options.push(current);
+  return options;
+}
+
+function costOnPlan(plan, apiCost) {
+  return plan.monthlyPrice === null ? apiCost : plan.monthlyPrice;
+}
+
+function cheapestPlan(options, apiCost) {
+  return options.reduce((best, plan) => costOnPlan(plan, apiCost) < costOnPlan(best, apiCost) ? plan : best);
+}
+
+async function getPlanComparison(filters) {
+  const settings = getSettings();
+  const plan = resolvePlan(settings.plan);
+  const billingDay = resolveBillingDay(settings.billingDay);
+  const options = planOptions(plan);
+  const daily = await getDailyCosts(filters);
+  const today = new Date().toISOString().split('T')[0];
+
+  const cycleMap = {};
+  for (const d of daily) {
+    const start = cycleStart(d.date, billingDay);
+    if (!cycleMap[start]) cycleMap[start] = { start, end: cycleEnd(start), apiCost: 0, activeDays: 0 };
+    cycleMap[start].apiCost += d.cost;
+    if (d.cost > 0) cycleMap[start].activeDays++;
+  }
+
+  const cycles = Object.values(cycleMap)
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(c => {
+      const planCost = costOnPlan(plan, c.apiCost);
+      const cheapest = cheapestPlan(options, c.apiCost);
+      return {
+        ...c,
+        partial: c.end >= today,
+        planCost,
+        valueMultiplier: plan.monthlyPrice ? c.apiCost / plan.monthlyPrice : null,
+        savings: c.apiCost - planCost,
+        cheapestPlan: cheapest.id,
+        cheapestCost: costOnPlan(cheapest, c.apiCost)
+      };
+    });
+
+  // A cycle still in progress undercounts usage, so judge plans on completed ones
+  const complete = cycles.filter(c => !c.partial);
+  const basis = complete.length > 0 ? complete : cycles;
+  const apiCost = basis.reduce((sum, c) => sum + c.apiCost, 0);
+  const planCost = basis.reduce((sum, c) => sum + c.planCost, 0);
+
+  const alternatives = options
+    .map(p => ({
+      id: p.id,
+      label: p.label,
+      monthlyPrice: p.monthlyPrice,
+      assumesFit: p.monthlyPrice !== null && p.id !== plan.id,
+      cost: basis.reduce((sum, c) => sum + costOnPlan(p, c.apiCost), 0),
+      current: p.id === plan.id
+    }))
+    .sort((a, b) => a.cost - b.cost);
+
+  const best = alternatives[0];
+  let recommendation = null;
+  if (basis.length > 0 && best && !best.current && best.cost < planCost) {
+    recommendation = {
+      plan: best.id,
+      label: best.label,
+      savings: planCost - best.cost
+    };
+  }
+
+  return {
+    plan,
+    billingDay,
+    cycles,
+    cyclesCompared: basis.length,
+    apiCost,
+    planCost,
+    valueMultiplier: plan.monthlyPrice ? (planCost > 0 ? apiCost / planCost : null) : null,
+    savings: apiCost - planCost,
+    alternatives,
+    recommendation,
+    helpText: 'API-equivalent spend (what your usage would cost at pay-as-you-go API rates) against what your plan charges per billing cycle. The value multiplier is API-equivalent spend divided by the plan price — above 1x the plan is paying for itself. Flat-price plans are compared assuming your usage fit within their rate limits, so smaller subscription tiers than yours are not suggested. Set your plan and billing day in config.json or with --plan.'
+  };
+}
+
+module.exports = { getPlanComparison, cycleStart, cycleEnd };
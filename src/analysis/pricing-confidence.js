@@ -0,0 +1,63 @@
+const { getSessions } = require('./sessions.js');
+const { calculateCost, getPricing, getPricingFile } = require('../cost/pricing.js');
+
+const MATCH_TYPES = ['exact', 'prefix', 'heuristic', 'fallback'];
+// Heuristic and fallback prices are guesses; exact and prefix come from the table
+const GUESSED = new Set(['heuristic', 'fallback']);
+
+async function getPricingConfidence(filters) {
+  const sessions = await getSessions(filters);
+  const modelMap = {};
+  let duplicateMessages = 0;
+
+  for (const s of sessions) {
+    duplicateMessages += s.duplicateMessages || 0;
+    for (const [date, byModel] of Object.entries(s.tokensByDate || {})) {
+      for (const [model, tokens] of Object.entries(byModel)) {
+        const total = tokens.inputTokens + tokens.outputTokens + tokens.cacheReadInputTokens + tokens.cacheCreationInputTokens;
+        // Synthetic placeholder messages carry no usage
+        if (total === 0) continue;
+        if (!modelMap[model]) {
+          const pricing = getPricing(model);
+          modelMap[model] = {
+            modelId: model,
+            displayName: pricing.displayName,
+            match: pricing.match,
+            pricedAs: pricing.pricedAs,
+            sessions: new Set(),
+            tokens: 0,
+            cost: 0
+          };
+        }
+        modelMap[model].sessions.add(s.sessionId);
+        modelMap[model].tokens += total;
+        modelMap[model].cost += calculateCost(tokens, model, date).totalCost;
+      }
+    }
+  }
+
+  const models = Object.values(modelMap)
+    .map(m => ({ ...m, sessions: m.sessions.size, guessed: GUESSED.has(m.match) }))
+    .sort((a, b) => b.cost - a.cost);
+
+  const costByMatch = Object.fromEntries(MATCH_TYPES.map(t => [t, 0]));
+  for (const m of models) costByMatch[m.match] += m.cost;
+
+  const totalCost = models.reduce((sum, m) => sum + m.cost, 0);
+  const guessedCost = costByMatch.heuristic + costByMatch.fallback;
+
+  return {
+    models,
+    costByMatch,
+    totalCost,
+    guessedCost,
+    guessedPercent: totalCost > 0 ? Math.round((guessedCost / totalCost) * 1000) / 10 : 0,
+    unknownModels: models.filter(m => m.guessed).map(m => m.modelId),
+    pricingFile: getPricingFile(),
+    // Streamed lines of one API response, counted once rather than per line
+    duplicateMessages,
+    helpText: 'Every model ID found in your transcripts and how it was priced. Exact and prefix matches use the pricing table; heuristic matches guess a tier from the model name (opus, haiku), and fallback prices an unrecognized model as Sonnet. Spend on guessed models may be wrong — add them to your pricing file to fix it.'
+  };
+}
+
+module.exports = { getPricingConfidence };
@@ -7,8 +7,9 @@ async function getProjects(filters) {
   for (const s of sessions) {
     const key = s.project || 'Unknown';
     if (!projectMap[key]) {
-      projectMap[key] = { project: key, sessions: 0, messages: 0, cost: 0 };
+      projectMap[key] = { project: key, sessions: 0, messages: 0, cost: 0, roots: [] };
     }
+    if (s.root && !projectMap[key].roots.includes(s.root)) projectMap[key].roots.push(s.root);
     projectMap[key].sessions++;
     projectMap[key].messages += s.messages || 0;
     projectMap[key].cost += s.cost || 0;
@@ -0,0 +1,196 @@
+const { getSessionCorpus } = require('../data/session-corpus.js');
+const { groupPrompts } = require('../data/session-parser.js');
+const { calculateCost, getPricing } = require('../cost/pricing.js');
+const { filterCorpus } = require('./tool-usage.js');
+const { subagentCostByTurn } = require('./expensive-prompts.js');
+const { tokenize } = require('./search.js');
+
+// Cosine similarity to a cluster's centroid needed to join it
+const SIMILARITY_THRESHOLD = 0.3;
+// Smallest group reported as a cluster
+const MIN_CLUSTER_SIZE = 2;
+// A task seen this often is worth a slash command
+const RECURRING_COUNT = 5;
+// Only the start of long prompts (pasted logs, files) is compared
+const PROMPT_CHARS = 2000;
+
+const STOPWORDS = new Set(`
+  a about after again all also am an and any are as at be because been before being both but by can could
+  did do does doing don done for from had has have having he her here hers him his how if in into is it its
+  just let me more most my no not now of off on once only or other our out over own please same she should
+  so some such than that the their them then there these they this those through to too under until up us
+  very was we were what when where which while who why will with would you your yours
+  ok okay thanks thank hi hello yes sure lets use using make go see get
+`.split(/\s+/).filter(Boolean));
+
+function terms(text) {
+  return tokenize(text.slice(0, PROMPT_CHARS)).filter(t => !STOPWORDS.has(t) && !/^\d+$/.test(t));
+}
+
+// Every real prompt in the corpus with what its turn cost
+function collectPrompts(corpus) {
+  const prompts = [];
+  for (const { session } of corpus) {
+    const delegated = subagentCostByTurn(session);
+    for (const turn of groupPrompts(session)) {
+      const text = turn.prompt.promptText || '';
+      // Compaction summaries, and a tool loop with no prompt before it, aren't
+      // something you asked for
+      if (!text || turn.prompt.compactSummary) continue;
+
+      let cost = 0;
+      const costByModel = {};
+      for (const resp of turn.responses) {
+        if (!resp.usage || !resp.model) continue;
+        const c = calculateCost(resp.usage, resp.model, resp.timestamp).totalCost;
+        cost += c;
+        costByModel[resp.model] = (costByModel[resp.model] || 0) + c;
+      }
+      cost += (delegated.get(turn.turnIndex) || []).reduce((sum, run) => sum + run.cost, 0);
+      const model = Object.entries(costByModel).sort((a, b) => b[1] - a[1])[0];
+
+      prompts.push({
+        text,
+        terms: terms(text),
+        cost,
+        model: model ? model[0] : null,
+        sessionId: session.sessionId,
+        turnIndex: turn.turnIndex,
+        date: turn.prompt.timestamp ? turn.prompt.timestamp.split('T')[0] : null
+      });
+    }
+  }
+  return prompts;
+}
+
+// TF-IDF vectors, L2-normalized. Words found in a single prompt can't group
+// anything and words in most prompts don't tell tasks apart; both are dropped.
+function vectorize(prompts) {
+  const df = new Map();
+  for (const p of prompts) {
+    for (const t of new Set(p.terms)) df.set(t, (df.get(t) || 0) + 1);
+  }
+
+  const n = prompts.length;
+  for (const p of prompts) {
+    const tf = new Map();
+    for (const t of p.terms) {
+      const count = df.get(t);
+      if (count < 2 || count > n / 2) continue;
+      tf.set(t, (tf.get(t) || 0) + 1);
+    }
+    const vector = new Map();
+    let norm = 0;
+    for (const [t, count] of tf) {
+      const weight = (1 + Math.log(count)) * Math.log(n / df.get(t));
+      vector.set(t, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm);
+    for (const [t, weight] of vector) vector.set(t, weight / norm);
+    p.vector = vector;
+  }
+}
+
+// Single-pass leader clustering: each prompt joins the most similar centroid
+// above the threshold or starts a cluster of its own. Expensive prompts go
+// first so they seed the clusters.
+function cluster(prompts) {
+  const clusters = [];
+  // word -> clusters whose centroid contains it
+  const byTerm = new Map();
+
+  for (const p of [...prompts].sort((a, b) => b.cost - a.cost)) {
+    if (p.vector.size === 0) continue;
+
+    const dots = new Map();
+    for (const [t, weight] of p.vector) {
+      for (const c of byTerm.get(t) || []) dots.set(c, (dots.get(c) || 0) + weight * c.centroid.get(t));
+    }
+    let best = null;
+    let bestSimilarity = SIMILARITY_THRESHOLD;
+    for (const [c, dot] of dots) {
+      const similarity = dot / Math.sqrt(c.sumSquares);
+      if (similarity >= bestSimilarity) {
+        best = c;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (!best) {
+      best = { centroid: new Map(), sumSquares: 0, prompts: [] };
+      clusters.push(best);
+    }
+    best.prompts.push(p);
+    for (const [t, weight] of p.vector) {
+      const old = best.centroid.get(t) || 0;
+      best.centroid.set(t, old + weight);
+      best.sumSquares += (old + weight) ** 2 - old ** 2;
+      if (!byTerm.has(t)) byTerm.set(t, new Set());
+      byTerm.get(t).add(best);
+    }
+  }
+
+  return clusters;
+}
+
+function describeCluster(c) {
+  const cost = c.prompts.reduce((sum, p) => sum + p.cost, 0);
+  const models = {};
+  for (const p of c.prompts) {
+    const key = p.model || 'unknown';
+    if (!models[key]) models[key] = { modelId: p.model, displayName: p.model ? getPricing(p.model).displayName : 'Unknown', prompts: 0, cost: 0 };
+    models[key].prompts++;
+    models[key].cost += p.cost;
+  }
+  const modelMix = Object.values(models)
+    .map(m => ({ ...m, percent: cost > 0 ? Math.round((m.cost / cost) * 1000) / 10 : 0 }))
+    .sort((a, b) => b.cost - a.cost);
+  const label = [...c.centroid.entries()].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([t]) => t);
+  const examples = [...c.prompts].sort((a, b) => b.cost - a.cost).slice(0, 3).map(p => ({
+    prompt: p.text.length > 200 ? p.text.slice(0, 200) + '...' : p.text,
+    cost: p.cost,
+    sessionId: p.sessionId,
+    turnIndex: p.turnIndex,
+    date: p.date
+  }));
+
+  return {
+    label: label.join(' / '),
+    terms: label,
+    count: c.prompts.length,
+    totalCost: cost,
+    avgCost: cost / c.prompts.length,
+    modelMix,
+    examples,
+    recurring: c.prompts.length >= RECURRING_COUNT
+  };
+}
+
+// Similar prompts grouped into task types, with what each type costs
+async function getPromptClusters(filters) {
+  const corpus = filterCorpus(await getSessionCorpus(), filters);
+  const prompts = collectPrompts(corpus);
+  vectorize(prompts);
+
+  const clusters = cluster(prompts)
+    .filter(c => c.prompts.length >= MIN_CLUSTER_SIZE)
+    .map(describeCluster)
+    .sort((a, b) => b.totalCost - a.totalCost);
+
+  const totalCost = prompts.reduce((sum, p) => sum + p.cost, 0);
+  const clusteredCost = clusters.reduce((sum, c) => sum + c.totalCost, 0);
+  const clusteredPrompts = clusters.reduce((sum, c) => sum + c.count, 0);
+
+  return {
+    prompts: prompts.length,
+    totalCost,
+    clusteredPrompts,
+    clusteredCost,
+    unclustered: { prompts: prompts.length - clusteredPrompts, cost: totalCost - clusteredCost },
+    clusters: clusters.slice(0, 50),
+    helpText: `Your prompts grouped by the words they share (TF-IDF similarity, computed locally), labelled with each group's most telling words. Cost is what the turns cost, subagents included. Groups of ${RECURRING_COUNT} or more are recurring tasks: a custom slash command with the standard instructions saves re-explaining them, and a cheaper model may handle them just as well. Prompts unlike any other are left unclustered.`
+  };
+}
+
+module.exports = { getPromptClusters };
@@ -0,0 +1,157 @@
+const { getSessionCorpus } = require('../data/session-corpus.js');
+const { groupPrompts } = require('../data/session-parser.js');
+const { calculateCost } = require('../cost/pricing.js');
+const { filterCorpus } = require('./tool-usage.js');
+const { maskSecrets } = require('./security.js');
+
+// Which part of a turn a word was found in
+const FIELDS = { prompt: 1, response: 2, tool: 4 };
+const SCOPES = { prompts: FIELDS.prompt, all: FIELDS.prompt | FIELDS.response | FIELDS.tool };
+const SNIPPET_CONTEXT = 80;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// The index is rebuilt whenever the corpus is, and shared until then
+const indexes = new WeakMap();
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter(t => t.length > 1);
+}
+
+// Tool arguments worth searching; file contents and edits are left out
+function toolText(tool) {
+  const input = tool.input || {};
+  return [input.file_path, input.path, input.command, input.pattern, input.url, input.query, input.description]
+    .filter(v => typeof v === 'string')
+    .join('\n');
+}
+
+// One document per prompt, with everything Claude did to answer it; word -> Map(document -> fields the word appears in)
+function buildIndex(corpus) {
+  const docs = [];
+  const postings = new Map();
+
+  for (const { session } of corpus) {
+    for (const turn of groupPrompts(session)) {
+      const doc = {
+        session,
+        turn,
+        prompt: turn.prompt.promptText || '',
+        response: turn.responses.map(r => r.text).filter(Boolean).join('\n'),
+        tool: turn.responses.flatMap(r => r.toolCalls.map(toolText)).filter(Boolean).join('\n')
+      };
+      const id = docs.push(doc) - 1;
+      for (const [field, bit] of Object.entries(FIELDS)) {
+        for (const token of tokenize(doc[field])) {
+          let docMasks = postings.get(token);
+          if (!docMasks) {
+            docMasks = new Map();
+            postings.set(token, docMasks);
+          }
+          docMasks.set(id, (docMasks.get(id) || 0) | bit);
+        }
+      }
+    }
+  }
+
+  return { docs, postings };
+}
+
+async function getSearchIndex() {
+  const corpus = await getSessionCorpus();
+  if (!indexes.has(corpus)) indexes.set(corpus, buildIndex(corpus));
+  return indexes.get(corpus);
+}
+
+// Documents containing a word starting with term -> fields it was found in
+function lookup(index, term) {
+  const matches = new Map();
+  for (const [token, docMasks] of index.postings) {
+    if (!token.startsWith(term)) continue;
+    for (const [id, mask] of docMasks) matches.set(id, (matches.get(id) || 0) | mask);
+  }
+  return matches;
+}
+
+// Text around the first query term, with secrets masked
+function snippet(text, terms) {
+  const lower = text.toLowerCase();
+  const at = terms.reduce((first, term) => {
+    const i = lower.indexOf(term);
+    return i !== -1 && (first === -1 || i < first) ? i : first;
+  }, -1);
+  const start = Math.max(0, at - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, Math.max(at, 0) + SNIPPET_CONTEXT * 2);
+  const body = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return maskSecrets(`${start > 0 ? '…' : ''}${body}${end < text.length ? '…' : ''}`).text;
+}
+
+function turnCost(turn) {
+  let cost = 0;
+  for (const msg of turn.responses) {
+    if (msg.usage && msg.model) cost += calculateCost(msg.usage, msg.model, msg.timestamp).totalCost;
+  }
+  return cost;
+}
+
+// Turns whose text contains every word of the query (each as a word prefix).
+// scope 'prompts' searches what you typed; 'all' adds Claude's replies and
+// tool arguments (commands, paths, search patterns).
+async function searchSessions(query, filters, { scope = 'prompts', limit = DEFAULT_LIMIT } = {}) {
+  const terms = [...new Set(tokenize(query || ''))];
+  const scopeMask = SCOPES[scope] || SCOPES.prompts;
+  const result = {
+    query: query || '',
+    scope: SCOPES[scope] ? scope : 'prompts',
+    total: 0,
+    hits: [],
+    helpText: 'Finds the turns whose prompt contains every word you type; each word also matches longer words it starts. Include replies and tool input to search what Claude wrote back and the commands, file paths and patterns its tools were given. Cost is what answering the prompt cost, every tool call and reply included, without subagents. Secrets are masked in the excerpts.'
+  };
+  if (terms.length === 0) return result;
+
+  const index = await getSearchIndex();
+  const allowed = new Set(filterCorpus(await getSessionCorpus(), filters).map(({ session }) => session));
+
+  let candidates = null;
+  const masks = new Map();
+  for (const term of terms) {
+    const matches = lookup(index, term);
+    const next = new Map();
+    for (const [id, mask] of matches) {
+      const inScope = mask & scopeMask;
+      if (!inScope || (candidates && !candidates.has(id))) continue;
+      next.set(id, inScope);
+      masks.set(id, (masks.get(id) || 0) | inScope);
+    }
+    candidates = next;
+    if (candidates.size === 0) break;
+  }
+
+  const hits = [];
+  for (const id of candidates.keys()) {
+    const doc = index.docs[id];
+    if (!allowed.has(doc.session)) continue;
+    const mask = masks.get(id);
+    const field = mask & FIELDS.prompt ? 'prompt' : mask & FIELDS.response ? 'response' : 'tool';
+    const timestamp = doc.turn.prompt.timestamp || (doc.turn.responses[0] && doc.turn.responses[0].timestamp) || null;
+    hits.push({
+      sessionId: doc.session.sessionId,
+      project: doc.session.projectPath,
+      gitBranch: doc.session.gitBranch,
+      turnIndex: doc.turn.turnIndex,
+      date: timestamp ? timestamp.split('T')[0] : null,
+      timestamp,
+      cost: turnCost(doc.turn),
+      field,
+      snippet: snippet(doc[field], terms)
+    });
+  }
+
+  // Prompt matches first, newest first within each
+  hits.sort((a, b) => (a.field === 'prompt' ? 0 : 1) - (b.field === 'prompt' ? 0 : 1) || (b.timestamp || '').localeCompare(a.timestamp || ''));
+  result.total = hits.length;
+  result.hits = hits.slice(0, limit);
+  return result;
+}
+
+module.exports = { searchSessions, tokenize, MAX_LIMIT };
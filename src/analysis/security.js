@@ -1,5 +1,5 @@
-const { listProjectDirs, listSessionFiles } = require('../data/reader.js');
-const { parseSessionFile } = require('../data/session-parser.js');
+const { listProjectDirs } = require('../data/reader.js');
+const { getSessionCorpus } = require('../data/session-corpus.js');
 const path = require('path');
 
 const SENSITIVE_PATTERNS = [
@@ -67,6 +67,20 @@ function detectSecretsInCommand(command) {
   return found;
 }
 
+// Replace every match of SECRET_PATTERNS with a placeholder naming the kind of secret
+function maskSecrets(text) {
+  if (!text) return { text: text || '', count: 0 };
+  let count = 0;
+  let masked = text;
+  for (const { name, pattern } of SECRET_PATTERNS) {
+    masked = masked.replace(new RegExp(pattern.source, pattern.flags + 'g'), () => {
+      count++;
+      return `[redacted ${name}]`;
+    });
+  }
+  return { text: masked, count };
+}
+
 function assessMcpRisk(name, config) {
   const command = config.command || null;
   const args = config.args || [];
@@ -186,119 +200,114 @@ async function getSecurityAudit() {
 
   for (const dir of projectDirs) {
     if (dir.projectPath) projectWorkDirs.add(dir.projectPath);
+  }
 
-    const sessionFiles = await listSessionFiles(dir.path);
-
-    for (const file of sessionFiles) {
-      try {
-        const session = await parseSessionFile(file);
-        const sessionId = session.sessionId;
-
-        if (session.projectPath) projectWorkDirs.add(session.projectPath);
-
-        // Feature 3: track permissionMode
-        // Only flag modes that bypass safety confirmations broadly.
-        // acceptEdits is a convenience mode (auto-approve file edits only) — not dangerous.
-        const dangerousModes = new Set(['bypassPermissions', 'fullAutoMode', 'yolo']);
-        const isDangerousSession = session.permissionMode && dangerousModes.has(session.permissionMode);
-
-        // Per-session counters for anomaly detection
-        let sessDestructive = 0;
-        let sessWrites = 0;
-        // Collect flagged commands for dangerous sessions
-        const sessFlaggedCommands = [];
-
-        for (const msg of session.assistantMessages) {
-          for (const tool of msg.toolCalls) {
-            const toolName = tool.name;
-            const input = tool.input || {};
-
-            // File access tracking
-            if (toolName === 'Read' || toolName === 'read') {
-              const fp = input.file_path || input.path;
-              if (fp) {
-                if (!fileAccessMap[fp]) fileAccessMap[fp] = { reads: 0, writes: 0, edits: 0 };
-                fileAccessMap[fp].reads++;
-                trackDir(dirAccessMap, fp);
-              }
-            } else if (toolName === 'Write' || toolName === 'write') {
-              const fp = input.file_path || input.path;
-              if (fp) {
-                if (!fileAccessMap[fp]) fileAccessMap[fp] = { reads: 0, writes: 0, edits: 0 };
-                fileAccessMap[fp].writes++;
-                trackDir(dirAccessMap, fp);
-                sessWrites++;
-              }
-            } else if (toolName === 'Edit' || toolName === 'edit') {
-              const fp = input.file_path || input.path;
-              if (fp) {
-                if (!fileAccessMap[fp]) fileAccessMap[fp] = { reads: 0, writes: 0, edits: 0 };
-                fileAccessMap[fp].edits++;
-                trackDir(dirAccessMap, fp);
-                sessWrites++;
-              }
-            } else if (toolName === 'Glob' || toolName === 'glob') {
-              const dp = input.path;
-              if (dp) trackDir(dirAccessMap, dp + '/.');
-            } else if (toolName === 'Grep' || toolName === 'grep') {
-              const dp = input.path;
-              if (dp) trackDir(dirAccessMap, dp + '/.');
-            } else if (toolName === 'Bash' || toolName === 'bash') {
-              const command = input.command;
-              if (command) {
-                const category = classifyBashCommand(command);
-                bashCommands[category].push({
-                  command,
-                  sessionId,
-                  date: msg.timestamp || null
-                });
-                if (category === 'destructive' || category === 'sudo') sessDestructive++;
-
-                // Track flagged commands for dangerous sessions
-                if (isDangerousSession && category !== 'safe') {
-                  sessFlaggedCommands.push({
-                    command,
-                    category,
-                    date: msg.timestamp || null
-                  });
-                }
-
-                // Feature 4: detect secrets in bash commands
-                const secrets = detectSecretsInCommand(command);
-                if (secrets.length > 0) {
-                  secretsInBash.push({
-                    command,
-                    secrets,
-                    sessionId,
-                    date: msg.timestamp || null
-                  });
-                }
-              }
-            }
+  const corpus = await getSessionCorpus();
+
+  for (const { filePath: file, session } of corpus) {
+    const sessionId = session.sessionId;
+
+    if (session.projectPath) projectWorkDirs.add(session.projectPath);
+
+    // Feature 3: track permissionMode
+    // Only flag modes that bypass safety confirmations broadly.
+    // acceptEdits is a convenience mode (auto-approve file edits only) — not dangerous.
+    const dangerousModes = new Set(['bypassPermissions', 'fullAutoMode', 'yolo']);
+    const isDangerousSession = session.permissionMode && dangerousModes.has(session.permissionMode);
+
+    // Per-session counters for anomaly detection
+    let sessDestructive = 0;
+    let sessWrites = 0;
+    // Collect flagged commands for dangerous sessions
+    const sessFlaggedCommands = [];
+
+    for (const msg of session.assistantMessages) {
+      for (const tool of msg.toolCalls) {
+        const toolName = tool.name;
+        const input = tool.input || {};
+
+        // File access tracking
+        if (toolName === 'Read' || toolName === 'read') {
+          const fp = input.file_path || input.path;
+          if (fp) {
+            if (!fileAccessMap[fp]) fileAccessMap[fp] = { reads: 0, writes: 0, edits: 0 };
+            fileAccessMap[fp].reads++;
+            trackDir(dirAccessMap, fp);
           }
-        }
+        } else if (toolName === 'Write' || toolName === 'write') {
+          const fp = input.file_path || input.path;
+          if (fp) {
+            if (!fileAccessMap[fp]) fileAccessMap[fp] = { reads: 0, writes: 0, edits: 0 };
+            fileAccessMap[fp].writes++;
+            trackDir(dirAccessMap, fp);
+            sessWrites++;
+          }
+        } else if (toolName === 'Edit' || toolName === 'edit') {
+          const fp = input.file_path || input.path;
+          if (fp) {
+            if (!fileAccessMap[fp]) fileAccessMap[fp] = { reads: 0, writes: 0, edits: 0 };
+            fileAccessMap[fp].edits++;
+            trackDir(dirAccessMap, fp);
+            sessWrites++;
+          }
+        } else if (toolName === 'Glob' || toolName === 'glob') {
+          const dp = input.path;
+          if (dp) trackDir(dirAccessMap, dp + '/.');
+        } else if (toolName === 'Grep' || toolName === 'grep') {
+          const dp = input.path;
+          if (dp) trackDir(dirAccessMap, dp + '/.');
+        } else if (toolName === 'Bash' || toolName === 'bash') {
+          const command = input.command;
+          if (command) {
+            const category = classifyBashCommand(command);
+            bashCommands[category].push({
+              command,
+              sessionId,
+              date: msg.timestamp || null
+            });
+            if (category === 'destructive' || category === 'sudo') sessDestructive++;
+
+            // Track flagged commands for dangerous sessions
+            if (isDangerousSession && category !== 'safe') {
+              sessFlaggedCommands.push({
+                command,
+                category,
+                date: msg.timestamp || null
+              });
+            }
 
-        if (isDangerousSession) {
-          dangerousSessions[sessionId] = {
-            mode: session.permissionMode,
-            date: session.firstTimestamp ? new Date(session.firstTimestamp).toISOString() : null,
-            projectPath: session.projectPath,
-            sessionFile: file,
-            flaggedCommands: sessFlaggedCommands
-          };
+            // Feature 4: detect secrets in bash commands
+            const secrets = detectSecretsInCommand(command);
+            if (secrets.length > 0) {
+              secretsInBash.push({
+                command,
+                secrets,
+                sessionId,
+                date: msg.timestamp || null
+              });
+            }
+          }
         }
-
-        sessionStats.push({
-          sessionId,
-          projectPath: session.projectPath,
-          date: session.firstTimestamp ? new Date(session.firstTimestamp).toISOString() : null,
-          destructiveCount: sessDestructive,
-          writeCount: sessWrites
-        });
-      } catch {
-        // Skip unreadable sessions
       }
     }
+
+    if (isDangerousSession) {
+      dangerousSessions[sessionId] = {
+        mode: session.permissionMode,
+        date: session.firstTimestamp ? new Date(session.firstTimestamp).toISOString() : null,
+        projectPath: session.projectPath,
+        sessionFile: file,
+        flaggedCommands: sessFlaggedCommands
+      };
+    }
+
+    sessionStats.push({
+      sessionId,
+      projectPath: session.projectPath,
+      date: session.firstTimestamp ? new Date(session.firstTimestamp).toISOString() : null,
+      destructiveCount: sessDestructive,
+      writeCount: sessWrites
+    });
   }
 
   // Build file access list
@@ -416,6 +425,7 @@ module.exports = {
   isSensitivePath,
   classifyBashCommand,
   detectSecretsInCommand,
+  maskSecrets,
   assessMcpRisk,
   detectAnomalies,
   SENSITIVE_PATTERNS,
@@ -0,0 +1,113 @@
+const { findSessionIndex } = require('../data/reader.js');
+const { loadSessionFile } = require('../data/session-corpus.js');
+const { groupPrompts } = require('../data/session-parser.js');
+const { calculateCost, getPricing } = require('../cost/pricing.js');
+const { maskSecrets } = require('./security.js');
+
+// Longest prompt or response text returned
+const TEXT_LIMIT = 2000;
+
+// Text as it may leave the server: secrets masked, then cut to length
+function shown(text, limit = TEXT_LIMIT) {
+  return maskSecrets(String(text || '')).text.slice(0, limit);
+}
+
+// The argument that says what a tool call did, shortened for display
+function describeInput(input) {
+  const value = input.file_path || input.path || input.command || input.pattern || input.url || input.query || input.description || '';
+  return shown(value, 200);
+}
+
+function responseTokens(usage) {
+  return {
+    input: usage.inputTokens,
+    output: usage.outputTokens,
+    cacheRead: usage.cacheReadInputTokens,
+    cacheWrite: usage.cacheCreationInputTokens
+  };
+}
+
+function describeResponse(msg) {
+  const usage = msg.usage;
+  return {
+    timestamp: msg.timestamp || null,
+    model: msg.model,
+    text: shown(msg.text),
+    tokens: usage ? responseTokens(usage) : null,
+    contextTokens: usage ? usage.contextTokens : 0,
+    cost: usage && msg.model ? calculateCost(usage, msg.model, msg.timestamp).totalCost : 0,
+    toolCalls: msg.toolCalls.map(tool => ({
+      name: tool.name,
+      target: describeInput(tool.input),
+      result: tool.result || null
+    }))
+  };
+}
+
+// Turn-by-turn timeline of one session: each prompt with every response in
+// its tool loop, what they cost, and how large the context had grown by then
+async function getSessionDetail(sessionId) {
+  const entry = await findSessionIndex(sessionId);
+  if (!entry) return null;
+
+  const session = await loadSessionFile(entry.fullPath, entry.subagentFiles);
+
+  const subagentsByTurn = new Map();
+  for (const run of session.subagents || []) {
+    if (run.turnIndex === null) continue;
+    const cost = run.assistantMessages.reduce((sum, m) => sum + (m.usage && m.model ? calculateCost(m.usage, m.model, m.timestamp).totalCost : 0), 0);
+    if (!subagentsByTurn.has(run.turnIndex)) subagentsByTurn.set(run.turnIndex, []);
+    subagentsByTurn.get(run.turnIndex).push({ subagentType: run.subagentType, description: run.description, cost });
+  }
+
+  let cumulativeCost = 0;
+  let contextTokens = 0;
+  const turns = groupPrompts(session).map(turn => {
+    const responses = turn.responses.map(describeResponse);
+    const subagents = subagentsByTurn.get(turn.turnIndex) || [];
+    const tokens = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+    for (const r of responses) {
+      if (!r.tokens) continue;
+      for (const key of Object.keys(tokens)) tokens[key] += r.tokens[key];
+      // Context is whatever the latest request sent
+      if (r.contextTokens > 0) contextTokens = r.contextTokens;
+    }
+    const ownCost = responses.reduce((sum, r) => sum + r.cost, 0);
+    const subagentCost = subagents.reduce((sum, a) => sum + a.cost, 0);
+    cumulativeCost += ownCost + subagentCost;
+    const models = [...new Set(responses.map(r => r.model).filter(Boolean))];
+
+    return {
+      turnIndex: turn.turnIndex,
+      timestamp: turn.prompt.timestamp || null,
+      prompt: shown(turn.prompt.promptText),
+      compactSummary: !!turn.prompt.compactSummary,
+      models: models.map(m => ({ modelId: m, displayName: getPricing(m).displayName })),
+      tokens,
+      cost: ownCost,
+      subagentCost,
+      subagents,
+      cumulativeCost,
+      contextTokens,
+      toolCalls: responses.reduce((sum, r) => sum + r.toolCalls.length, 0),
+      responses
+    };
+  });
+
+  return {
+    sessionId: session.sessionId,
+    project: session.projectPath || entry.projectPath || null,
+    gitBranch: session.gitBranch,
+    root: entry.root || null,
+    firstTimestamp: session.firstTimestamp ? new Date(session.firstTimestamp).toISOString() : null,
+    lastTimestamp: session.lastTimestamp ? new Date(session.lastTimestamp).toISOString() : null,
+    duration: session.duration,
+    cost: cumulativeCost,
+    peakContextTokens: turns.reduce((max, t) => Math.max(max, ...t.responses.map(r => r.contextTokens)), 0),
+    events: session.events,
+    turns,
+    helpText: 'Every prompt of this session in order, with each API request Claude made to answer it, what it replied and the tool calls those requests ran, with their results. Secrets in prompts, replies and commands are masked as in the transcript viewer. Context is the prompt size of the latest request — it grows as the conversation gets longer and drops after a compaction. Cumulative cost includes subagents started during the turn.'
+  };
+}
+
+module.exports = { getSessionDetail };
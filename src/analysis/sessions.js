@@ -1,5 +1,5 @@
-const { getAllSessionIndexes, listProjectDirs, listSessionFiles } = require('../data/reader.js');
-const { parseSessionFile, aggregateSessionTokens } = require('../data/session-parser.js');
+const { getAllSessionIndexes, getClaudeRoots } = require('../data/reader.js');
+const { getSessionAggregates, flushParseCache } = require('../data/parse-cache.js');
 const { calculateCost } = require('../cost/pricing.js');
 
 let cachedSessions = null;
@@ -17,24 +17,58 @@ async function getSessions(filters) {
 async function buildAllSessions() {
   const indexes = await getAllSessionIndexes();
   const sessions = [];
+  const livePaths = new Set();
 
   for (const entry of indexes) {
     let cost = 0;
+    let longContextCost = 0;
+    let subagentCost = 0;
+    const subagents = [];
     let duration = 0;
+    let duplicateMessages = 0;
     let tokensByModel = {};
+    let tokensByDate = {};
+    let tokensByHour = {};
 
+    let aggregates = null;
     if (entry.fullPath) {
       try {
-        const session = await parseSessionFile(entry.fullPath);
-        tokensByModel = aggregateSessionTokens(session);
-        for (const [model, tokens] of Object.entries(tokensByModel)) {
-          const c = calculateCost(tokens, model);
+        aggregates = await getSessionAggregates(entry.fullPath, entry.subagentFiles);
+        livePaths.add(entry.fullPath);
+      } catch {
+        // Unreadable transcript: fall back to index data only
+      }
+    }
+
+    // Outside the try, so a broken pricing file fails the load instead of
+    // leaving every session at $0
+    if (aggregates) {
+      tokensByModel = aggregates.tokensByModel;
+      tokensByDate = aggregates.tokensByDate;
+      tokensByHour = aggregates.tokensByHour;
+      // Price each day's usage at the rate in force that day
+      for (const [date, byModel] of Object.entries(tokensByDate)) {
+        for (const [model, tokens] of Object.entries(byModel)) {
+          const c = calculateCost(tokens, model, date);
           cost += c.totalCost;
+          longContextCost += c.longContextCost;
         }
-        duration = session.duration;
-      } catch {
-        // Fall back to index data only
       }
+      // Already part of the session cost; broken out for attribution
+      for (const run of aggregates.subagents || []) {
+        let runCost = 0;
+        let runTokens = 0;
+        for (const [date, byModel] of Object.entries(run.tokensByDate)) {
+          for (const [model, tokens] of Object.entries(byModel)) {
+            runCost += calculateCost(tokens, model, date).totalCost;
+            runTokens += tokens.inputTokens + tokens.outputTokens + tokens.cacheReadInputTokens + tokens.cacheCreationInputTokens;
+          }
+        }
+        subagentCost += runCost;
+        subagents.push({ subagentType: run.subagentType, description: run.description, turnIndex: run.turnIndex, tokens: runTokens, cost: runCost });
+      }
+      duration = aggregates.duration;
+      duplicateMessages = aggregates.duplicateMessages || 0;
     }
 
     sessions.push({
@@ -46,12 +80,21 @@ async function buildAllSessions() {
       firstPrompt: entry.firstPrompt || null,
       messages: entry.messageCount || 0,
       cost,
+      longContextCost,
+      subagentCost,
+      subagents,
       duration,
+      duplicateMessages,
       gitBranch: entry.gitBranch || null,
-      tokensByModel
+      root: entry.root || null,
+      tokensByModel,
+      tokensByDate,
+      tokensByHour
     });
   }
 
+  await flushParseCache(livePaths);
+
   sessions.sort((a, b) => {
     if (!a.date) return 1;
     if (!b.date) return -1;
@@ -75,6 +118,12 @@ function applyFilters(sessions, filters) {
   if (filters.project) {
     result = result.filter(s => s.project && s.project === filters.project);
   }
+  if (filters.root) {
+    result = result.filter(s => s.root === filters.root);
+  }
+  if (filters.branch) {
+    result = result.filter(s => s.gitBranch === filters.branch);
+  }
 
   return result;
 }
@@ -87,8 +136,25 @@ function getUniqueProjects(sessions) {
   return [...projects].sort();
 }
 
+// Sessions newer than what each root's stats-cache.json already counts.
+// A root without a stats cache contributes all of its sessions.
+async function getUncachedSessions(stats) {
+  if (!stats) return [];
+  const cutoffs = stats.lastComputedDateByRoot || {};
+  const today = new Date().toISOString().split('T')[0];
+  const isStale = label => !(label in cutoffs) || (cutoffs[label] && cutoffs[label] < today);
+  if (!getClaudeRoots().some(r => isStale(r.label))) return [];
+
+  const allSessions = await getSessions();
+  return allSessions.filter(s => {
+    if (!(s.root in cutoffs)) return true;
+    const cutoff = cutoffs[s.root];
+    return cutoff && cutoff < today && s.date && s.date > cutoff;
+  });
+}
+
 function invalidateSessionsCache() {
   cachedSessions = null;
 }
 
-module.exports = { getSessions, getUniqueProjects, invalidateSessionsCache };
+module.exports = { getSessions, getUniqueProjects, getUncachedSessions, invalidateSessionsCache };
@@ -0,0 +1,100 @@
+const { getSessions } = require('./sessions.js');
+const { groupPrompts } = require('../data/session-parser.js');
+const { getSessionCorpus } = require('../data/session-corpus.js');
+const { calculateCost } = require('../cost/pricing.js');
+
+// Subagent spend per subagent type, from the cached session aggregates
+async function getSubagentTypes(filters) {
+  const sessions = await getSessions(filters);
+  const typeMap = {};
+  let totalCost = 0;
+  let subagentCost = 0;
+  let runs = 0;
+  let unlinkedRuns = 0;
+
+  for (const s of sessions) {
+    totalCost += s.cost || 0;
+    for (const run of s.subagents || []) {
+      runs++;
+      subagentCost += run.cost;
+      if (run.turnIndex === null) unlinkedRuns++;
+      if (!typeMap[run.subagentType]) {
+        typeMap[run.subagentType] = { subagentType: run.subagentType, runs: 0, sessions: new Set(), tokens: 0, cost: 0 };
+      }
+      const t = typeMap[run.subagentType];
+      t.runs++;
+      t.sessions.add(s.sessionId);
+      t.tokens += run.tokens;
+      t.cost += run.cost;
+    }
+  }
+
+  return {
+    runs,
+    unlinkedRuns,
+    subagentCost,
+    totalCost,
+    subagentPercent: totalCost > 0 ? Math.round((subagentCost / totalCost) * 1000) / 10 : 0,
+    types: Object.values(typeMap)
+      .map(t => ({ ...t, sessions: t.sessions.size, avgCost: t.runs > 0 ? t.cost / t.runs : 0 }))
+      .sort((a, b) => b.cost - a.cost)
+  };
+}
+
+function messagesCost(messages) {
+  let cost = 0;
+  for (const msg of messages) {
+    if (msg.usage && msg.model) cost += calculateCost(msg.usage, msg.model, msg.timestamp).totalCost;
+  }
+  return cost;
+}
+
+// Parent turns that delegated to subagents, with what each subagent cost
+async function getDelegatingTurns(filters) {
+  const [sessions, corpus] = await Promise.all([getSessions(filters), getSessionCorpus()]);
+  const included = new Set(sessions.map(s => s.sessionId));
+  const turns = [];
+
+  for (const { session } of corpus) {
+    if (!included.has(session.sessionId) || !session.subagents || session.subagents.length === 0) continue;
+
+    const byTurn = new Map();
+    for (const run of session.subagents) {
+      if (run.turnIndex === null) continue;
+      if (!byTurn.has(run.turnIndex)) byTurn.set(run.turnIndex, []);
+      byTurn.get(run.turnIndex).push({ subagentType: run.subagentType, description: run.description, cost: messagesCost(run.assistantMessages) });
+    }
+
+    for (const parent of groupPrompts(session)) {
+      const delegated = byTurn.get(parent.turnIndex);
+      if (!delegated) continue;
+      const ownCost = messagesCost(parent.responses);
+      const subagentCost = delegated.reduce((sum, d) => sum + d.cost, 0);
+      turns.push({
+        sessionId: session.sessionId,
+        project: session.projectPath,
+        date: parent.prompt.timestamp ? parent.prompt.timestamp.split('T')[0] : null,
+        turnIndex: parent.turnIndex,
+        prompt: (parent.prompt.promptText || '(no text)').slice(0, 200),
+        ownCost,
+        subagentCost,
+        totalCost: ownCost + subagentCost,
+        subagents: delegated
+      });
+    }
+  }
+
+  return turns.sort((a, b) => b.subagentCost - a.subagentCost);
+}
+
+// Cost of Task-tool subagents, per subagent type and per parent turn
+async function getSubagentCosts(filters) {
+  const [summary, turns] = await Promise.all([getSubagentTypes(filters), getDelegatingTurns(filters)]);
+  return {
+    ...summary,
+    topTurns: turns.slice(0, 20),
+    helpText: 'Cost of subagents started with the Task tool, which run in their own context and are billed on top of the conversation that delegated to them. Each run is linked to the Task call (and so the turn) that started it; runs that could not be matched are listed as unlinked. Subagents are worth it when they keep large searches out of the main context — but a subagent that re-reads the whole codebase can cost more than doing the work inline.'
+  };
+}
+
+module.exports = { getSubagentCosts, getSubagentTypes };
@@ -1,8 +1,24 @@
-const { listProjectDirs, listSessionFiles } = require('../data/reader.js');
-const { parseSessionFile } = require('../data/session-parser.js');
+const { getSessionCorpus } = require('../data/session-corpus.js');
+
+function sessionDate(session) {
+  return session.firstTimestamp ? new Date(session.firstTimestamp).toISOString().split('T')[0] : null;
+}
+
+function filterCorpus(corpus, filters) {
+  if (!filters) return corpus;
+  return corpus.filter(({ dir, session }) => {
+    if (filters.root && dir.root !== filters.root) return false;
+    if (filters.project && session.projectPath !== filters.project) return false;
+    if (filters.branch && session.gitBranch !== filters.branch) return false;
+    const date = sessionDate(session);
+    if (filters.from && date && date < filters.from) return false;
+    if (filters.to && date && date > filters.to) return false;
+    return true;
+  });
+}
 
 async function getToolUsage(filters) {
-  const projectDirs = await listProjectDirs();
+  const corpus = await getSessionCorpus();
   const toolCounts = {};
   let totalToolCalls = 0;
   let sessionCount = 0;
@@ -12,44 +28,17 @@ async function getToolUsage(filters) {
   const readTools = new Set(['Read', 'read', 'Grep', 'grep', 'Glob', 'glob', 'LS', 'ls']);
   const writeTools = new Set(['Write', 'write', 'Edit', 'edit', 'NotebookEdit']);
 
-  for (const dir of projectDirs) {
-    const sessionFiles = await listSessionFiles(dir.path);
-
-    for (const file of sessionFiles) {
-      try {
-        const session = await parseSessionFile(file);
-
-        // Apply basic filters if provided
-        if (filters) {
-          if (filters.project && session.projectPath !== filters.project) continue;
-          if (filters.from) {
-            const sessionDate = session.firstTimestamp
-              ? new Date(session.firstTimestamp).toISOString().split('T')[0]
-              : null;
-            if (sessionDate && sessionDate < filters.from) continue;
-          }
-          if (filters.to) {
-            const sessionDate = session.firstTimestamp
-              ? new Date(session.firstTimestamp).toISOString().split('T')[0]
-              : null;
-            if (sessionDate && sessionDate > filters.to) continue;
-          }
-        }
-
-        sessionCount++;
+  for (const { session } of filterCorpus(corpus, filters)) {
+    sessionCount++;
 
-        for (const msg of session.assistantMessages) {
-          for (const tool of msg.toolCalls) {
-            const name = tool.name;
-            toolCounts[name] = (toolCounts[name] || 0) + 1;
-            totalToolCalls++;
+    for (const msg of session.assistantMessages) {
+      for (const tool of msg.toolCalls) {
+        const name = tool.name;
+        toolCounts[name] = (toolCounts[name] || 0) + 1;
+        totalToolCalls++;
 
-            if (readTools.has(name)) readCount++;
-            if (writeTools.has(name)) writeCount++;
-          }
-        }
-      } catch {
-        // Skip unreadable sessions
+        if (readTools.has(name)) readCount++;
+        if (writeTools.has(name)) writeCount++;
       }
     }
   }
@@ -80,4 +69,58 @@ async function getToolUsage(filters) {
   };
 }
 
-module.exports = { getToolUsage };
+// How tool calls turned out, per tool: failures (errors other than the user
+// declining), rejections by the user, and how much output results returned
+async function getToolOutcomes(filters) {
+  const corpus = await getSessionCorpus();
+  const toolMap = {};
+  const largest = [];
+
+  for (const { session } of filterCorpus(corpus, filters)) {
+    for (const msg of session.assistantMessages) {
+      for (const tool of msg.toolCalls) {
+        if (!toolMap[tool.name]) {
+          toolMap[tool.name] = { name: tool.name, calls: 0, withResult: 0, failures: 0, rejections: 0, totalResultSize: 0, maxResultSize: 0 };
+        }
+        const t = toolMap[tool.name];
+        t.calls++;
+        const result = tool.result;
+        if (!result) continue;
+        t.withResult++;
+        if (result.rejected) t.rejections++;
+        else if (result.isError) t.failures++;
+        t.totalResultSize += result.size;
+        t.maxResultSize = Math.max(t.maxResultSize, result.size);
+        largest.push({ tool: tool.name, size: result.size, sessionId: session.sessionId, project: session.projectPath, timestamp: msg.timestamp });
+      }
+    }
+  }
+
+  const rate = (n, d) => d > 0 ? Math.round((n / d) * 1000) / 10 : 0;
+  const tools = Object.values(toolMap)
+    .map(t => ({
+      ...t,
+      failureRate: rate(t.failures, t.withResult),
+      rejectionRate: rate(t.rejections, t.withResult),
+      avgResultSize: t.withResult > 0 ? Math.round(t.totalResultSize / t.withResult) : 0
+    }))
+    .sort((a, b) => b.calls - a.calls);
+
+  const withResult = tools.reduce((sum, t) => sum + t.withResult, 0);
+  const failures = tools.reduce((sum, t) => sum + t.failures, 0);
+  const rejections = tools.reduce((sum, t) => sum + t.rejections, 0);
+
+  return {
+    tools,
+    totalCalls: tools.reduce((sum, t) => sum + t.calls, 0),
+    withResult,
+    failures,
+    rejections,
+    failureRate: rate(failures, withResult),
+    rejectionRate: rate(rejections, withResult),
+    largestResults: largest.sort((a, b) => b.size - a.size).slice(0, 10),
+    helpText: 'How each tool call turned out. Failures are calls that returned an error (a command that exited non-zero, an edit whose old text was not found); rejections are calls you declined at the permission prompt. A high failure rate on Edit usually means Claude is editing files it has not re-read; frequent rejections of one tool suggest adding an allow or deny rule for it. Large results fill the context window and make every later turn more expensive.'
+  };
+}
+
+module.exports = { getToolUsage, getToolOutcomes, filterCorpus };
@@ -0,0 +1,129 @@
+const { findSessionIndex } = require('../data/reader.js');
+const { readLines, toolResultText } = require('../data/session-parser.js');
+const { maskSecrets } = require('./security.js');
+
+// Longest text shown for a single block; the rest is cut off
+const BLOCK_LIMIT = 10000;
+
+// Turn one content block into what the viewer shows. Secrets are masked
+// before anything leaves the server.
+function readBlock(block, redactions) {
+  const text = value => {
+    const masked = maskSecrets(String(value || ''));
+    redactions.count += masked.count;
+    return {
+      text: masked.text.slice(0, BLOCK_LIMIT),
+      truncated: masked.text.length > BLOCK_LIMIT
+    };
+  };
+
+  switch (block.type) {
+    case 'text':
+      return { type: 'text', ...text(block.text) };
+    case 'thinking':
+      return { type: 'thinking', ...text(block.thinking) };
+    case 'redacted_thinking':
+      return { type: 'thinking', text: '(thinking redacted by the API)', truncated: false };
+    case 'tool_use':
+      return { type: 'tool_use', id: block.id || null, name: block.name, ...text(JSON.stringify(block.input || {}, null, 2)) };
+    case 'tool_result':
+      return { type: 'tool_result', toolUseId: block.tool_use_id || null, isError: !!block.is_error, ...text(toolResultText(block.content)) };
+    case 'image':
+      return { type: 'image', text: '(image)', truncated: false };
+    default:
+      return null;
+  }
+}
+
+function readContent(content, redactions) {
+  const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : Array.isArray(content) ? content : [];
+  return blocks.filter(Boolean).map(b => readBlock(b, redactions)).filter(Boolean);
+}
+
+// A user line with text, as opposed to a tool result inside Claude's tool loop
+function isPrompt(entry) {
+  return entry.compactSummary || entry.blocks.some(b => b.type === 'text' && b.text.replace(/<[^>]+>/g, '').trim());
+}
+
+// Number prompts the way groupPrompts does, so a turn here is the same turn
+// the timeline and expensive-prompts views refer to
+function numberTurns(entries) {
+  let turn = 0;
+  let prompt = null;
+  for (const entry of entries) {
+    if (entry.sidechain || entry.role === 'system') continue;
+    if (entry.role === 'user') {
+      if (!prompt || isPrompt(entry)) prompt = entry;
+    } else if (prompt && prompt.turnIndex === null) {
+      prompt.turnIndex = turn++;
+    }
+  }
+}
+
+// The conversation of one session as written to its JSONL transcript:
+// prompts, assistant text, thinking, and tool calls with their results
+async function getTranscript(sessionId) {
+  const entry = await findSessionIndex(sessionId);
+  if (!entry) return null;
+
+  const entries = [];
+  const redactions = { count: 0 };
+
+  await readLines(entry.fullPath, 0, line => {
+    if (!line.trim()) return true;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      return false;
+    }
+
+    if (obj.type === 'system' && obj.subtype === 'compact_boundary') {
+      const trigger = (obj.compactMetadata && obj.compactMetadata.trigger) || 'auto';
+      entries.push({
+        role: 'system',
+        messageId: null,
+        timestamp: obj.timestamp || null,
+        model: null,
+        sidechain: false,
+        compactSummary: false,
+        turnIndex: null,
+        blocks: [{ type: 'text', text: `Conversation compacted (${trigger})`, truncated: false }]
+      });
+      return true;
+    }
+    if (!obj.message || obj.isMeta || (obj.type !== 'user' && obj.type !== 'assistant')) return true;
+
+    const blocks = readContent(obj.message.content, redactions);
+    const last = entries[entries.length - 1];
+    // Streamed responses arrive one content block per line
+    if (obj.type === 'assistant' && obj.message.id && last && last.messageId === obj.message.id) {
+      last.blocks.push(...blocks);
+      return true;
+    }
+
+    entries.push({
+      role: obj.type,
+      messageId: obj.message.id || null,
+      timestamp: obj.timestamp || null,
+      model: obj.type === 'assistant' ? obj.message.model || null : null,
+      sidechain: !!obj.isSidechain,
+      compactSummary: !!obj.isCompactSummary,
+      turnIndex: null,
+      blocks
+    });
+    return true;
+  });
+
+  numberTurns(entries);
+
+  return {
+    sessionId,
+    project: entry.projectPath || null,
+    entries,
+    redactions: redactions.count,
+    helpText: 'The conversation as Claude Code recorded it. Tool calls, tool results and thinking are collapsed; click to expand. Anything matching the secret patterns from the Security tab (API keys, tokens, passwords) is masked before it reaches the browser. Very long blocks are cut off.'
+  };
+}
+
+module.exports = { getTranscript };
@@ -0,0 +1,128 @@
+const { getSessions } = require('./sessions.js');
+const { calculateCost } = require('../cost/pricing.js');
+const { getSettings } = require('../data/settings.js');
+
+const BLOCK_HOURS = 5;
+const HOUR_MS = 60 * 60 * 1000;
+const BLOCK_MS = BLOCK_HOURS * HOUR_MS;
+
+function totalTokens(usage) {
+  return usage.inputTokens + usage.outputTokens + usage.cacheReadInputTokens + usage.cacheCreationInputTokens;
+}
+
+// Usage per UTC hour across all sessions: [{ time, tokens, cost, models, sessions }]
+function buildHourlyUsage(sessions) {
+  const hourMap = {};
+
+  for (const s of sessions) {
+    for (const [hour, byModel] of Object.entries(s.tokensByHour || {})) {
+      if (!hourMap[hour]) {
+        hourMap[hour] = { time: Date.parse(hour + ':00:00Z'), tokens: 0, cost: 0, models: {}, sessions: new Set() };
+      }
+      const h = hourMap[hour];
+      for (const [model, usage] of Object.entries(byModel)) {
+        const cost = calculateCost(usage, model, hour).totalCost;
+        h.tokens += totalTokens(usage);
+        h.cost += cost;
+        h.models[model] = (h.models[model] || 0) + cost;
+      }
+      h.sessions.add(s.sessionId);
+    }
+  }
+
+  return Object.values(hourMap).sort((a, b) => a.time - b.time);
+}
+
+// Rebuild rolling blocks the way subscription limits count them: a block
+// opens at the hour of the first message after the previous block closed and
+// lasts five hours.
+function buildBlocks(hourly, now = Date.now()) {
+  const blocks = [];
+  let block = null;
+
+  for (const h of hourly) {
+    if (!block || h.time >= block.end) {
+      block = { start: h.time, end: h.time + BLOCK_MS, tokens: 0, cost: 0, models: {}, sessions: new Set(), activeHours: 0 };
+      blocks.push(block);
+    }
+    block.tokens += h.tokens;
+    block.cost += h.cost;
+    block.activeHours++;
+    for (const [model, cost] of Object.entries(h.models)) {
+      block.models[model] = (block.models[model] || 0) + cost;
+    }
+    for (const id of h.sessions) block.sessions.add(id);
+  }
+
+  return blocks.map(b => ({
+    start: new Date(b.start).toISOString(),
+    end: new Date(b.end).toISOString(),
+    active: now >= b.start && now < b.end,
+    tokens: b.tokens,
+    cost: b.cost,
+    models: b.models,
+    sessions: b.sessions.size,
+    activeHours: b.activeHours
+  }));
+}
+
+// Burn rate since the block opened, and when the limit will be reached at
+// that rate. `limitAt` is null when the block resets first.
+function projectBlock(block, limit, now = Date.now()) {
+  const start = Date.parse(block.start);
+  const end = Date.parse(block.end);
+  const elapsedMinutes = Math.max((now - start) / 60000, 1);
+  const remainingMinutes = Math.max((end - now) / 60000, 0);
+  const tokensPerMinute = block.tokens / elapsedMinutes;
+  const costPerHour = (block.cost / elapsedMinutes) * 60;
+
+  let limitAt = null;
+  if (limit) {
+    if (block.tokens >= limit) {
+      limitAt = new Date(now).toISOString();
+    } else if (tokensPerMinute > 0) {
+      const minutesToLimit = (limit - block.tokens) / tokensPerMinute;
+      if (minutesToLimit <= remainingMinutes) limitAt = new Date(now + minutesToLimit * 60000).toISOString();
+    }
+  }
+
+  return {
+    elapsedMinutes: Math.round(elapsedMinutes),
+    remainingMinutes: Math.round(remainingMinutes),
+    tokensPerMinute,
+    costPerHour,
+    projectedTokens: block.tokens + tokensPerMinute * remainingMinutes,
+    projectedCost: block.cost + (costPerHour / 60) * remainingMinutes,
+    limitPercent: limit ? Math.round((block.tokens / limit) * 1000) / 10 : null,
+    limitAt
+  };
+}
+
+async function getUsageBlocks(filters) {
+  const now = Date.now();
+  const sessions = await getSessions(filters);
+  const blocks = buildBlocks(buildHourlyUsage(sessions), now);
+
+  // Without a configured limit, the busiest finished block stands in for it
+  const configured = parseInt(getSettings().blockTokenLimit, 10) || null;
+  const finished = blocks.filter(b => !b.active);
+  const historicalMax = finished.reduce((max, b) => Math.max(max, b.tokens), 0) || null;
+  const limit = configured || historicalMax;
+
+  const active = blocks.find(b => b.active) || null;
+  const current = active ? { ...active, ...projectBlock(active, limit, now) } : null;
+
+  return {
+    blockHours: BLOCK_HOURS,
+    limit: {
+      tokens: limit,
+      source: configured ? 'setting' : historicalMax ? 'history' : null
+    },
+    current,
+    blocks: blocks.slice(-20).reverse(),
+    averageBlockCost: finished.length > 0 ? finished.reduce((sum, b) => sum + b.cost, 0) / finished.length : 0,
+    helpText: 'Subscription usage limits reset on rolling 5-hour blocks. A block opens at the hour of your first message after the previous block closed. The current block\'s burn rate is measured from when it opened; the limit is your blockTokenLimit setting, or else your busiest finished block, since actual limits are not published.'
+  };
+}
+
+module.exports = { getUsageBlocks, buildHourlyUsage, buildBlocks, projectBlock, BLOCK_HOURS };
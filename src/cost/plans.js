@@ -0,0 +1,32 @@
+// Claude subscription plans, priced per month (USD). `api` is pay-as-you-go,
+// which costs exactly the API-equivalent spend. `tier` is the plan's usage
+// allowance relative to Pro.
+const PLANS = {
+  api: { id: 'api', label: 'API (pay as you go)', monthlyPrice: null, tier: null },
+  pro: { id: 'pro', label: 'Pro', monthlyPrice: 20, tier: 1 },
+  max5x: { id: 'max5x', label: 'Max 5x', monthlyPrice: 100, tier: 5 },
+  max20x: { id: 'max20x', label: 'Max 20x', monthlyPrice: 200, tier: 20 }
+};
+
+// A plan setting is a plan id ("max5x", "Max 20x", "max-5x"), a monthly price
+// (150 or "150") for a custom plan, or { name, monthlyPrice }.
+function resolvePlan(spec) {
+  if (spec === undefined || spec === null || spec === '') return PLANS.api;
+
+  if (typeof spec === 'object') {
+    const price = Number(spec.monthlyPrice);
+    if (!(price >= 0)) throw new Error('Custom plan needs a monthlyPrice');
+    return { id: 'custom', label: spec.name || 'Custom plan', monthlyPrice: price, tier: null };
+  }
+
+  const text = String(spec).trim();
+  if (/^\$?\d+(\.\d+)?$/.test(text)) {
+    return { id: 'custom', label: 'Custom plan', monthlyPrice: Number(text.replace('$', '')), tier: null };
+  }
+
+  const id = text.toLowerCase().replace(/[\s_-]/g, '');
+  if (PLANS[id]) return PLANS[id];
+  throw new Error(`Unknown plan "${spec}". Use api, pro, max5x, max20x, or a monthly price.`);
+}
+
+module.exports = { PLANS, resolvePlan };
@@ -1,40 +1,50 @@
-// Pricing per million tokens (USD)
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR } = require('../data/settings.js');
+
+// Built-in price history, per million tokens (USD). Each model lists the
+// prices in force from an effective date (UTC, YYYY-MM-DD); an entry without
+// `from` applies from the beginning. cacheWrite is the 5-minute cache write
+// rate and cacheWrite1h the 1-hour one (twice input when omitted).
+// `longContext` rates, where a model has them, apply to whole requests whose
+// prompt exceeds LONG_CONTEXT_THRESHOLD.
 // Source: https://docs.anthropic.com/en/docs/about-claude/pricing
 const MODEL_PRICING = {
   'claude-opus-4-6': {
-    input: 15.00,
-    output: 75.00,
-    cacheRead: 1.50,
-    cacheWrite: 18.75,
-    displayName: 'Claude Opus 4.6'
+    displayName: 'Claude Opus 4.6',
+    prices: [
+      { input: 15.00, output: 75.00, cacheRead: 1.50, cacheWrite: 18.75, cacheWrite1h: 30.00 }
+    ]
   },
   'claude-opus-4-5-20251101': {
-    input: 15.00,
-    output: 75.00,
-    cacheRead: 1.50,
-    cacheWrite: 18.75,
-    displayName: 'Claude Opus 4.5'
+    displayName: 'Claude Opus 4.5',
+    prices: [
+      { input: 15.00, output: 75.00, cacheRead: 1.50, cacheWrite: 18.75, cacheWrite1h: 30.00 }
+    ]
   },
   'claude-sonnet-4-6': {
-    input: 3.00,
-    output: 15.00,
-    cacheRead: 0.30,
-    cacheWrite: 3.75,
-    displayName: 'Claude Sonnet 4.6'
+    displayName: 'Claude Sonnet 4.6',
+    prices: [
+      {
+        input: 3.00, output: 15.00, cacheRead: 0.30, cacheWrite: 3.75, cacheWrite1h: 6.00,
+        longContext: { input: 6.00, output: 22.50, cacheRead: 0.60, cacheWrite: 7.50, cacheWrite1h: 12.00 }
+      }
+    ]
   },
   'claude-sonnet-4-5-20250929': {
-    input: 3.00,
-    output: 15.00,
-    cacheRead: 0.30,
-    cacheWrite: 3.75,
-    displayName: 'Claude Sonnet 4.5'
+    displayName: 'Claude Sonnet 4.5',
+    prices: [
+      {
+        input: 3.00, output: 15.00, cacheRead: 0.30, cacheWrite: 3.75, cacheWrite1h: 6.00,
+        longContext: { input: 6.00, output: 22.50, cacheRead: 0.60, cacheWrite: 7.50, cacheWrite1h: 12.00 }
+      }
+    ]
   },
   'claude-haiku-4-5-20251001': {
-    input: 0.80,
-    output: 4.00,
-    cacheRead: 0.08,
-    cacheWrite: 1.00,
-    displayName: 'Claude Haiku 4.5'
+    displayName: 'Claude Haiku 4.5',
+    prices: [
+      { input: 0.80, output: 4.00, cacheRead: 0.08, cacheWrite: 1.00, cacheWrite1h: 1.60 }
+    ]
   }
 };
 
@@ -44,33 +54,174 @@ const FALLBACK_PRICING = {
   output: 15.00,
   cacheRead: 0.30,
   cacheWrite: 3.75,
+  cacheWrite1h: 6.00,
   displayName: 'Unknown Model'
 };
 
-function getPricing(modelId) {
+const PRICE_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+// Prompt size (input + cache read + cache write tokens) above which a request
+// is billed at the long-context rate
+const LONG_CONTEXT_THRESHOLD = 200_000;
+
+// Local overrides use the same shape under a "models" key. Entries are merged
+// into the built-in history by effective date, so adding a dated price keeps
+// older messages at the old rate.
+let pricingFile = process.env.CLAUDE_BURN_RATE_PRICING || path.join(CONFIG_DIR, 'pricing.json');
+let pricingTable = null;
+
+function setPricingFile(filePath) {
+  pricingFile = filePath;
+  pricingTable = null;
+}
+
+function getPricingFile() {
+  return pricingFile;
+}
+
+function loadPricingTable() {
+  if (pricingTable) return pricingTable;
+
+  const table = {};
+  for (const [modelId, model] of Object.entries(MODEL_PRICING)) {
+    table[modelId] = { displayName: model.displayName, prices: [...model.prices] };
+  }
+
+  for (const [modelId, model] of Object.entries(readPricingOverrides(pricingFile))) {
+    const entry = table[modelId] || (table[modelId] = { displayName: modelId, prices: [] });
+    if (model.displayName) entry.displayName = model.displayName;
+    for (const price of model.prices || []) {
+      entry.prices = entry.prices.filter(p => (p.from || '') !== (price.from || ''));
+      entry.prices.push(price);
+    }
+  }
+
+  for (const model of Object.values(table)) {
+    model.prices.sort((a, b) => (a.from || '').localeCompare(b.from || ''));
+  }
+
+  pricingTable = table;
+  return table;
+}
+
+// A missing file means no overrides; a malformed one is an error naming the file
+function readPricingOverrides(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid pricing file ${filePath}: ${err.message}`);
+  }
+
+  const models = (parsed && parsed.models) || {};
+  for (const [modelId, model] of Object.entries(models)) {
+    for (const price of (model && model.prices) || []) {
+      const missing = PRICE_FIELDS.filter(f => typeof price[f] !== 'number');
+      if (price.longContext) {
+        missing.push(...PRICE_FIELDS.filter(f => typeof price.longContext[f] !== 'number').map(f => 'longContext.' + f));
+      }
+      if (missing.length > 0) {
+        throw new Error(`Invalid pricing file ${filePath}: ${modelId} price is missing ${missing.join(', ')}`);
+      }
+      if (price.from !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(price.from)) {
+        throw new Error(`Invalid pricing file ${filePath}: ${modelId} has a bad "from" date (${price.from})`);
+      }
+    }
+  }
+  return models;
+}
+
+// The entry in force on the given date, or the latest when no date is known.
+// Dates before the first effective date get the earliest price.
+function priceAt(prices, date) {
+  if (!date) return prices[prices.length - 1];
+  let current = prices[0];
+  for (const price of prices) {
+    if (!price.from || price.from <= date) current = price;
+  }
+  return current;
+}
+
+function toDate(timestamp) {
+  if (!timestamp) return null;
+  if (typeof timestamp === 'string' && /^\d{4}-\d{2}-\d{2}/.test(timestamp)) return timestamp.slice(0, 10);
+  const d = new Date(timestamp);
+  return isNaN(d) ? null : d.toISOString().split('T')[0];
+}
+
+// How a model ID was priced: 'exact' or 'prefix' from the pricing table,
+// 'heuristic' from a tier named in the ID, or 'fallback' (Sonnet-tier guess)
+function findModel(table, modelId) {
   // Try exact match first
-  if (MODEL_PRICING[modelId]) return MODEL_PRICING[modelId];
+  if (table[modelId] && table[modelId].prices.length > 0) {
+    return { model: table[modelId], match: 'exact', pricedAs: modelId };
+  }
 
   // Try prefix match (e.g. "claude-opus-4-6-20260101" matches "claude-opus-4-6")
-  for (const [key, pricing] of Object.entries(MODEL_PRICING)) {
-    if (modelId.startsWith(key)) return pricing;
+  let best = null;
+  for (const [key, model] of Object.entries(table)) {
+    if (model.prices.length === 0 || !modelId.startsWith(key)) continue;
+    if (!best || key.length > best.pricedAs.length) best = { model, match: 'prefix', pricedAs: key };
+  }
+  return best;
+}
+
+// Prices for a model at a point in time (ISO timestamp, date string or ms).
+// Without a timestamp, the current price is returned. `match` and `pricedAs`
+// record how the model ID was resolved.
+function getPricing(modelId, timestamp) {
+  const found = findModel(loadPricingTable(), modelId);
+  if (found) {
+    const { input, output, cacheRead, cacheWrite, cacheWrite1h, longContext } = priceAt(found.model.prices, toDate(timestamp));
+    return {
+      input, output, cacheRead, cacheWrite,
+      cacheWrite1h: cacheWrite1h !== undefined ? cacheWrite1h : input * 2,
+      longContext: longContext ? { cacheWrite1h: longContext.input * 2, ...longContext } : null,
+      displayName: found.model.displayName,
+      match: found.match,
+      pricedAs: found.pricedAs
+    };
   }
 
   // Infer from model name
-  if (modelId.includes('opus')) return { ...FALLBACK_PRICING, input: 15.00, output: 75.00, cacheRead: 1.50, cacheWrite: 18.75 };
-  if (modelId.includes('haiku')) return { ...FALLBACK_PRICING, input: 0.80, output: 4.00, cacheRead: 0.08, cacheWrite: 1.00 };
+  if (modelId.includes('opus')) return { ...FALLBACK_PRICING, input: 15.00, output: 75.00, cacheRead: 1.50, cacheWrite: 18.75, cacheWrite1h: 30.00, match: 'heuristic', pricedAs: 'opus tier' };
+  if (modelId.includes('haiku')) return { ...FALLBACK_PRICING, input: 0.80, output: 4.00, cacheRead: 0.08, cacheWrite: 1.00, cacheWrite1h: 1.60, match: 'heuristic', pricedAs: 'haiku tier' };
 
-  return FALLBACK_PRICING;
+  return { ...FALLBACK_PRICING, match: 'fallback', pricedAs: null };
 }
 
-function calculateCost(usage, modelId) {
-  const pricing = getPricing(modelId);
-  const perMillion = 1_000_000;
+// usage is either one request (its contextTokens pick the tier) or an
+// aggregate whose nested `longContext` usage is the part from long-context
+// requests. longContextCost is the share of totalCost billed at that tier.
+function calculateCost(usage, modelId, timestamp) {
+  const pricing = getPricing(modelId, timestamp);
+
+  let standard = usage;
+  let long = null;
+  if (usage.longContext) {
+    long = usage.longContext;
+    standard = subtractUsage(usage, long);
+  } else if ((usage.contextTokens || 0) > LONG_CONTEXT_THRESHOLD) {
+    long = usage;
+    standard = {};
+  }
 
-  const inputCost = ((usage.inputTokens || 0) / perMillion) * pricing.input;
-  const outputCost = ((usage.outputTokens || 0) / perMillion) * pricing.output;
-  const cacheReadCost = ((usage.cacheReadInputTokens || 0) / perMillion) * pricing.cacheRead;
-  const cacheWriteCost = ((usage.cacheCreationInputTokens || 0) / perMillion) * pricing.cacheWrite;
+  const base = priceUsage(standard, pricing);
+  // Models without long-context rates bill large requests at the standard rate
+  const premium = long ? priceUsage(long, pricing.longContext || pricing) : priceUsage({}, pricing);
+
+  const inputCost = base.inputCost + premium.inputCost;
+  const outputCost = base.outputCost + premium.outputCost;
+  const cacheReadCost = base.cacheReadCost + premium.cacheReadCost;
+  const cacheWriteCost = base.cacheWriteCost + premium.cacheWriteCost;
 
   return {
     inputCost,
@@ -78,21 +229,67 @@ function calculateCost(usage, modelId) {
     cacheReadCost,
     cacheWriteCost,
     totalCost: inputCost + outputCost + cacheReadCost + cacheWriteCost,
+    cacheWrite1hCost: base.cacheWrite1hCost + premium.cacheWrite1hCost,
+    longContextCost: premium.inputCost + premium.outputCost + premium.cacheReadCost + premium.cacheWriteCost,
     breakdown: {
       inputTokens: usage.inputTokens || 0,
       outputTokens: usage.outputTokens || 0,
       cacheReadInputTokens: usage.cacheReadInputTokens || 0,
-      cacheCreationInputTokens: usage.cacheCreationInputTokens || 0
+      cacheCreationInputTokens: usage.cacheCreationInputTokens || 0,
+      cacheCreation1hInputTokens: usage.cacheCreation1hInputTokens || 0
     }
   };
 }
 
-function calculateTotalCost(modelUsage) {
+// cacheCreationInputTokens counts both cache TTLs; the 1-hour part is billed
+// at its own rate
+function priceUsage(usage, rates) {
+  const perMillion = 1_000_000;
+  const cacheWrite1h = usage.cacheCreation1hInputTokens || 0;
+  const cacheWrite5m = (usage.cacheCreationInputTokens || 0) - cacheWrite1h;
+  const cacheWrite1hCost = (cacheWrite1h / perMillion) * rates.cacheWrite1h;
+  return {
+    inputCost: ((usage.inputTokens || 0) / perMillion) * rates.input,
+    outputCost: ((usage.outputTokens || 0) / perMillion) * rates.output,
+    cacheReadCost: ((usage.cacheReadInputTokens || 0) / perMillion) * rates.cacheRead,
+    cacheWriteCost: (cacheWrite5m / perMillion) * rates.cacheWrite + cacheWrite1hCost,
+    cacheWrite1hCost
+  };
+}
+
+function subtractUsage(usage, part) {
+  return {
+    inputTokens: (usage.inputTokens || 0) - (part.inputTokens || 0),
+    outputTokens: (usage.outputTokens || 0) - (part.outputTokens || 0),
+    cacheReadInputTokens: (usage.cacheReadInputTokens || 0) - (part.cacheReadInputTokens || 0),
+    cacheCreationInputTokens: (usage.cacheCreationInputTokens || 0) - (part.cacheCreationInputTokens || 0),
+    cacheCreation1hInputTokens: (usage.cacheCreation1hInputTokens || 0) - (part.cacheCreation1hInputTokens || 0)
+  };
+}
+
+function scaleUsage(usage, factor) {
+  const scaled = {
+    inputTokens: (usage.inputTokens || 0) * factor,
+    outputTokens: (usage.outputTokens || 0) * factor,
+    cacheReadInputTokens: (usage.cacheReadInputTokens || 0) * factor,
+    cacheCreationInputTokens: (usage.cacheCreationInputTokens || 0) * factor,
+    cacheCreation1hInputTokens: (usage.cacheCreation1hInputTokens || 0) * factor
+  };
+  if (usage.longContext) scaled.longContext = scaleUsage(usage.longContext, factor);
+  return scaled;
+}
+
+// Aggregate usage has no timestamps of its own. When dailyModelTokens is given,
+// each model's usage is spread over the days it was used, in proportion to that
+// day's tokens, and each share is priced at the rate in force on that day.
+function calculateTotalCost(modelUsage, dailyModelTokens) {
+  const daysByModel = dailyModelTokens ? groupDaysByModel(dailyModelTokens) : {};
   let totalCost = 0;
   const byModel = {};
 
   for (const [modelId, usage] of Object.entries(modelUsage)) {
-    const cost = calculateCost(usage, modelId);
+    const days = daysByModel[modelId];
+    const cost = days ? calculateSpreadCost(usage, modelId, days) : calculateCost(usage, modelId);
     const pricing = getPricing(modelId);
     totalCost += cost.totalCost;
     byModel[modelId] = {
@@ -104,6 +301,39 @@ function calculateTotalCost(modelUsage) {
   return { totalCost, byModel };
 }
 
+// model -> [{ date, share }] with shares summing to 1
+function groupDaysByModel(dailyModelTokens) {
+  const byModel = {};
+  for (const day of dailyModelTokens) {
+    for (const [modelId, tokens] of Object.entries(day.tokensByModel || {})) {
+      if (!tokens) continue;
+      if (!byModel[modelId]) byModel[modelId] = [];
+      byModel[modelId].push({ date: day.date, tokens });
+    }
+  }
+  for (const days of Object.values(byModel)) {
+    const total = days.reduce((sum, d) => sum + d.tokens, 0);
+    for (const d of days) d.share = d.tokens / total;
+  }
+  return byModel;
+}
+
+function calculateSpreadCost(usage, modelId, days) {
+  const result = calculateCost({}, modelId);
+  result.breakdown = calculateCost(usage, modelId).breakdown;
+  for (const { date, share } of days) {
+    const part = calculateCost(scaleUsage(usage, share), modelId, date);
+    result.inputCost += part.inputCost;
+    result.outputCost += part.outputCost;
+    result.cacheReadCost += part.cacheReadCost;
+    result.cacheWriteCost += part.cacheWriteCost;
+    result.cacheWrite1hCost += part.cacheWrite1hCost;
+    result.totalCost += part.totalCost;
+    result.longContextCost += part.longContextCost;
+  }
+  return result;
+}
+
 function formatCost(amount) {
   if (amount >= 1) return `$${amount.toFixed(2)}`;
   if (amount >= 0.01) return `$${amount.toFixed(3)}`;
@@ -118,6 +348,9 @@ function formatTokens(count) {
 
 module.exports = {
   MODEL_PRICING,
+  LONG_CONTEXT_THRESHOLD,
+  setPricingFile,
+  getPricingFile,
   getPricing,
   calculateCost,
   calculateTotalCost,
@@ -1,8 +1,6 @@
 const fs = require('fs/promises');
 const path = require('path');
-const os = require('os');
-
-const CLAUDE_DIR = path.join(os.homedir(), '.claude');
+const { getClaudeDir } = require('./reader.js');
 
 async function readJsonSafe(filePath) {
   try {
@@ -32,7 +30,7 @@ async function readClaudeConfig() {
 
   // --- MCP Servers ---
   // Global: ~/.claude/.mcp.json
-  const globalMcp = await readJsonSafe(path.join(CLAUDE_DIR, '.mcp.json'));
+  const globalMcp = await readJsonSafe(path.join(getClaudeDir(), '.mcp.json'));
   if (globalMcp && globalMcp.mcpServers) {
     const names = Object.keys(globalMcp.mcpServers);
     for (const name of names) {
@@ -43,7 +41,7 @@ async function readClaudeConfig() {
   }
 
   // Also check settings.json for mcpServers
-  const globalSettings = await readJsonSafe(path.join(CLAUDE_DIR, 'settings.json'));
+  const globalSettings = await readJsonSafe(path.join(getClaudeDir(), 'settings.json'));
   if (globalSettings && globalSettings.mcpServers) {
     const names = Object.keys(globalSettings.mcpServers);
     for (const name of names) {
@@ -57,7 +55,7 @@ async function readClaudeConfig() {
 
   // --- Custom Commands ---
   // Global: ~/.claude/commands/
-  const globalCmds = await listMdFiles(path.join(CLAUDE_DIR, 'commands'));
+  const globalCmds = await listMdFiles(path.join(getClaudeDir(), 'commands'));
   for (const cmd of globalCmds) {
     if (!config.commands.names.includes(cmd)) {
       config.commands.names.push(cmd);
@@ -99,7 +97,7 @@ async function readPermissionSettings() {
   const result = { global: { allow: [] }, projects: [] };
 
   // Global: ~/.claude/settings.json -> permissions.allow
-  const globalSettings = await readJsonSafe(path.join(CLAUDE_DIR, 'settings.json'));
+  const globalSettings = await readJsonSafe(path.join(getClaudeDir(), 'settings.json'));
   if (globalSettings && globalSettings.permissions && Array.isArray(globalSettings.permissions.allow)) {
     result.global.allow = globalSettings.permissions.allow;
   }
@@ -124,7 +122,7 @@ async function readMcpServersRaw() {
   const servers = {};
 
   // Global: ~/.claude/.mcp.json
-  const globalMcp = await readJsonSafe(path.join(CLAUDE_DIR, '.mcp.json'));
+  const globalMcp = await readJsonSafe(path.join(getClaudeDir(), '.mcp.json'));
   if (globalMcp && globalMcp.mcpServers) {
     for (const [name, config] of Object.entries(globalMcp.mcpServers)) {
       servers[name] = { ...config, source: 'global (.mcp.json)' };
@@ -132,7 +130,7 @@ async function readMcpServersRaw() {
   }
 
   // Global: ~/.claude/settings.json
-  const globalSettings = await readJsonSafe(path.join(CLAUDE_DIR, 'settings.json'));
+  const globalSettings = await readJsonSafe(path.join(getClaudeDir(), 'settings.json'));
   if (globalSettings && globalSettings.mcpServers) {
     for (const [name, config] of Object.entries(globalSettings.mcpServers)) {
       if (!servers[name]) {
@@ -0,0 +1,97 @@
+// Line diffs for replaying file edits
+
+// Past this many changed lines the shortest edit script isn't worth its cost;
+// lines are then matched regardless of order instead
+const MAX_EDIT = 2000;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  // A trailing newline ends the last line rather than starting another
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Lines of after not in before and lines of before not in after, each
+// counted as often as it occurs
+function multisetDiff(before, after) {
+  const counts = new Map();
+  for (const line of before) counts.set(line, (counts.get(line) || 0) + 1);
+  const added = [];
+  for (const line of after) {
+    const n = counts.get(line) || 0;
+    if (n > 0) counts.set(line, n - 1);
+    else added.push(line);
+  }
+  const removed = [];
+  for (const [line, n] of counts) for (let i = 0; i < n; i++) removed.push(line);
+  return { added, removed };
+}
+
+// Myers' O(ND) shortest edit script between two arrays of lines:
+// { added: [lines], removed: [lines] }
+function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endA = before.length;
+  let endB = after.length;
+  while (endA > start && endB > start && before[endA - 1] === after[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const a = before.slice(start, endA);
+  const b = after.slice(start, endB);
+  if (a.length === 0) return { added: b, removed: [] };
+  if (b.length === 0) return { added: [], removed: a };
+
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT);
+  // v[k + offset] = furthest x reached on diagonal k
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b);
+    }
+  }
+  return multisetDiff(a, b);
+}
+
+// Walk the saved frontiers back from the end to collect the edits
+function backtrack(trace, a, b) {
+  const added = [];
+  const removed = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const frame = trace[d];
+    // frame holds diagonals -d-1 .. d+1
+    const at = k => frame[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+    }
+    if (x === prevX) added.push(b[prevY]);
+    else removed.push(a[prevX]);
+    x = prevX;
+    y = prevY;
+  }
+  return { added: added.reverse(), removed: removed.reverse() };
+}
+
+module.exports = { diffLines, splitLines };
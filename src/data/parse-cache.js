@@ -0,0 +1,121 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const { aggregateSessionTokens, aggregateSessionTokensByDate, aggregateSessionTokensByHour, aggregateTokensByDate } = require('./session-parser.js');
+const { loadSessionFile } = require('./session-corpus.js');
+
+// Persistent per-session aggregates, so a fresh launch (or --summary run)
+// only re-parses transcripts that are new or have changed since last time.
+// Bump CACHE_VERSION whenever the shape of a cached entry changes.
+const CACHE_VERSION = 7;
+const CACHE_DIR = path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'claude-burn-rate');
+const CACHE_FILE = path.join(CACHE_DIR, 'sessions.json');
+
+// filePath -> { size, mtimeMs, aggregates }
+let entries = null;
+let dirty = false;
+
+async function loadParseCache() {
+  if (entries) return entries;
+  entries = new Map();
+  try {
+    const raw = JSON.parse(await fs.readFile(CACHE_FILE, 'utf-8'));
+    if (raw && raw.version === CACHE_VERSION && raw.entries) {
+      for (const [filePath, entry] of Object.entries(raw.entries)) {
+        entries.set(filePath, entry);
+      }
+    }
+  } catch {
+    // Missing or corrupt cache — start empty
+  }
+  return entries;
+}
+
+// Aggregates for one session file and its subagent transcripts, from the
+// cache when every file's size and mtime still match, otherwise parsed and
+// stored. Throws if the session file can't be read.
+async function getSessionAggregates(filePath, agentFiles = []) {
+  const cache = await loadParseCache();
+  const stat = await fs.stat(filePath);
+  const agentsKey = await statKey(agentFiles);
+
+  const cached = cache.get(filePath);
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs && cached.agentsKey === agentsKey) {
+    return cached.aggregates;
+  }
+
+  // Summarized from the corpus's parse when it has one; otherwise only the
+  // aggregates are kept and the full parse is dropped
+  const session = await loadSessionFile(filePath, agentFiles, { keep: false });
+  const aggregates = summarizeSession(session);
+  cache.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, agentsKey, aggregates });
+  dirty = true;
+  return aggregates;
+}
+
+async function statKey(files) {
+  const parts = [];
+  for (const file of files) {
+    try {
+      const stat = await fs.stat(file);
+      parts.push(`${file}:${stat.size}:${stat.mtimeMs}`);
+    } catch {
+      parts.push(`${file}:missing`);
+    }
+  }
+  return parts.join('|');
+}
+
+function summarizeSession(session) {
+  return {
+    sessionId: session.sessionId,
+    projectPath: session.projectPath,
+    gitBranch: session.gitBranch,
+    firstTimestamp: session.firstTimestamp,
+    lastTimestamp: session.lastTimestamp,
+    duration: session.duration,
+    messageCount: session.messageCount,
+    duplicateMessages: session.duplicateMessages,
+    tokensByModel: aggregateSessionTokens(session),
+    // Tokens rather than costs, so editing the pricing file needs no re-parse
+    tokensByDate: aggregateSessionTokensByDate(session),
+    tokensByHour: aggregateSessionTokensByHour(session),
+    subagents: (session.subagents || []).map(run => ({
+      agentId: run.agentId,
+      subagentType: run.subagentType,
+      description: run.description,
+      turnIndex: run.turnIndex,
+      tokensByDate: aggregateTokensByDate(run.assistantMessages, run.firstTimestamp || session.firstTimestamp)
+    }))
+  };
+}
+
+// Write the cache back to disk if anything changed. When livePaths is given,
+// entries for files that no longer exist are dropped first.
+async function flushParseCache(livePaths) {
+  if (!entries) return;
+  if (livePaths) {
+    for (const filePath of entries.keys()) {
+      if (!livePaths.has(filePath)) {
+        entries.delete(filePath);
+        dirty = true;
+      }
+    }
+  }
+  if (!dirty) return;
+
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const tmpFile = CACHE_FILE + '.' + process.pid + '.tmp';
+    await fs.writeFile(tmpFile, JSON.stringify({
+      version: CACHE_VERSION,
+      entries: Object.fromEntries(entries)
+    }));
+    await fs.rename(tmpFile, CACHE_FILE);
+    dirty = false;
+  } catch {
+    // Cache is best-effort — a read-only home shouldn't break the tool
+  }
+}
+
+module.exports = { CACHE_FILE, loadParseCache, getSessionAggregates, flushParseCache };
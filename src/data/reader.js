@@ -3,11 +3,103 @@ const fsSync = require('fs');
 const path = require('path');
 const os = require('os');
 const readline = require('readline');
+const { mergeStatsCaches } = require('./stats-parser.js');
 
-const CLAUDE_DIR = path.join(os.homedir(), '.claude');
+const DEFAULT_CLAUDE_DIR = path.join(os.homedir(), '.claude');
 
+// Claude data roots, each tagged with a short label. Defaults to ~/.claude,
+// overridable with CLAUDE_CONFIG_DIR (comma-separated) or --claude-dir.
+let claudeRoots = resolveClaudeRoots(
+  process.env.CLAUDE_CONFIG_DIR ? process.env.CLAUDE_CONFIG_DIR.split(',') : [DEFAULT_CLAUDE_DIR]
+);
+
+// Each spec is either "path" or "label=path"
+function resolveClaudeRoots(specs) {
+  const roots = [];
+  for (const raw of specs) {
+    const spec = raw.trim();
+    if (!spec) continue;
+    const labelled = spec.match(/^([\w.-]+)=(.+)$/);
+    const dir = path.resolve(expandHome(labelled ? labelled[2] : spec));
+    if (roots.some(r => r.path === dir)) continue;
+
+    let label = labelled ? labelled[1] : defaultRootLabel(dir);
+    const base = label;
+    for (let n = 2; roots.some(r => r.label === label); n++) label = `${base}-${n}`;
+    roots.push({ label, path: dir });
+  }
+  return roots.length > 0 ? roots : [{ label: defaultRootLabel(DEFAULT_CLAUDE_DIR), path: DEFAULT_CLAUDE_DIR }];
+}
+
+function expandHome(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+// "/mnt/devbox/.claude" -> "devbox"; "/data/claude-laptop" -> "claude-laptop"
+function defaultRootLabel(dir) {
+  const base = path.basename(dir);
+  if (base === '.claude' || base === 'claude') return path.basename(path.dirname(dir)) || dir;
+  return base;
+}
+
+function setClaudeDirs(specs) {
+  claudeRoots = resolveClaudeRoots(specs);
+}
+
+function getClaudeRoots() {
+  return claudeRoots;
+}
+
+// Primary root — used for settings that describe this machine
+function getClaudeDir() {
+  return claudeRoots[0].path;
+}
+
+// Merged across roots. lastComputedDateByRoot records how far each root's own
+// cache reaches, so callers can supplement it per root without double counting.
+// A root holding copies of an earlier root's transcripts has its cache left
+// out: its totals can't be separated from the copies, which the session list
+// counts once, so its sessions are counted from their transcripts instead.
 async function readStatsCache() {
-  const filePath = path.join(CLAUDE_DIR, 'stats-cache.json');
+  const caches = [];
+  const lastComputedDateByRoot = {};
+  const synced = claudeRoots.length > 1 ? await rootsWithSyncedCopies() : new Set();
+  let skipped = false;
+  for (const root of claudeRoots) {
+    const stats = await readRootStatsCache(root.path);
+    if (!stats) continue;
+    if (synced.has(root.label)) {
+      skipped = true;
+      continue;
+    }
+    caches.push(stats);
+    lastComputedDateByRoot[root.label] = stats.lastComputedDate || null;
+  }
+  if (caches.length === 0) return skipped ? { lastComputedDateByRoot } : null;
+
+  const merged = caches.length === 1 ? { ...caches[0] } : mergeStatsCaches(caches);
+  merged.lastComputedDateByRoot = lastComputedDateByRoot;
+  return merged;
+}
+
+// Labels of roots holding a transcript already found in an earlier root. The
+// session list counts a shared session under the first root, whose cache can
+// stay.
+async function rootsWithSyncedCopies() {
+  const firstRoot = new Map();
+  const synced = new Set();
+  for (const dir of await listProjectDirs()) {
+    for (const file of await listSessionFiles(dir.path)) {
+      const sessionKey = path.basename(file);
+      if (!firstRoot.has(sessionKey)) firstRoot.set(sessionKey, dir.root);
+      else if (firstRoot.get(sessionKey) !== dir.root) synced.add(dir.root);
+    }
+  }
+  return synced;
+}
+
+async function readRootStatsCache(claudeDir) {
+  const filePath = path.join(claudeDir, 'stats-cache.json');
   try {
     const raw = await fs.readFile(filePath, 'utf-8');
     return JSON.parse(raw);
@@ -18,31 +110,39 @@ async function readStatsCache() {
 }
 
 async function readHistory() {
-  const filePath = path.join(CLAUDE_DIR, 'history.jsonl');
-  try {
-    const raw = await fs.readFile(filePath, 'utf-8');
-    return raw.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
-  } catch (err) {
-    if (err.code === 'ENOENT') return [];
-    throw err;
+  const entries = [];
+  for (const root of claudeRoots) {
+    const filePath = path.join(root.path, 'history.jsonl');
+    try {
+      const raw = await fs.readFile(filePath, 'utf-8');
+      entries.push(...raw.trim().split('\n').filter(Boolean).map(line => JSON.parse(line)));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
   }
+  return entries;
 }
 
 async function listProjectDirs() {
-  const projectsDir = path.join(CLAUDE_DIR, 'projects');
-  try {
-    const entries = await fs.readdir(projectsDir, { withFileTypes: true });
-    return entries
-      .filter(e => e.isDirectory())
-      .map(e => ({
-        name: e.name,
-        path: path.join(projectsDir, e.name),
-        projectPath: e.name.replace(/^-/, '/').replace(/-/g, '/')
-      }));
-  } catch (err) {
-    if (err.code === 'ENOENT') return [];
-    throw err;
+  const dirs = [];
+  for (const root of claudeRoots) {
+    const projectsDir = path.join(root.path, 'projects');
+    try {
+      const entries = await fs.readdir(projectsDir, { withFileTypes: true });
+      for (const e of entries) {
+        if (!e.isDirectory()) continue;
+        dirs.push({
+          name: e.name,
+          path: path.join(projectsDir, e.name),
+          projectPath: e.name.replace(/^-/, '/').replace(/-/g, '/'),
+          root: root.label
+        });
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
   }
+  return dirs;
 }
 
 async function readSessionsIndex(projectDir) {
@@ -56,11 +156,16 @@ async function readSessionsIndex(projectDir) {
   }
 }
 
+// Subagent transcripts are named agent-<id>.jsonl and are not sessions of their own
+function isAgentFile(name) {
+  return name.startsWith('agent-') && name.endsWith('.jsonl');
+}
+
 async function listSessionFiles(projectDir) {
   try {
     const entries = await fs.readdir(projectDir);
     return entries
-      .filter(e => e.endsWith('.jsonl'))
+      .filter(e => e.endsWith('.jsonl') && !isAgentFile(e))
       .map(e => path.join(projectDir, e));
   } catch (err) {
     if (err.code === 'ENOENT') return [];
@@ -68,6 +173,64 @@ async function listSessionFiles(projectDir) {
   }
 }
 
+// Subagent transcripts in a project directory, grouped by the session that
+// ran them: sessionId -> [file]. Newer versions write them under
+// <sessionId>/subagents/, older ones beside the session files.
+async function listSubagentFiles(projectDir) {
+  const bySession = {};
+  const add = (sessionId, file) => {
+    if (!bySession[sessionId]) bySession[sessionId] = [];
+    bySession[sessionId].push(file);
+  };
+
+  let entries;
+  try {
+    entries = await fs.readdir(projectDir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return bySession;
+    throw err;
+  }
+
+  for (const e of entries) {
+    if (e.isDirectory()) {
+      const subagentDir = path.join(projectDir, e.name, 'subagents');
+      try {
+        for (const name of await fs.readdir(subagentDir)) {
+          if (name.endsWith('.jsonl')) add(e.name, path.join(subagentDir, name));
+        }
+      } catch {
+        // Not a session directory
+      }
+    } else if (isAgentFile(e.name)) {
+      const file = path.join(projectDir, e.name);
+      const sessionId = await readFirstSessionId(file);
+      if (sessionId) add(sessionId, file);
+    }
+  }
+
+  return bySession;
+}
+
+async function readFirstSessionId(filePath) {
+  const stream = fsSync.createReadStream(filePath, { encoding: 'utf-8' });
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let sessionId = null;
+  try {
+    for await (const line of rl) {
+      try {
+        sessionId = JSON.parse(line).sessionId || null;
+      } catch {}
+      if (sessionId) break;
+    }
+  } catch {
+    // Unreadable — treat as unattributed
+  } finally {
+    rl.close();
+    stream.destroy();
+  }
+  return sessionId;
+}
+
 // Read first few lines of a JSONL to extract basic session metadata
 async function probeSessionFile(filePath) {
   try {
@@ -134,15 +297,20 @@ async function getAllSessionIndexes() {
 
   for (const dir of projectDirs) {
     const index = await readSessionsIndex(dir.path);
+    const subagentFiles = await listSubagentFiles(dir.path);
 
     if (index && index.entries) {
       // Use the index when available
       for (const entry of index.entries) {
+        // The same session can appear in several roots when one is a synced copy
+        if (seenSessionIds.has(entry.sessionId)) continue;
         seenSessionIds.add(entry.sessionId);
         indexes.push({
           ...entry,
           projectDir: dir.name,
-          projectPath: index.originalPath || dir.projectPath
+          projectPath: index.originalPath || dir.projectPath,
+          root: dir.root,
+          subagentFiles: subagentFiles[entry.sessionId] || []
         });
       }
     }
@@ -159,7 +327,9 @@ async function getAllSessionIndexes() {
         indexes.push({
           ...probed,
           projectDir: dir.name,
-          projectPath: probed.projectPath || dir.projectPath
+          projectPath: probed.projectPath || dir.projectPath,
+          root: dir.root,
+          subagentFiles: subagentFiles[basename] || []
         });
       }
     }
@@ -168,12 +338,23 @@ async function getAllSessionIndexes() {
   return indexes;
 }
 
+// Index entry of one session with a transcript on disk, or null
+async function findSessionIndex(sessionId) {
+  const indexes = await getAllSessionIndexes();
+  return indexes.find(e => e.sessionId === sessionId && e.fullPath) || null;
+}
+
 module.exports = {
-  CLAUDE_DIR,
+  getClaudeRoots,
+  getClaudeDir,
+  setClaudeDirs,
+  resolveClaudeRoots,
   readStatsCache,
   readHistory,
   listProjectDirs,
   readSessionsIndex,
   listSessionFiles,
-  getAllSessionIndexes
+  listSubagentFiles,
+  getAllSessionIndexes,
+  findSessionIndex
 };
@@ -0,0 +1,147 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { listProjectDirs, listSessionFiles, listSubagentFiles } = require('./reader.js');
+const { parseSessionFile, parseSessionAppend } = require('./session-parser.js');
+const { collectSubagentRuns } = require('./subagents.js');
+
+// Shared, memoized corpus of parsed sessions. Every analysis reads from here
+// so a dashboard load parses each JSONL file at most once.
+//
+// filePath -> { size, mtimeMs, session }
+const parsedFiles = new Map();
+// filePath -> refresh in progress, so concurrent callers share one parse
+const refreshing = new Map();
+let corpus = null;
+let pendingBuild = null;
+
+async function getSessionCorpus() {
+  if (corpus) return corpus;
+  // Concurrent API requests share a single build
+  if (!pendingBuild) {
+    pendingBuild = buildCorpus()
+      .then(result => {
+        corpus = result;
+        return result;
+      })
+      .finally(() => {
+        pendingBuild = null;
+      });
+  }
+  return pendingBuild;
+}
+
+async function buildCorpus() {
+  const projectDirs = await listProjectDirs();
+  const entries = [];
+  const seenFiles = new Set();
+  // The same transcript can be synced into more than one data root
+  const seenSessions = new Set();
+
+  for (const dir of projectDirs) {
+    const sessionFiles = await listSessionFiles(dir.path);
+    const subagentFiles = await listSubagentFiles(dir.path);
+
+    for (const file of sessionFiles) {
+      const sessionKey = path.basename(file);
+      if (seenSessions.has(sessionKey)) continue;
+      seenSessions.add(sessionKey);
+      seenFiles.add(file);
+      const agentFiles = subagentFiles[path.basename(file, '.jsonl')] || [];
+      for (const agentFile of agentFiles) seenFiles.add(agentFile);
+      const entry = await loadEntry(file, dir, agentFiles);
+      if (entry) entries.push(entry);
+    }
+  }
+
+  // Forget files that were deleted since the last build
+  for (const file of parsedFiles.keys()) {
+    if (!seenFiles.has(file)) parsedFiles.delete(file);
+  }
+
+  return entries;
+}
+
+async function loadEntry(file, dir, agentFiles) {
+  try {
+    const session = await loadSessionFile(file, agentFiles);
+    return { filePath: file, dir, session };
+  } catch {
+    // Skip unreadable sessions
+    parsedFiles.delete(file);
+    return null;
+  }
+}
+
+// Parse a single session file, reusing the previous parse when the file
+// hasn't changed on disk. Subagent transcripts are parsed alongside and
+// attached as session.subagents. With keep: false a file the corpus doesn't
+// have isn't held on to, for callers that summarize the session and let it
+// go. Throws if the session file can't be read.
+async function loadSessionFile(filePath, agentFiles = [], { keep = true } = {}) {
+  const { session } = await refreshSessionFile(filePath, { keep });
+  const agentTranscripts = [];
+  for (const agentFile of agentFiles) {
+    try {
+      agentTranscripts.push({ filePath: agentFile, session: (await refreshSessionFile(agentFile, { keep })).session });
+    } catch {
+      // Skip unreadable agent transcripts
+    }
+  }
+  session.subagents = collectSubagentRuns(session, agentTranscripts);
+  return session;
+}
+
+// Bring one file's parse up to date. Transcripts are append-only, so a file
+// that grew is tail-parsed from the last consumed byte and its session object
+// is updated in place; anything else is parsed from scratch. Returns the
+// session plus the messages that are new since the previous read, and in
+// grown the earlier requests those lines added to (see parseSessionAppend).
+// With keep: false a file the corpus has no entry for, and won't get one for
+// as no corpus is built or being built, is parsed and left out of it.
+async function refreshSessionFile(filePath, { keep = true } = {}) {
+  while (refreshing.has(filePath)) {
+    await refreshing.get(filePath).catch(() => {});
+  }
+  const running = refreshEntry(filePath, keep || parsedFiles.has(filePath) || !!corpus || !!pendingBuild);
+  refreshing.set(filePath, running);
+  try {
+    return await running;
+  } finally {
+    if (refreshing.get(filePath) === running) refreshing.delete(filePath);
+  }
+}
+
+async function refreshEntry(filePath, keep) {
+  const stat = await fs.stat(filePath);
+  const cached = parsedFiles.get(filePath);
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+    return { session: cached.session, added: [], grown: new Map() };
+  }
+  if (!keep) {
+    const session = await parseSessionFile(filePath);
+    return { session, added: session.messages, grown: new Map() };
+  }
+
+  let session;
+  let added;
+  const grown = new Map();
+  if (cached && stat.size > cached.size) {
+    session = cached.session;
+    added = await parseSessionAppend(session, filePath, grown);
+  } else {
+    session = await parseSessionFile(filePath);
+    added = session.messages;
+  }
+
+  parsedFiles.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, session });
+  return { session, added, grown };
+}
+
+// Without a path: rebuild on next access, re-parsing only files whose size or
+// mtime changed. With a path: additionally force that one file to be re-parsed.
+function invalidateCorpus(filePath) {
+  corpus = null;
+  if (filePath) parsedFiles.delete(filePath);
+}
+
+module.exports = { getSessionCorpus, loadSessionFile, refreshSessionFile, invalidateCorpus };
@@ -1,87 +1,362 @@
 const fs = require('fs');
-const readline = require('readline');
 const path = require('path');
+const { LONG_CONTEXT_THRESHOLD } = require('../cost/pricing.js');
 
 async function parseSessionFile(filePath) {
-  const messages = [];
-  let sessionId = null;
-  let projectPath = null;
-  let gitBranch = null;
-  let permissionMode = null;
-  let firstTimestamp = null;
-  let lastTimestamp = null;
-
-  const stream = fs.createReadStream(filePath, { encoding: 'utf-8' });
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-
-  for await (const line of rl) {
-    if (!line.trim()) continue;
-    try {
-      const obj = JSON.parse(line);
-
-      if (!sessionId && obj.sessionId) sessionId = obj.sessionId;
-      if (!projectPath && obj.cwd) projectPath = obj.cwd;
-      if (!gitBranch && obj.gitBranch) gitBranch = obj.gitBranch;
-      if (!permissionMode && obj.permissionMode) permissionMode = obj.permissionMode;
-
-      if (obj.timestamp) {
-        const ts = new Date(obj.timestamp).getTime();
-        if (!firstTimestamp || ts < firstTimestamp) firstTimestamp = ts;
-        if (!lastTimestamp || ts > lastTimestamp) lastTimestamp = ts;
+  const session = {
+    sessionId: null,
+    projectPath: null,
+    gitBranch: null,
+    permissionMode: null,
+    firstTimestamp: null,
+    lastTimestamp: null,
+    duration: 0,
+    messages: [],
+    messageCount: 0,
+    assistantMessages: [],
+    userMessages: [],
+    // agentId -> id of the Task tool_use that started it
+    agentToolUses: {},
+    // "<message.id>:<requestId>" -> assistant message, for folding streamed lines
+    requests: new Map(),
+    // Streamed lines folded into an earlier line of the same response
+    duplicateMessages: 0,
+    // tool_use id -> tool call, so a later tool_result can be attached to it
+    toolUses: new Map(),
+    // Files a Write or Edit has changed, so only the first change to each
+    // keeps what the file held before it
+    filesChanged: new Set(),
+    // Compactions and /clear commands, in transcript order
+    events: [],
+    // A /compact command was seen and its compaction hasn't been logged yet
+    compactRequested: false,
+    // Byte offset just past the last complete line consumed
+    bytesParsed: 0
+  };
+
+  session.bytesParsed = await readLines(filePath, 0, line => applySessionLine(session, line));
+  if (!session.sessionId) session.sessionId = path.basename(filePath, '.jsonl');
+
+  return session;
+}
+
+// Parse only the bytes appended to filePath since the session was last read,
+// updating the session in place. Returns the newly added messages. A streamed
+// line can also add to a request read earlier; pass a Map as grown to collect
+// each such request with its usage and tool call count from before.
+async function parseSessionAppend(session, filePath, grown = null) {
+  const before = session.messages.length;
+  session.bytesParsed = await readLines(filePath, session.bytesParsed, line => applySessionLine(session, line, grown));
+  const added = session.messages.slice(before);
+  if (grown) {
+    for (const msg of added) grown.delete(msg);
+  }
+  return added;
+}
+
+// Stream lines from a byte offset. Returns the offset just past the last line
+// consumed; an unterminated trailing line is only consumed if onLine accepts it
+// (i.e. it is already complete JSON), so a half-written line is re-read later.
+async function readLines(filePath, start, onLine) {
+  const stream = fs.createReadStream(filePath, { start });
+  let consumed = start;
+  let pending = [];
+
+  for await (const chunk of stream) {
+    let lineStart = 0;
+    let nl = chunk.indexOf(10);
+    while (nl !== -1) {
+      const part = chunk.subarray(lineStart, nl);
+      const lineBuf = pending.length > 0 ? Buffer.concat([...pending, part]) : part;
+      pending = [];
+      consumed += lineBuf.length + 1;
+      onLine(lineBuf.toString('utf-8'));
+      lineStart = nl + 1;
+      nl = chunk.indexOf(10, lineStart);
+    }
+    if (lineStart < chunk.length) pending.push(chunk.subarray(lineStart));
+  }
+
+  if (pending.length > 0) {
+    const tail = Buffer.concat(pending);
+    if (onLine(tail.toString('utf-8'))) consumed += tail.length;
+  }
+
+  return consumed;
+}
+
+// Fold one JSONL line into the session. Returns false if the line isn't valid JSON.
+function applySessionLine(session, line, grown = null) {
+  if (!line.trim()) return true;
+  let obj;
+  try {
+    obj = JSON.parse(line);
+  } catch {
+    // Skip malformed lines
+    return false;
+  }
+
+  if (!session.sessionId && obj.sessionId) session.sessionId = obj.sessionId;
+  if (!session.projectPath && obj.cwd) session.projectPath = obj.cwd;
+  if (!session.gitBranch && obj.gitBranch) session.gitBranch = obj.gitBranch;
+  if (!session.permissionMode && obj.permissionMode) session.permissionMode = obj.permissionMode;
+
+  if (obj.timestamp) {
+    const ts = new Date(obj.timestamp).getTime();
+    if (!session.firstTimestamp || ts < session.firstTimestamp) session.firstTimestamp = ts;
+    if (!session.lastTimestamp || ts > session.lastTimestamp) session.lastTimestamp = ts;
+    session.duration = session.lastTimestamp - session.firstTimestamp;
+  }
+
+  // Subagent (Task tool) activity. Older transcripts interleave it with the
+  // main conversation; newer ones write it to separate agent files.
+  const sidechain = !!obj.isSidechain;
+
+  if (obj.type === 'system' && obj.subtype === 'compact_boundary') {
+    const meta = obj.compactMetadata || {};
+    addEvent(session, 'compact', meta.trigger || (session.compactRequested ? 'manual' : 'auto'), obj.timestamp, meta.preTokens);
+  } else if (obj.type === 'assistant' && obj.message) {
+    const msg = obj.message;
+    // One API response is streamed as one line per content block, each with
+    // the same ids and the full usage. Fold repeats into the first line.
+    const requestKey = msg.id || obj.requestId ? `${msg.id || ''}:${obj.requestId || ''}` : null;
+    const seen = requestKey && session.requests.get(requestKey);
+    if (seen) {
+      if (grown && !grown.has(seen)) {
+        grown.set(seen, { usage: seen.usage && { ...seen.usage }, toolCalls: seen.toolCalls.length });
       }
+      registerToolCalls(session, mergeStreamedLine(seen, msg));
+      session.duplicateMessages++;
+      return true;
+    }
+    const message = {
+      type: 'assistant',
+      model: msg.model || null,
+      usage: msg.usage ? parseUsage(msg.usage) : null,
+      text: extractText(msg.content),
+      toolCalls: extractToolCalls(msg.content),
+      timestamp: obj.timestamp,
+      sidechain,
+      agentId: obj.agentId || null
+    };
+    if (requestKey) session.requests.set(requestKey, message);
+    registerToolCalls(session, message.toolCalls);
+    addMessage(session, message);
+  } else if (obj.type === 'user' && obj.message && !obj.isMeta) {
+    const content = obj.message.content;
+    let text = '';
+    if (typeof content === 'string') {
+      text = content;
+    } else if (Array.isArray(content)) {
+      text = content
+        .filter(c => c && c.type === 'text')
+        .map(c => c.text || '')
+        .join(' ');
+    }
 
-      if (obj.type === 'assistant' && obj.message) {
-        const msg = obj.message;
-        messages.push({
-          type: 'assistant',
-          model: msg.model || null,
-          usage: msg.usage ? {
-            inputTokens: msg.usage.input_tokens || 0,
-            outputTokens: msg.usage.output_tokens || 0,
-            cacheReadInputTokens: msg.usage.cache_read_input_tokens || 0,
-            cacheCreationInputTokens: msg.usage.cache_creation_input_tokens || 0
-          } : null,
-          toolCalls: extractToolCalls(msg.content),
-          timestamp: obj.timestamp
-        });
-      } else if (obj.type === 'user' && obj.message && !obj.isMeta) {
-        const content = obj.message.content;
-        let promptText = '';
-        if (typeof content === 'string') {
-          promptText = content;
-        } else if (Array.isArray(content)) {
-          promptText = content
-            .filter(c => c && c.type === 'text')
-            .map(c => c.text || '')
-            .join(' ');
-        }
-        // Strip command tags
-        promptText = promptText.replace(/<[^>]+>/g, '').trim();
-        messages.push({
-          type: 'user',
-          promptText,
-          permissionMode: obj.permissionMode || null,
-          timestamp: obj.timestamp
-        });
+    if (obj.isCompactSummary) {
+      // Older transcripts have the summary but no compact_boundary line
+      if (!lastEventHere(session, 'compact')) {
+        addEvent(session, 'compact', session.compactRequested ? 'manual' : 'auto', obj.timestamp, null);
+      }
+    } else {
+      applySlashCommand(session, text, obj.timestamp);
+    }
+
+    // Strip command tags
+    const promptText = text.replace(/<[^>]+>/g, '').trim();
+    addMessage(session, {
+      type: 'user',
+      promptText,
+      permissionMode: obj.permissionMode || null,
+      timestamp: obj.timestamp,
+      sidechain,
+      agentId: obj.agentId || null,
+      // The first message of a subagent run has no parent in the chain
+      startsSidechain: sidechain && !obj.parentUuid,
+      compactSummary: !!obj.isCompactSummary
+    });
+
+    applyToolResults(session, content, obj.toolUseResult);
+
+    // A finished Task call reports which agent ran it
+    const result = obj.toolUseResult;
+    if (result && result.agentId && Array.isArray(content)) {
+      const toolResult = content.find(c => c && c.type === 'tool_result' && c.tool_use_id);
+      if (toolResult) session.agentToolUses[result.agentId] = toolResult.tool_use_id;
+    }
+  }
+
+  return true;
+}
+
+// Where an event sits: the number of assistant messages logged before it
+function addEvent(session, type, trigger, timestamp, preTokens) {
+  session.compactRequested = false;
+  session.events.push({
+    type,
+    trigger,
+    timestamp: timestamp || null,
+    preTokens: preTokens || null,
+    messageIndex: session.assistantMessages.length
+  });
+}
+
+// Whether the last event has this type and nothing was answered since
+function lastEventHere(session, type) {
+  const last = session.events[session.events.length - 1];
+  return !!last && last.type === type && last.messageIndex === session.assistantMessages.length;
+}
+
+const COMMAND_PATTERN = /<command-name>\/?(clear|compact)<\/command-name>/;
+
+// /clear resets the context on the spot. /compact is logged either before or
+// after the compaction it triggers, depending on the Claude Code version.
+function applySlashCommand(session, text, timestamp) {
+  const match = COMMAND_PATTERN.exec(text);
+  if (!match) return;
+  if (match[1] === 'clear') {
+    addEvent(session, 'clear', 'manual', timestamp, null);
+  } else if (lastEventHere(session, 'compact')) {
+    session.events[session.events.length - 1].trigger = 'manual';
+  } else {
+    session.compactRequested = true;
+  }
+}
+
+// Later lines of a streamed response add their content blocks; usage is the
+// same response's, so keep the largest count seen for each field
+function mergeStreamedLine(message, raw) {
+  const known = new Set(message.toolCalls.map(t => t.id).filter(Boolean));
+  const added = extractToolCalls(raw.content).filter(t => !t.id || !known.has(t.id));
+  message.toolCalls.push(...added);
+  const text = extractText(raw.content);
+  if (text) message.text = message.text ? `${message.text}\n${text}` : text;
+  if (!message.model && raw.model) message.model = raw.model;
+  if (raw.usage) {
+    const usage = parseUsage(raw.usage);
+    if (!message.usage) {
+      message.usage = usage;
+    } else {
+      for (const field of Object.keys(usage)) {
+        message.usage[field] = Math.max(message.usage[field], usage[field]);
       }
-    } catch {
-      // Skip malformed lines
     }
   }
+  return added;
+}
 
-  return {
-    sessionId: sessionId || path.basename(filePath, '.jsonl'),
-    projectPath,
-    gitBranch,
-    permissionMode,
-    firstTimestamp,
-    lastTimestamp,
-    duration: firstTimestamp && lastTimestamp ? lastTimestamp - firstTimestamp : 0,
-    messages,
-    messageCount: messages.length,
-    assistantMessages: messages.filter(m => m.type === 'assistant'),
-    userMessages: messages.filter(m => m.type === 'user')
+function registerToolCalls(session, toolCalls) {
+  for (const tool of toolCalls) {
+    if (tool.id) session.toolUses.set(tool.id, tool);
+  }
+}
+
+// What Claude Code sends back when the user declines a permission prompt
+const REJECTION_PATTERN = /user doesn't want to (proceed with this tool use|take this action)|tool use was rejected/i;
+
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(c => c && c.type === 'text')
+    .map(c => c.text || '')
+    .join('\n');
+}
+
+// Attach each tool_result in a user message to the call it answers:
+// { isError, size (characters of text returned), rejected (denied by the user) }
+function applyToolResults(session, content, toolUseResult) {
+  if (!Array.isArray(content)) return;
+  for (const block of content) {
+    if (!block || block.type !== 'tool_result') continue;
+    const tool = session.toolUses.get(block.tool_use_id);
+    if (!tool) continue;
+    const text = toolResultText(block.content);
+    const isError = !!block.is_error;
+    tool.result = {
+      isError,
+      size: text.length,
+      rejected: REJECTION_PATTERN.test(text)
+    };
+    if (!isError && !tool.result.rejected && FILE_EDIT_TOOLS.has(String(tool.name).toLowerCase())) {
+      recordPriorContent(session, tool, toolUseResult);
+    }
+  }
+}
+
+// What a file held before its first Write or Edit in the session, from the
+// result Claude Code logs with the call: a created file was empty, and an
+// update carries the original file or at least a patch. Later changes follow
+// from replaying the ones before them, so only the first keeps this.
+function recordPriorContent(session, tool, toolUseResult) {
+  const filePath = tool.input.file_path || tool.input.path;
+  if (!filePath || session.filesChanged.has(filePath)) return;
+  session.filesChanged.add(filePath);
+  if (!toolUseResult || typeof toolUseResult !== 'object') return;
+  const original = toolUseResult.originalFile !== undefined ? toolUseResult.originalFile : toolUseResult.originalFileContents;
+  if (toolUseResult.type === 'create') {
+    tool.priorContent = '';
+  } else if (typeof original === 'string') {
+    tool.priorContent = original;
+  } else if (Array.isArray(toolUseResult.structuredPatch)) {
+    const lines = toolUseResult.structuredPatch.flatMap(hunk => (hunk && Array.isArray(hunk.lines) ? hunk.lines : []));
+    tool.patch = {
+      added: lines.filter(l => l.startsWith('+')).map(l => l.slice(1)),
+      removed: lines.filter(l => l.startsWith('-')).map(l => l.slice(1))
+    };
+  }
+}
+
+function parseUsage(raw) {
+  // Newer transcripts split cache writes by TTL; the total still counts both
+  const ttl = raw.cache_creation || {};
+  const cacheWrite5m = ttl.ephemeral_5m_input_tokens || 0;
+  const cacheWrite1h = ttl.ephemeral_1h_input_tokens || 0;
+  const usage = {
+    inputTokens: raw.input_tokens || 0,
+    outputTokens: raw.output_tokens || 0,
+    cacheReadInputTokens: raw.cache_read_input_tokens || 0,
+    cacheCreationInputTokens: raw.cache_creation_input_tokens || (cacheWrite5m + cacheWrite1h),
+    cacheCreation1hInputTokens: cacheWrite1h
   };
+  // Size of the prompt this request sent, which decides its pricing tier
+  usage.contextTokens = usage.inputTokens + usage.cacheReadInputTokens + usage.cacheCreationInputTokens;
+  return usage;
+}
+
+function addMessage(session, message) {
+  session.messages.push(message);
+  if (message.type === 'assistant') session.assistantMessages.push(message);
+  else session.userMessages.push(message);
+  session.messageCount = session.messages.length;
+}
+
+// What Claude wrote back, without thinking or tool calls
+function extractText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(c => c && c.type === 'text')
+    .map(c => c.text || '')
+    .join('\n');
+}
+
+// Tool input the analyses read. The rest (todo lists, notebook cells, MCP
+// payloads and the like) can be large and is left out of the parse.
+const KEPT_INPUT = ['file_path', 'path', 'command', 'pattern', 'url', 'query', 'description', 'subagent_type', 'prompt'];
+// What file edits wrote, replayed for line counts
+const FILE_EDIT_INPUT = ['content', 'old_string', 'new_string', 'replace_all', 'edits'];
+const FILE_EDIT_TOOLS = new Set(['write', 'edit', 'multiedit']);
+
+function keptInput(name, input) {
+  if (!input || typeof input !== 'object') return {};
+  const keys = FILE_EDIT_TOOLS.has(String(name).toLowerCase()) ? KEPT_INPUT.concat(FILE_EDIT_INPUT) : KEPT_INPUT;
+  const kept = {};
+  for (const key of keys) {
+    if (input[key] !== undefined) kept[key] = input[key];
+  }
+  return kept;
 }
 
 function extractToolCalls(content) {
@@ -89,64 +364,139 @@ function extractToolCalls(content) {
   return content
     .filter(c => c && c.type === 'tool_use')
     .map(c => ({
+      id: c.id || null,
       name: c.name,
-      input: c.input || {}
+      input: keptInput(c.name, c.input)
     }));
 }
 
+function emptyUsage() {
+  return {
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadInputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheCreation1hInputTokens: 0
+  };
+}
+
+function addUsage(target, usage) {
+  target.inputTokens += usage.inputTokens;
+  target.outputTokens += usage.outputTokens;
+  target.cacheReadInputTokens += usage.cacheReadInputTokens;
+  target.cacheCreationInputTokens += usage.cacheCreationInputTokens;
+  target.cacheCreation1hInputTokens += usage.cacheCreation1hInputTokens;
+}
+
+// Add one message's usage to a per-model total. Tokens from requests over the
+// long-context threshold are also tallied in a nested `longContext` total, so
+// the aggregate can still be priced per tier once the messages are gone.
+function addMessageUsage(totals, model, usage) {
+  if (!totals[model]) totals[model] = emptyUsage();
+  addUsage(totals[model], usage);
+  if (usage.contextTokens > LONG_CONTEXT_THRESHOLD) {
+    if (!totals[model].longContext) totals[model].longContext = { ...emptyUsage(), requests: 0 };
+    addUsage(totals[model].longContext, usage);
+    totals[model].longContext.requests++;
+  }
+}
+
+// Assistant messages billed to a session: its own, inline subagent activity
+// included, plus those of any attached agent transcripts
+function billableMessages(session) {
+  const agentRuns = (session.subagents || []).filter(run => run.source === 'file');
+  if (agentRuns.length === 0) return session.assistantMessages;
+  return session.assistantMessages.concat(...agentRuns.map(run => run.assistantMessages));
+}
+
 function aggregateSessionTokens(session) {
   const totals = {};
 
-  for (const msg of session.assistantMessages) {
+  for (const msg of billableMessages(session)) {
     if (!msg.usage || !msg.model) continue;
-    if (!totals[msg.model]) {
-      totals[msg.model] = {
-        inputTokens: 0,
-        outputTokens: 0,
-        cacheReadInputTokens: 0,
-        cacheCreationInputTokens: 0
-      };
-    }
-    totals[msg.model].inputTokens += msg.usage.inputTokens;
-    totals[msg.model].outputTokens += msg.usage.outputTokens;
-    totals[msg.model].cacheReadInputTokens += msg.usage.cacheReadInputTokens;
-    totals[msg.model].cacheCreationInputTokens += msg.usage.cacheCreationInputTokens;
+    addMessageUsage(totals, msg.model, msg.usage);
+  }
+
+  return totals;
+}
+
+// Same totals split by UTC day, so each day can be priced at its own rate.
+function aggregateSessionTokensByDate(session) {
+  return aggregateTokensByDate(billableMessages(session), session.firstTimestamp);
+}
+
+// Messages without any timestamp are filed under the fallback's day, or ''.
+function aggregateTokensByDate(messages, fallbackTimestamp) {
+  const totals = {};
+
+  for (const msg of messages) {
+    if (!msg.usage || !msg.model) continue;
+    const ts = msg.timestamp || (fallbackTimestamp && new Date(fallbackTimestamp).toISOString());
+    const date = ts ? ts.split('T')[0] : '';
+    if (!totals[date]) totals[date] = {};
+    addMessageUsage(totals[date], msg.model, msg.usage);
   }
 
   return totals;
 }
 
-function extractWriteEditCalls(session) {
-  const writes = [];
-  const edits = [];
+// Same totals split by UTC hour ("2026-02-01T10"), the granularity usage
+// blocks are rebuilt from. Messages without a timestamp are left out.
+function aggregateSessionTokensByHour(session) {
+  const totals = {};
+
+  for (const msg of billableMessages(session)) {
+    const time = msg.timestamp ? new Date(msg.timestamp) : null;
+    if (!msg.usage || !msg.model || !time || isNaN(time)) continue;
+    const hour = time.toISOString().slice(0, 13);
+    if (!totals[hour]) totals[hour] = {};
+    addMessageUsage(totals[hour], msg.model, msg.usage);
+  }
 
-  for (const msg of session.assistantMessages) {
+  return totals;
+}
+
+// Write, Edit and MultiEdit calls in the order they ran. Each edit is
+// { oldString, newString, replaceAll }; failed marks calls that errored or
+// were denied, so the file was left as it was. priorContent (what the file
+// held before) or patch (the lines added and removed) are set when the
+// transcript records them. Subagents' calls count as their session's.
+function extractFileOperations(session) {
+  const operations = [];
+
+  for (const msg of billableMessages(session)) {
     for (const tool of msg.toolCalls) {
-      if (tool.name === 'Write' || tool.name === 'write') {
-        writes.push({
-          filePath: tool.input.file_path || tool.input.path || null,
-          content: tool.input.content || '',
-          timestamp: msg.timestamp
-        });
-      }
-      if (tool.name === 'Edit' || tool.name === 'edit') {
-        edits.push({
-          filePath: tool.input.file_path || tool.input.path || null,
-          oldString: tool.input.old_string || '',
-          newString: tool.input.new_string || '',
-          timestamp: msg.timestamp
+      const name = (tool.name || '').toLowerCase();
+      if (name !== 'write' && name !== 'edit' && name !== 'multiedit') continue;
+      const input = tool.input || {};
+      const op = {
+        filePath: input.file_path || input.path || null,
+        timestamp: msg.timestamp,
+        failed: !!(tool.result && (tool.result.isError || tool.result.rejected))
+      };
+      if (tool.priorContent !== undefined) op.priorContent = tool.priorContent;
+      if (tool.patch) op.patch = tool.patch;
+      if (name === 'write') {
+        operations.push({ ...op, kind: 'write', content: input.content || '' });
+      } else {
+        const edits = name === 'edit' ? [input] : (Array.isArray(input.edits) ? input.edits : []);
+        operations.push({
+          ...op,
+          kind: 'edit',
+          edits: edits.map(e => ({ oldString: e.old_string || '', newString: e.new_string || '', replaceAll: !!e.replace_all }))
         });
       }
     }
   }
 
-  return { writes, edits };
+  return operations;
 }
 
 // Get paired user-prompt → assistant-response with costs
 function pairMessages(session) {
   const pairs = [];
-  const msgs = session.messages;
+  // Subagent activity belongs to the turn that delegated it, not a turn of its own
+  const msgs = session.messages.filter(m => !m.sidechain);
 
   for (let i = 0; i < msgs.length; i++) {
     if (msgs[i].type === 'user') {
@@ -169,9 +519,43 @@ function pairMessages(session) {
   return pairs;
 }
 
+// What was asked and everything Claude did to answer it. A user line without
+// text is a tool result (or an empty message) inside Claude's tool loop, so
+// it and the responses after it belong to the prompt before it. Turns are
+// numbered from 0, one per prompt that got a response.
+function groupPrompts(session) {
+  const turns = [];
+  let current = null;
+  const close = () => {
+    if (current && current.responses.length > 0) turns.push({ ...current, turnIndex: turns.length });
+  };
+
+  for (const msg of session.messages) {
+    // Subagent activity belongs to the turn that delegated it
+    if (msg.sidechain) continue;
+    if (msg.type === 'user') {
+      if (current && !msg.promptText && !msg.compactSummary) continue;
+      close();
+      current = { prompt: msg, responses: [] };
+    } else if (current) {
+      current.responses.push(msg);
+    }
+  }
+  close();
+  return turns;
+}
+
 module.exports = {
   parseSessionFile,
+  parseSessionAppend,
+  readLines,
+  toolResultText,
+  billableMessages,
   aggregateSessionTokens,
-  extractWriteEditCalls,
-  pairMessages
+  aggregateSessionTokensByDate,
+  aggregateTokensByDate,
+  aggregateSessionTokensByHour,
+  extractFileOperations,
+  pairMessages,
+  groupPrompts
 };
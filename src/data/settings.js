@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// User settings for claude-burn-rate itself (plan, billing cycle, ...), kept
+// next to the pricing overrides in ~/.config/claude-burn-rate/.
+const CONFIG_DIR = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'claude-burn-rate');
+
+let settingsFile = process.env.CLAUDE_BURN_RATE_CONFIG || path.join(CONFIG_DIR, 'config.json');
+let fileSettings = null;
+// Command-line flags win over the file
+let overrides = {};
+
+function setSettingsFile(filePath) {
+  settingsFile = filePath;
+  fileSettings = null;
+}
+
+function getSettingsFile() {
+  return settingsFile;
+}
+
+function setSettingsOverrides(values) {
+  overrides = { ...overrides, ...values };
+}
+
+// A missing file means defaults; a malformed one is an error naming the file
+function getSettings() {
+  if (!fileSettings) {
+    let raw = null;
+    try {
+      raw = fs.readFileSync(settingsFile, 'utf-8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    try {
+      fileSettings = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+      throw new Error(`Invalid settings file ${settingsFile}: ${err.message}`);
+    }
+  }
+  return { ...fileSettings, ...overrides };
+}
+
+module.exports = { CONFIG_DIR, setSettingsFile, getSettingsFile, setSettingsOverrides, getSettings };
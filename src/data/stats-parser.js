@@ -57,8 +57,79 @@ function getDailyTokensByModel(stats) {
   }));
 }
 
+// Combine stats-cache.json contents from several Claude data roots
+function mergeStatsCaches(caches) {
+  const merged = {
+    version: caches[0].version,
+    lastComputedDate: null,
+    dailyActivity: [],
+    dailyModelTokens: [],
+    modelUsage: {},
+    totalSessions: 0,
+    totalMessages: 0,
+    longestSession: null,
+    firstSessionDate: null,
+    hourCounts: {},
+    totalSpeculationTimeSavedMs: 0
+  };
+  const activityByDate = {};
+  const tokensByDate = {};
+
+  for (const stats of caches) {
+    // The merged cache is only complete up to the stalest root
+    if (stats.lastComputedDate && (!merged.lastComputedDate || stats.lastComputedDate < merged.lastComputedDate)) {
+      merged.lastComputedDate = stats.lastComputedDate;
+    }
+    if (stats.firstSessionDate && (!merged.firstSessionDate || stats.firstSessionDate < merged.firstSessionDate)) {
+      merged.firstSessionDate = stats.firstSessionDate;
+    }
+    if (stats.longestSession && (!merged.longestSession || stats.longestSession.duration > merged.longestSession.duration)) {
+      merged.longestSession = stats.longestSession;
+    }
+
+    merged.totalSessions += stats.totalSessions || 0;
+    merged.totalMessages += stats.totalMessages || 0;
+    merged.totalSpeculationTimeSavedMs += stats.totalSpeculationTimeSavedMs || 0;
+
+    for (const day of stats.dailyActivity || []) {
+      if (!activityByDate[day.date]) {
+        activityByDate[day.date] = { date: day.date, messageCount: 0, sessionCount: 0, toolCallCount: 0 };
+      }
+      activityByDate[day.date].messageCount += day.messageCount || 0;
+      activityByDate[day.date].sessionCount += day.sessionCount || 0;
+      activityByDate[day.date].toolCallCount += day.toolCallCount || 0;
+    }
+
+    for (const day of stats.dailyModelTokens || []) {
+      if (!tokensByDate[day.date]) tokensByDate[day.date] = { date: day.date, tokensByModel: {} };
+      for (const [model, tokens] of Object.entries(day.tokensByModel || {})) {
+        tokensByDate[day.date].tokensByModel[model] = (tokensByDate[day.date].tokensByModel[model] || 0) + tokens;
+      }
+    }
+
+    for (const [model, usage] of Object.entries(stats.modelUsage || {})) {
+      if (!merged.modelUsage[model]) {
+        merged.modelUsage[model] = { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 };
+      }
+      merged.modelUsage[model].inputTokens += usage.inputTokens || 0;
+      merged.modelUsage[model].outputTokens += usage.outputTokens || 0;
+      merged.modelUsage[model].cacheReadInputTokens += usage.cacheReadInputTokens || 0;
+      merged.modelUsage[model].cacheCreationInputTokens += usage.cacheCreationInputTokens || 0;
+    }
+
+    for (const [hour, count] of Object.entries(stats.hourCounts || {})) {
+      merged.hourCounts[hour] = (merged.hourCounts[hour] || 0) + count;
+    }
+  }
+
+  merged.dailyActivity = Object.values(activityByDate).sort((a, b) => a.date.localeCompare(b.date));
+  merged.dailyModelTokens = Object.values(tokensByDate).sort((a, b) => a.date.localeCompare(b.date));
+  return merged;
+}
+
 module.exports = {
   parseStatsCache,
+  mergeStatsCaches,
   getDateRange,
   getModelTokenTotals,
   getDailyTokensByModel
@@ -0,0 +1,102 @@
+const path = require('path');
+const { groupPrompts } = require('./session-parser.js');
+
+// Tool names that start a subagent
+const AGENT_TOOLS = new Set(['Task', 'Agent']);
+
+function normalizePrompt(text) {
+  return (text || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function newRun(agentId, source) {
+  return {
+    agentId,
+    source,
+    prompt: null,
+    assistantMessages: [],
+    firstTimestamp: null,
+    subagentType: null,
+    description: null,
+    toolUseId: null,
+    turnIndex: null
+  };
+}
+
+function addToRun(run, msg) {
+  if (!run.firstTimestamp && msg.timestamp) run.firstTimestamp = msg.timestamp;
+  if (msg.type === 'user' && run.prompt === null && msg.promptText) run.prompt = msg.promptText;
+  if (msg.type === 'assistant') run.assistantMessages.push(msg);
+}
+
+// Subagent runs of a session: inline sidechain messages from older
+// transcripts, plus one run per agent transcript ({ filePath, session }). Each run is linked to
+// the Task tool call that started it, first by the agent id the tool result
+// reports and otherwise by matching the prompt it was given.
+function collectSubagentRuns(session, agentTranscripts = []) {
+  const runs = [];
+  const byAgentId = new Map();
+  let current = null;
+
+  for (const msg of session.messages) {
+    if (!msg.sidechain) continue;
+    let run = msg.agentId ? byAgentId.get(msg.agentId) : current;
+    if (!run || (msg.startsSidechain && !msg.agentId)) {
+      run = newRun(msg.agentId, 'inline');
+      runs.push(run);
+      if (msg.agentId) byAgentId.set(msg.agentId, run);
+    }
+    current = run;
+    addToRun(run, msg);
+  }
+
+  for (const { filePath, session: agent } of agentTranscripts) {
+    const first = agent.messages.find(m => m.agentId);
+    const agentId = first ? first.agentId : path.basename(filePath, '.jsonl').replace(/^agent-/, '');
+    const run = newRun(agentId, 'file');
+    for (const msg of agent.messages) addToRun(run, msg);
+    runs.push(run);
+  }
+
+  linkRuns(session, runs);
+  return runs;
+}
+
+function linkRuns(session, runs) {
+  if (runs.length === 0) return;
+
+  const calls = [];
+  for (const turn of groupPrompts(session)) {
+    for (const resp of turn.responses) {
+      for (const tool of resp.toolCalls) {
+        if (AGENT_TOOLS.has(tool.name)) calls.push({ ...tool, turnIndex: turn.turnIndex, linked: false });
+      }
+    }
+  }
+
+  const link = (run, call) => {
+    call.linked = true;
+    run.toolUseId = call.id;
+    run.turnIndex = call.turnIndex;
+    run.subagentType = call.input.subagent_type || 'general-purpose';
+    run.description = call.input.description || null;
+  };
+
+  for (const run of runs) {
+    const toolUseId = run.agentId && session.agentToolUses[run.agentId];
+    const call = toolUseId && calls.find(c => c.id === toolUseId && !c.linked);
+    if (call) link(run, call);
+  }
+
+  for (const run of runs) {
+    if (run.toolUseId || !run.prompt) continue;
+    const prompt = normalizePrompt(run.prompt);
+    const call = calls.find(c => !c.linked && normalizePrompt(c.input.prompt) === prompt);
+    if (call) link(run, call);
+  }
+
+  for (const run of runs) {
+    if (!run.subagentType) run.subagentType = 'unlinked';
+  }
+}
+
+module.exports = { collectSubagentRuns, AGENT_TOOLS };
@@ -4,7 +4,12 @@ const { formatCost, formatTokens } = require('../cost/pricing.js');
 
 async function exportData(format) {
   const stats = await readStatsCache();
-  const overview = buildOverview(stats);
+
+  // Supplement stale cache with recent session data
+  const { getUncachedSessions } = require('../analysis/sessions.js');
+  const recentSessions = await getUncachedSessions(stats);
+
+  const overview = buildOverview(stats, null, recentSessions.length > 0 ? recentSessions : null);
 
   if (overview.empty) {
     console.error('\nNo Claude Code data found.\n');
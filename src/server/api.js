@@ -13,7 +13,8 @@ async function handleApi(pathname, req, res) {
 
   try {
     if (pathname === '/api/overview') {
-      const data = await getOverview(filters);
+      const { withComparison, compareOverview } = require('../analysis/compare.js');
+      const data = await withComparison(filters, getOverview, compareOverview);
       return json(res, data);
     }
 
@@ -23,9 +24,32 @@ async function handleApi(pathname, req, res) {
       return json(res, data);
     }
 
+    const transcriptMatch = pathname.match(/^\/api\/sessions\/([^/]+)\/transcript$/);
+    if (transcriptMatch) {
+      const { getTranscript } = require('../analysis/transcript.js');
+      const data = await getTranscript(decodeURIComponent(transcriptMatch[1]));
+      if (!data) {
+        res.statusCode = 404;
+        return json(res, { error: 'Session not found' });
+      }
+      return json(res, data);
+    }
+
+    const sessionMatch = pathname.match(/^\/api\/sessions\/([^/]+)$/);
+    if (sessionMatch) {
+      const { getSessionDetail } = require('../analysis/session-detail.js');
+      const data = await getSessionDetail(decodeURIComponent(sessionMatch[1]));
+      if (!data) {
+        res.statusCode = 404;
+        return json(res, { error: 'Session not found' });
+      }
+      return json(res, data);
+    }
+
     if (pathname === '/api/projects') {
       const { getProjects } = require('../analysis/projects.js');
-      const data = await getProjects(filters);
+      const { withComparison, compareProjects } = require('../analysis/compare.js');
+      const data = await withComparison(filters, getProjects, compareProjects);
       return json(res, data);
     }
 
@@ -36,6 +60,68 @@ async function handleApi(pathname, req, res) {
       return json(res, projects);
     }
 
+    if (pathname === '/api/roots') {
+      const { getClaudeRoots } = require('../data/reader.js');
+      return json(res, getClaudeRoots());
+    }
+
+    if (pathname === '/api/pricing-confidence') {
+      const { getPricingConfidence } = require('../analysis/pricing-confidence.js');
+      const data = await getPricingConfidence(filters);
+      return json(res, data);
+    }
+
+    if (pathname === '/api/long-context') {
+      const { getLongContextUsage } = require('../analysis/long-context.js');
+      const data = await getLongContextUsage(filters);
+      return json(res, data);
+    }
+
+    if (pathname === '/api/plan') {
+      const { getPlanComparison } = require('../analysis/plan-comparison.js');
+      const data = await getPlanComparison(filters);
+      return json(res, data);
+    }
+
+    if (pathname === '/api/blocks') {
+      const { getUsageBlocks } = require('../analysis/usage-blocks.js');
+      const data = await getUsageBlocks(filters);
+      return json(res, data);
+    }
+
+    if (pathname === '/api/budgets') {
+      const { getBudgets } = require('../analysis/budgets.js');
+      const data = await getBudgets();
+      return json(res, data);
+    }
+
+    if (pathname === '/api/subagents') {
+      const { getSubagentCosts } = require('../analysis/subagents.js');
+      const data = await getSubagentCosts(filters);
+      return json(res, data);
+    }
+
+    if (pathname === '/api/compactions') {
+      const { getCompactions } = require('../analysis/compactions.js');
+      const data = await getCompactions(filters);
+      return json(res, data);
+    }
+
+    if (pathname === '/api/search') {
+      const { searchSessions, MAX_LIMIT } = require('../analysis/search.js');
+      const limitParam = url.searchParams.get('limit');
+      const limit = limitParam === null ? undefined : Number(limitParam);
+      if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_LIMIT)) {
+        res.statusCode = 400;
+        return json(res, { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` });
+      }
+      const data = await searchSessions(url.searchParams.get('q'), filters, {
+        scope: url.searchParams.get('scope') || undefined,
+        limit
+      });
+      return json(res, data);
+    }
+
     if (pathname === '/api/patterns') {
       const { getPatterns } = require('../analysis/patterns.js');
       const data = await getPatterns();
@@ -47,13 +133,15 @@ async function handleApi(pathname, req, res) {
       const { getAdvancedInsights } = require('../analysis/advanced-insights.js');
       const { readClaudeConfig } = require('../data/config-reader.js');
       const { getContributions } = require('../analysis/contributions.js');
+      const { getCostAnomalies, anomalyInsights } = require('../analysis/anomalies.js');
+      const { getForecast, forecastInsights } = require('../analysis/forecast.js');
       const overview = await getOverview(filters);
       const { getSessions } = require('../analysis/sessions.js');
-      const [sessions, config] = await Promise.all([getSessions(filters), readClaudeConfig()]);
-      const baseInsights = generateInsights(overview, sessions, config);
+      const [sessions, config, anomalies, forecast] = await Promise.all([getSessions(filters), readClaudeConfig(), getCostAnomalies(filters), getForecast(filters)]);
+      const baseInsights = [...anomalyInsights(anomalies), ...generateInsights(overview, sessions, config), ...forecastInsights(forecast)];
       let advancedInsights = [];
       try {
-        const contributions = await getContributions();
+        const contributions = await getContributions(filters);
         advancedInsights = await getAdvancedInsights(overview, sessions, contributions);
       } catch {
         // Advanced insights are optional — don't break the response
@@ -61,12 +149,36 @@ async function handleApi(pathname, req, res) {
       return json(res, [...baseInsights, ...advancedInsights]);
     }
 
+    if (pathname === '/api/commits') {
+      const { getCommitCosts } = require('../analysis/commits.js');
+      const data = await getCommitCosts(filters);
+      return json(res, data);
+    }
+
+    if (pathname === '/api/forecast') {
+      const { getForecast } = require('../analysis/forecast.js');
+      const data = await getForecast(filters);
+      return json(res, data);
+    }
+
+    if (pathname === '/api/anomalies') {
+      const { getCostAnomalies } = require('../analysis/anomalies.js');
+      const data = await getCostAnomalies(filters);
+      return json(res, data);
+    }
+
     if (pathname === '/api/expensive-prompts') {
       const { getExpensivePrompts } = require('../analysis/expensive-prompts.js');
       const data = await getExpensivePrompts(filters);
       return json(res, data);
     }
 
+    if (pathname === '/api/prompt-clusters') {
+      const { getPromptClusters } = require('../analysis/prompt-clusters.js');
+      const data = await getPromptClusters(filters);
+      return json(res, data);
+    }
+
     if (pathname === '/api/recommendations') {
       const { getRecommendations } = require('../analysis/recommendations.js');
       const overview = await getOverview(filters);
@@ -87,7 +199,7 @@ async function handleApi(pathname, req, res) {
 
     if (pathname === '/api/contributions') {
       const { getContributions } = require('../analysis/contributions.js');
-      const data = await getContributions();
+      const data = await getContributions(filters);
       return json(res, data);
     }
 
@@ -99,13 +211,21 @@ async function handleApi(pathname, req, res) {
 
     if (pathname === '/api/tool-usage') {
       const { getToolUsage } = require('../analysis/tool-usage.js');
-      const data = await getToolUsage(filters);
+      const { withComparison, compareToolUsage } = require('../analysis/compare.js');
+      const data = await withComparison(filters, getToolUsage, compareToolUsage);
+      return json(res, data);
+    }
+
+    if (pathname === '/api/tool-outcomes') {
+      const { getToolOutcomes } = require('../analysis/tool-usage.js');
+      const data = await getToolOutcomes(filters);
       return json(res, data);
     }
 
     if (pathname === '/api/branch-costs') {
       const { getBranchCosts } = require('../analysis/branch-costs.js');
-      const data = await getBranchCosts(filters);
+      const { withComparison, compareBranchCosts } = require('../analysis/compare.js');
+      const data = await withComparison(filters, getBranchCosts, compareBranchCosts);
       return json(res, data);
     }
 
@@ -123,10 +243,19 @@ function parseFilters(params) {
   const from = params.get('from');
   const to = params.get('to');
   const project = params.get('project');
+  const root = params.get('root');
+  const branch = params.get('branch');
+  // A second date range to compare the first with
+  const compareFrom = params.get('compareFrom');
+  const compareTo = params.get('compareTo');
 
   if (from) filters.from = from;
   if (to) filters.to = to;
   if (project) filters.project = project;
+  if (root) filters.root = root;
+  if (branch) filters.branch = branch;
+  if (compareFrom) filters.compareFrom = compareFrom;
+  if (compareTo) filters.compareTo = compareTo;
 
   return Object.keys(filters).length > 0 ? filters : null;
 }
@@ -140,16 +269,9 @@ async function getOverview(filters) {
     }
     const stats = await readStatsCache();
     // Supplement stale cache with recent session data
-    let recentSessions = null;
-    if (stats && stats.lastComputedDate) {
-      const today = new Date().toISOString().split('T')[0];
-      if (stats.lastComputedDate < today) {
-        const { getSessions } = require('../analysis/sessions.js');
-        const allSessions = await getSessions();
-        recentSessions = allSessions.filter(s => s.date && s.date > stats.lastComputedDate);
-      }
-    }
-    cachedOverview = buildOverview(stats, null, recentSessions);
+    const { getUncachedSessions } = require('../analysis/sessions.js');
+    const recentSessions = await getUncachedSessions(stats);
+    cachedOverview = buildOverview(stats, null, recentSessions.length > 0 ? recentSessions : null);
     cacheTime = Date.now();
     return cachedOverview;
   }
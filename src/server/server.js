@@ -8,6 +8,10 @@ const DASHBOARD_PATH = path.join(__dirname, '..', 'dashboard', 'index.html');
 // SSE clients for watch mode
 const sseClients = new Set();
 
+// Spend checks rebuild the session list from scratch, so in watch mode each
+// runs at most this often however fast transcripts grow
+const MONITOR_INTERVAL_MS = 30000;
+
 async function createServer({ port = 3456, watch = false } = {}) {
   const server = http.createServer(async (req, res) => {
     const url = new URL(req.url, `http://localhost:${port}`);
@@ -110,19 +114,78 @@ function broadcastSSE(event, data) {
 
 function startWatcher() {
   const fsSync = require('fs');
-  const os = require('os');
-  const claudeDir = path.join(os.homedir(), '.claude');
-  const statsFile = path.join(claudeDir, 'stats-cache.json');
-
-  try {
-    fsSync.watch(statsFile, () => {
-      const { invalidateCache } = require('./api.js');
-      invalidateCache();
-      broadcastSSE('refresh', { timestamp: Date.now() });
-    });
-  } catch {
-    // stats-cache.json might not exist yet
+  const { getClaudeRoots } = require('../data/reader.js');
+
+  for (const root of getClaudeRoots()) {
+    try {
+      fsSync.watch(path.join(root.path, 'stats-cache.json'), () => {
+        invalidateAll();
+        broadcastSSE('refresh', { timestamp: Date.now() });
+      });
+    } catch {
+      // stats-cache.json might not exist yet
+    }
   }
+
+  // Alert once when spend crosses a budget's warning or limit threshold
+  const { createBudgetMonitor } = require('../analysis/budgets.js');
+  const checkBudgets = createBudgetMonitor();
+  let budgetCheck = checkBudgets().catch(() => {});
+  const scheduleBudgetCheck = throttle(() => {
+    budgetCheck = budgetCheck
+      .then(() => checkBudgets())
+      .then(alerts => {
+        for (const alert of alerts) broadcastSSE('budget-warning', alert);
+      })
+      .catch(() => {});
+  }, MONITOR_INTERVAL_MS);
+
+  // Alert once when a day or session turns into a cost spike
+  const { createAnomalyMonitor } = require('../analysis/anomalies.js');
+  const checkAnomalies = createAnomalyMonitor();
+  let anomalyCheck = checkAnomalies().catch(() => {});
+  const scheduleAnomalyCheck = throttle(() => {
+    anomalyCheck = anomalyCheck
+      .then(() => budgetCheck)
+      .then(() => checkAnomalies())
+      .then(alerts => {
+        for (const alert of alerts) broadcastSSE('cost-anomaly', alert);
+      })
+      .catch(() => {});
+  }, MONITOR_INTERVAL_MS);
+
+  // Live burn: tail active transcripts and push what each append added
+  const { watchSessionFiles } = require('./session-watcher.js');
+  watchSessionFiles(delta => {
+    invalidateAll();
+    broadcastSSE('session-update', delta);
+    scheduleBudgetCheck();
+    scheduleAnomalyCheck();
+  });
+}
+
+// Call run at most once per interval. A call inside the interval schedules
+// one run at its end, so the latest change is always checked.
+function throttle(run, intervalMs) {
+  let last = 0;
+  let timer = null;
+  return () => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      last = Date.now();
+      run();
+    }, Math.max(0, last + intervalMs - Date.now()));
+  };
+}
+
+function invalidateAll() {
+  const { invalidateCache } = require('./api.js');
+  const { invalidateCorpus } = require('../data/session-corpus.js');
+  const { invalidateSessionsCache } = require('../analysis/sessions.js');
+  invalidateCache();
+  invalidateCorpus();
+  invalidateSessionsCache();
 }
 
 module.exports = { createServer };
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { getClaudeRoots } = require('../data/reader.js');
+const { getSessionCorpus, loadSessionFile, refreshSessionFile } = require('../data/session-corpus.js');
+const { billableMessages } = require('../data/session-parser.js');
+const { calculateCost } = require('../cost/pricing.js');
+
+const DEBOUNCE_MS = 250;
+
+// Follow <root>/projects/**/*.jsonl under every data root and report what each
+// append added. onDelta receives one summary per file change that produced new
+// messages. Subagent transcripts in <sessionId>/subagents/ are reported as
+// part of the session that ran them.
+function watchSessionFiles(onDelta) {
+  const watchers = new Map();
+  const timers = new Map();
+
+  function scheduleRefresh(filePath, refresh = refreshSession) {
+    clearTimeout(timers.get(filePath));
+    timers.set(filePath, setTimeout(async () => {
+      timers.delete(filePath);
+      try {
+        const delta = await refresh(filePath);
+        if (delta) onDelta(delta);
+      } catch {
+        // File vanished or is unreadable — nothing to report
+      }
+    }, DEBOUNCE_MS));
+  }
+
+  async function refreshSession(filePath) {
+    const { session, added, grown } = await refreshSessionFile(filePath);
+    return added.length > 0 || grown.size > 0 ? summarizeDelta(session, added, grown) : null;
+  }
+
+  // The agent's new responses, with the session totals of <sessionId>.jsonl
+  // and every agent transcript beside this one
+  async function refreshAgent(filePath) {
+    const refreshed = await refreshSessionFile(filePath);
+    const added = refreshed.added.filter(msg => msg.type === 'assistant');
+    if (added.length === 0 && refreshed.grown.size === 0) return null;
+    const subagentsDir = path.dirname(filePath);
+    const agentFiles = (await fs.promises.readdir(subagentsDir))
+      .filter(name => name.endsWith('.jsonl'))
+      .map(name => path.join(subagentsDir, name));
+    const session = await loadSessionFile(path.dirname(subagentsDir) + '.jsonl', agentFiles);
+    return summarizeDelta(session, added, refreshed.grown);
+  }
+
+  function watchDir(dir, onEntry) {
+    if (watchers.has(dir)) return;
+    try {
+      const watcher = fs.watch(dir, (event, filename) => {
+        if (filename) onEntry(path.join(dir, filename.toString()));
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+    } catch {
+      // Directory may not exist yet
+    }
+  }
+
+  function watchProjectDir(dir) {
+    watchDir(dir, entryPath => {
+      if (entryPath.endsWith('.jsonl')) {
+        scheduleRefresh(entryPath);
+      } else {
+        whenDirectory(entryPath, watchSessionDir);
+      }
+    });
+    forEachDirectory(dir, watchSessionDir);
+  }
+
+  // A session's directory gets its subagents/ folder when it first runs one
+  function watchSessionDir(dir) {
+    const subagentsDir = path.join(dir, 'subagents');
+    if (fs.existsSync(subagentsDir)) {
+      watchSubagentsDir(subagentsDir);
+      return;
+    }
+    watchDir(dir, entryPath => {
+      if (entryPath === subagentsDir) whenDirectory(entryPath, watchSubagentsDir);
+    });
+  }
+
+  function watchSubagentsDir(dir) {
+    watchDir(dir, filePath => {
+      if (filePath.endsWith('.jsonl')) scheduleRefresh(filePath, refreshAgent);
+    });
+  }
+
+  for (const root of getClaudeRoots()) {
+    const projectsDir = path.join(root.path, 'projects');
+
+    // New project directories appear as Claude Code is used in new places
+    watchDir(projectsDir, entryPath => whenDirectory(entryPath, watchProjectDir));
+    forEachDirectory(projectsDir, watchProjectDir);
+  }
+
+  // Record current file offsets so the first change is read as a delta
+  getSessionCorpus().catch(() => {});
+
+  return {
+    close() {
+      for (const watcher of watchers.values()) watcher.close();
+      for (const timer of timers.values()) clearTimeout(timer);
+      watchers.clear();
+      timers.clear();
+    }
+  };
+}
+
+function whenDirectory(entryPath, onDirectory) {
+  fs.stat(entryPath, (err, stat) => {
+    if (!err && stat.isDirectory()) onDirectory(entryPath);
+  });
+}
+
+function forEachDirectory(dir, onDirectory) {
+  try {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) onDirectory(path.join(dir, entry.name));
+    }
+  } catch {
+    // Not there yet
+  }
+}
+
+// added: the messages an append added. grown: earlier requests it streamed
+// more lines of, each with its usage and tool call count from before, so the
+// delta also carries what those lines added.
+function summarizeDelta(session, added, grown = new Map()) {
+  const tokens = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, cacheWrite1h: 0 };
+  const toolCalls = {};
+  let cost = 0;
+  let prompts = 0;
+
+  const addUsage = (msg, usage, sign) => {
+    cost += sign * calculateCost(usage, msg.model, msg.timestamp).totalCost;
+    tokens.input += sign * usage.inputTokens;
+    tokens.output += sign * usage.outputTokens;
+    tokens.cacheRead += sign * usage.cacheReadInputTokens;
+    tokens.cacheWrite += sign * usage.cacheCreationInputTokens;
+    tokens.cacheWrite1h += sign * usage.cacheCreation1hInputTokens;
+  };
+  const countTools = tools => {
+    for (const tool of tools) toolCalls[tool.name] = (toolCalls[tool.name] || 0) + 1;
+  };
+
+  for (const msg of added) {
+    if (msg.type === 'user') {
+      // Tool results carry no text and subagent prompts aren't the user's,
+      // the same rule groupPrompts uses
+      if (!msg.sidechain && (msg.promptText || msg.compactSummary)) prompts++;
+      continue;
+    }
+    countTools(msg.toolCalls);
+    if (msg.usage && msg.model) addUsage(msg, msg.usage, 1);
+  }
+
+  for (const [msg, before] of grown) {
+    countTools(msg.toolCalls.slice(before.toolCalls));
+    if (!msg.usage || !msg.model) continue;
+    addUsage(msg, msg.usage, 1);
+    if (before.usage) addUsage(msg, before.usage, -1);
+  }
+
+  let sessionCost = 0;
+  for (const msg of billableMessages(session)) {
+    if (msg.usage && msg.model) sessionCost += calculateCost(msg.usage, msg.model, msg.timestamp).totalCost;
+  }
+
+  return {
+    sessionId: session.sessionId,
+    projectPath: session.projectPath,
+    timestamp: Date.now(),
+    messages: added.length,
+    prompts,
+    cost,
+    tokens,
+    toolCalls,
+    session: {
+      cost: sessionCost,
+      messages: session.messageCount,
+      duration: session.duration
+    }
+  };
+}
+
+module.exports = { watchSessionFiles, summarizeDelta };
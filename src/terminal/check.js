@@ -0,0 +1,24 @@
+const { getBudgets, describeBudget } = require('../analysis/budgets.js');
+const { getSettingsFile } = require('../data/settings.js');
+const { formatCost } = require('../cost/pricing.js');
+
+const STATUS_LABELS = { ok: 'OK', warning: 'WARNING', over: 'OVER' };
+
+// Print every budget and resolve to the process exit code: 1 when any budget
+// is over, 0 otherwise (including when none are configured).
+async function runBudgetCheck() {
+  const { configured, budgets, over } = await getBudgets();
+
+  if (!configured) {
+    console.log(`No budgets configured. Add a "budgets" entry to ${getSettingsFile()}.`);
+    return 0;
+  }
+
+  for (const b of budgets) {
+    console.log(`${STATUS_LABELS[b.status].padEnd(8)} ${describeBudget(b).padEnd(36)} ${formatCost(b.spent).padStart(10)} of ${formatCost(b.limit)} (${b.percent}%)`);
+  }
+
+  return over > 0 ? 1 : 0;
+}
+
+module.exports = { runBudgetCheck };
@@ -0,0 +1,27 @@
+const { searchSessions } = require('../analysis/search.js');
+const { formatCost } = require('../cost/pricing.js');
+
+// Print the turns matching a query, best first
+async function printSearch(query, filters, options) {
+  if (!query) {
+    console.error('Usage: claude-burn-rate search <query> [--all] [--from date] [--to date] [--project path] [--branch name]');
+    return 1;
+  }
+
+  const { hits, total } = await searchSessions(query, filters, options);
+  if (total === 0) {
+    console.log(`No matches for "${query}".`);
+    return 0;
+  }
+
+  for (const hit of hits) {
+    const where = hit.field === 'prompt' ? '' : ` (${hit.field === 'response' ? 'reply' : 'tool input'})`;
+    console.log(`${hit.date || '          '}  ${formatCost(hit.cost).padStart(9)}  ${hit.sessionId}  turn ${hit.turnIndex + 1}${where}`);
+    console.log(`  ${hit.project || ''}${hit.gitBranch ? ` @ ${hit.gitBranch}` : ''}`);
+    console.log(`  ${hit.snippet}\n`);
+  }
+  if (total > hits.length) console.log(`Showing ${hits.length} of ${total} matches; use --limit to see more.`);
+  return 0;
+}
+
+module.exports = { printSearch };
@@ -0,0 +1,116 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { listProjectDirs } = require('../data/reader.js');
+const { billableMessages, aggregateSessionTokensByHour } = require('../data/session-parser.js');
+const { loadSessionFile } = require('../data/session-corpus.js');
+const { loadParseCache } = require('../data/parse-cache.js');
+const { calculateCost, formatCost } = require('../cost/pricing.js');
+const { buildHourlyUsage, buildBlocks, projectBlock } = require('../analysis/usage-blocks.js');
+
+// Hours of history scanned to place the current 5-hour block
+const BLOCK_LOOKBACK_HOURS = 24;
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Claude Code passes transcript_path; older versions only send session_id
+async function findTranscript(input) {
+  if (input.transcript_path && await exists(input.transcript_path)) return input.transcript_path;
+  if (!input.session_id) return null;
+
+  const name = input.session_id + '.jsonl';
+  for (const dir of await listProjectDirs()) {
+    const candidate = path.join(dir.path, name);
+    if (await exists(candidate)) return candidate;
+  }
+  return null;
+}
+
+// Agent transcripts of the running session. Only the <sessionId>/subagents/
+// layout is checked; scanning for older top-level agent files costs too much here.
+async function listAgentFiles(transcript) {
+  const dir = path.join(path.dirname(transcript), path.basename(transcript, '.jsonl'), 'subagents');
+  try {
+    return (await fs.readdir(dir)).filter(name => name.endsWith('.jsonl')).map(name => path.join(dir, name));
+  } catch {
+    return [];
+  }
+}
+
+// One compact line for Claude Code's statusLine hook. Only the current
+// transcript and its subagents are parsed; every other session comes from the persistent parse
+// cache as of the last dashboard or --summary run.
+async function renderStatusline(input, now = Date.now()) {
+  const today = new Date(now).toISOString().split('T')[0];
+  const windowStart = new Date(now - BLOCK_LOOKBACK_HOURS * 60 * 60 * 1000).toISOString().slice(0, 13);
+
+  const transcript = await findTranscript(input);
+  const session = transcript ? await loadSessionFile(transcript, await listAgentFiles(transcript), { keep: false }) : null;
+
+  let sessionCost = 0;
+  let todayCost = 0;
+  const recentHours = [];
+
+  if (session) {
+    for (const msg of billableMessages(session)) {
+      if (!msg.usage || !msg.model) continue;
+      const cost = calculateCost(msg.usage, msg.model, msg.timestamp).totalCost;
+      sessionCost += cost;
+      if (msg.timestamp && new Date(msg.timestamp).toISOString().startsWith(today)) todayCost += cost;
+    }
+    recentHours.push({ sessionId: session.sessionId, tokensByHour: aggregateSessionTokensByHour(session) });
+  }
+
+  const cache = await loadParseCache();
+  for (const [filePath, { aggregates }] of cache) {
+    if (filePath === transcript || (session && aggregates.sessionId === session.sessionId)) continue;
+    for (const [model, tokens] of Object.entries((aggregates.tokensByDate || {})[today] || {})) {
+      todayCost += calculateCost(tokens, model, today).totalCost;
+    }
+    const tokensByHour = {};
+    for (const [hour, byModel] of Object.entries(aggregates.tokensByHour || {})) {
+      if (hour >= windowStart) tokensByHour[hour] = byModel;
+    }
+    recentHours.push({ sessionId: aggregates.sessionId, tokensByHour });
+  }
+
+  const parts = [];
+  const model = input.model && (input.model.display_name || input.model.id);
+  if (model) parts.push(model);
+  parts.push(`session ${formatCost(sessionCost)}`);
+  parts.push(`today ${formatCost(todayCost)}`);
+
+  const block = buildBlocks(buildHourlyUsage(recentHours), now).find(b => b.active);
+  if (block) {
+    const p = projectBlock(block, null, now);
+    const left = `${Math.floor(p.remainingMinutes / 60)}h${String(p.remainingMinutes % 60).padStart(2, '0')}m`;
+    parts.push(`block ${formatCost(block.cost)} (${formatCost(p.costPerHour)}/h, ${left} left)`);
+  }
+
+  return parts.join(' · ');
+}
+
+async function readStdin() {
+  if (process.stdin.isTTY) return '';
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+async function printStatusline() {
+  let input = {};
+  try {
+    input = JSON.parse(await readStdin()) || {};
+  } catch {
+    // No or malformed input — still print today's totals
+  }
+  console.log(await renderStatusline(input));
+}
+
+module.exports = { printStatusline, renderStatusline };
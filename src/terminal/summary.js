@@ -6,17 +6,10 @@ async function printSummary() {
   const stats = await readStatsCache();
 
   // Supplement stale cache with recent session data
-  let recentSessions = null;
-  if (stats && stats.lastComputedDate) {
-    const today = new Date().toISOString().split('T')[0];
-    if (stats.lastComputedDate < today) {
-      const { getSessions } = require('../analysis/sessions.js');
-      const allSessions = await getSessions();
-      recentSessions = allSessions.filter(s => s.date && s.date > stats.lastComputedDate);
-    }
-  }
+  const { getUncachedSessions } = require('../analysis/sessions.js');
+  const recentSessions = await getUncachedSessions(stats);
 
-  const overview = buildOverview(stats, null, recentSessions && recentSessions.length > 0 ? recentSessions : null);
+  const overview = buildOverview(stats, null, recentSessions.length > 0 ? recentSessions : null);
 
   if (overview.empty) {
     console.log('\nNo Claude Code data found.\n');
@@ -40,8 +33,44 @@ ${line}
   Sessions:              ${overview.totalSessions}
   Messages:              ${overview.totalMessages.toLocaleString()}
   Tool Calls:            ${overview.totalToolCalls.toLocaleString()}
+`);
+
+  const { getUsageBlocks } = require('../analysis/usage-blocks.js');
+  const blocks = await getUsageBlocks();
+  const block = blocks.current;
+  console.log(`${line}
+  Current ${blocks.blockHours}-Hour Block
+${line}
+`);
+  if (block) {
+    const time = iso => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    console.log(`  Started ${time(block.start)}, resets ${time(block.end)} (${Math.floor(block.remainingMinutes / 60)}h ${block.remainingMinutes % 60}m left)`);
+    console.log(`  Used:            ${formatTokens(block.tokens).padStart(12)}  ${formatCost(block.cost).padStart(10)}${block.limitPercent !== null ? `  (${block.limitPercent}% of limit)` : ''}`);
+    console.log(`  Burn rate:       ${(formatTokens(Math.round(block.tokensPerMinute)) + '/min').padStart(12)}  ${(formatCost(block.costPerHour) + '/h').padStart(10)}`);
+    console.log(`  Projected:       ${formatTokens(Math.round(block.projectedTokens)).padStart(12)}  ${formatCost(block.projectedCost).padStart(10)}`);
+    if (block.limitAt) {
+      console.log(`  Limit (${blocks.limit.source === 'setting' ? 'configured' : 'busiest block'}) reached around ${time(block.limitAt)} at this rate`);
+    }
+    console.log();
+  } else {
+    console.log('  No active block — the next message starts a new one.\n');
+  }
 
+  const { getBudgets, describeBudget } = require('../analysis/budgets.js');
+  const budgets = await getBudgets();
+  if (budgets.configured) {
+    console.log(`${line}
+  Budgets
 ${line}
+`);
+    for (const b of budgets.budgets) {
+      const flag = b.status === 'over' ? '  OVER' : b.status === 'warning' ? '  WARNING' : '';
+      console.log(`  ${describeBudget(b).padEnd(28)} ${formatCost(b.spent).padStart(10)} / ${formatCost(b.limit).padStart(10)}  (${b.percent}%)${flag}`);
+    }
+    console.log();
+  }
+
+  console.log(`${line}
   Model Breakdown
 ${line}
 `);
@@ -50,6 +79,81 @@ ${line}
     console.log(`  ${model.displayName.padEnd(25)} ${formatCost(model.totalCost).padStart(12)}`);
     console.log(`    Input:      ${formatCost(model.costBreakdown.input).padStart(10)}    Output:     ${formatCost(model.costBreakdown.output).padStart(10)}`);
     console.log(`    Cache Read: ${formatCost(model.costBreakdown.cacheRead).padStart(10)}    Cache Write:${formatCost(model.costBreakdown.cacheWrite).padStart(10)}`);
+    if (model.costBreakdown.cacheWrite1h > 0) {
+      console.log(`${' '.repeat(30)}of which 1h:${formatCost(model.costBreakdown.cacheWrite1h).padStart(10)}`);
+    }
+    console.log();
+  }
+
+  const { getPricingConfidence } = require('../analysis/pricing-confidence.js');
+  const confidence = await getPricingConfidence();
+  const tableCost = confidence.costByMatch.exact + confidence.costByMatch.prefix;
+
+  console.log(`${line}
+  Pricing Confidence
+${line}
+
+  Pricing table:   ${formatCost(tableCost).padStart(12)}
+  Name heuristic:  ${formatCost(confidence.costByMatch.heuristic).padStart(12)}
+  Sonnet fallback: ${formatCost(confidence.costByMatch.fallback).padStart(12)}
+`);
+
+  if (confidence.guessedCost > 0) {
+    console.log(`  ${confidence.guessedPercent}% of transcript spend rests on guessed prices:`);
+    for (const m of confidence.models.filter(m => m.guessed)) {
+      console.log(`    ${m.modelId.padEnd(32)} ${m.match.padEnd(10)} ${formatCost(m.cost).padStart(10)}`);
+    }
+    console.log(`  Add these models to ${confidence.pricingFile}\n`);
+  }
+
+  if (confidence.duplicateMessages > 0) {
+    console.log(`  ${confidence.duplicateMessages.toLocaleString()} duplicate streamed lines were counted once\n`);
+  }
+
+  const { getLongContextUsage } = require('../analysis/long-context.js');
+  const longContext = await getLongContextUsage();
+  if (longContext.requests > 0) {
+    console.log(`${line}
+  Long Context (>${longContext.threshold / 1000}K prompt)
+${line}
+
+  Requests:        ${String(longContext.requests).padStart(12)}
+  Cost:            ${formatCost(longContext.longContextCost).padStart(12)}  (${longContext.longContextPercent}% of session spend)
+  Premium:         ${formatCost(longContext.premium).padStart(12)}  above standard rates
+`);
+  }
+
+  const { getSubagentTypes } = require('../analysis/subagents.js');
+  const subagents = await getSubagentTypes();
+  if (subagents.runs > 0) {
+    console.log(`${line}
+  Subagents
+${line}
+
+  Runs:            ${String(subagents.runs).padStart(12)}
+  Cost:            ${formatCost(subagents.subagentCost).padStart(12)}  (${subagents.subagentPercent}% of session spend)
+`);
+    for (const t of subagents.types.slice(0, 5)) {
+      console.log(`  ${t.subagentType.padEnd(28)} ${String(t.runs).padStart(5)} runs ${formatCost(t.cost).padStart(10)}`);
+    }
+    console.log();
+  }
+
+  const { getPlanComparison } = require('../analysis/plan-comparison.js');
+  const planValue = await getPlanComparison();
+  if (planValue.cycles.length > 0) {
+    console.log(`${line}
+  Plan Value (${planValue.plan.label})
+${line}
+`);
+    for (const c of planValue.cycles.slice(-6)) {
+      const multiplier = c.valueMultiplier !== null ? `${c.valueMultiplier.toFixed(1)}x`.padStart(7) : '';
+      console.log(`  ${c.start} to ${c.end}${c.partial ? '*' : ' '} API ${formatCost(c.apiCost).padStart(10)}  Plan ${formatCost(c.planCost).padStart(10)}  ${multiplier}`);
+    }
+    if (planValue.cycles.some(c => c.partial)) console.log('  * cycle in progress');
+    if (planValue.recommendation) {
+      console.log(`\n  ${planValue.recommendation.label} would have saved ${formatCost(planValue.recommendation.savings)} over ${planValue.cyclesCompared} cycle(s)`);
+    }
     console.log();
   }
 
@@ -63,6 +167,10 @@ ${line}
   console.log(`  Output:      ${formatTokens(tc.output).padStart(10)}  (${tc.percentages.output}%)`);
   console.log(`  Cache Read:  ${formatTokens(tc.cacheRead).padStart(10)}  (${tc.percentages.cacheRead}%)`);
   console.log(`  Cache Write: ${formatTokens(tc.cacheWrite).padStart(10)}  (${tc.percentages.cacheWrite}%)`);
+  if (tc.cacheWrite1h > 0) {
+    console.log(`    5m TTL:    ${formatTokens(tc.cacheWrite5m).padStart(10)}  (${tc.percentages.cacheWrite5m}%)`);
+    console.log(`    1h TTL:    ${formatTokens(tc.cacheWrite1h).padStart(10)}  (${tc.percentages.cacheWrite1h}%)`);
+  }
   console.log(`  Total:       ${formatTokens(tc.total).padStart(10)}`);
 
   console.log(`\n${line}
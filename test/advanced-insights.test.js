@@ -37,8 +37,8 @@ describe('advanced-insights', () => {
       const sessions = [];
 
       const contributions = {
-        totalLinesWritten: 5000,
-        totalLinesEdited: 3000,
+        linesAdded: 5000,
+        linesRemoved: 3000,
         totalFilesTouched: 40,
         coAuthoredCommits: 20,
         topFiles: []
@@ -65,8 +65,8 @@ describe('advanced-insights', () => {
       };
 
       const contributions = {
-        totalLinesWritten: 100,
-        totalLinesEdited: 50,
+        linesAdded: 100,
+        linesRemoved: 50,
         totalFilesTouched: 5,
         coAuthoredCommits: 1,
         topFiles: []
@@ -98,8 +98,8 @@ describe('advanced-insights', () => {
       const overview = { empty: true };
 
       const contributions = {
-        totalLinesWritten: 100,
-        totalLinesEdited: 50,
+        linesAdded: 100,
+        linesRemoved: 50,
         totalFilesTouched: 5,
         coAuthoredCommits: 1,
         topFiles: []
@@ -121,8 +121,8 @@ describe('advanced-insights', () => {
       };
 
       const contributions = {
-        totalLinesWritten: 0,
-        totalLinesEdited: 0,
+        linesAdded: 0,
+        linesRemoved: 0,
         totalFilesTouched: 0,
         coAuthoredCommits: 0,
         topFiles: []
@@ -144,8 +144,8 @@ describe('advanced-insights', () => {
       };
 
       const contributions = {
-        totalLinesWritten: 10,
-        totalLinesEdited: 5,
+        linesAdded: 10,
+        linesRemoved: 5,
         totalFilesTouched: 2,
         coAuthoredCommits: 0,
         topFiles: []
@@ -158,71 +158,6 @@ describe('advanced-insights', () => {
     });
   });
 
-  describe('generateInsights - costForecast', () => {
-    const { generateInsights } = require('../src/analysis/insights.js');
-
-    it('produces cost forecast with 14+ days of data', () => {
-      const overview = {
-        totalCost: 100,
-        totalMessages: 200,
-        totalSessions: 20,
-        dailyCosts: Array.from({ length: 20 }, (_, i) => ({
-          date: `2026-02-${(i + 1).toString().padStart(2, '0')}`,
-          cost: 5 + (i < 10 ? 0 : 2) // increasing trend
-        })),
-        dailyActivity: [],
-        tokenComposition: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, total: 0 },
-        modelBreakdown: [],
-        hourCounts: {}
-      };
-
-      const insights = generateInsights(overview, [], null);
-      const forecast = insights.find(i => i.title.includes('Projected spend'));
-      assert.ok(forecast, 'Should produce cost forecast');
-      assert.ok(forecast.detail.includes('high'), 'Should have high confidence with 14+ days');
-      assert.ok(forecast.helpText);
-    });
-
-    it('shows increasing trend when recent spend is higher', () => {
-      const overview = {
-        totalCost: 100,
-        totalMessages: 200,
-        totalSessions: 20,
-        dailyCosts: Array.from({ length: 14 }, (_, i) => ({
-          date: `2026-02-${(i + 1).toString().padStart(2, '0')}`,
-          cost: i < 7 ? 2 : 10 // first week $2/day, second week $10/day
-        })),
-        dailyActivity: [],
-        tokenComposition: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, total: 0 },
-        modelBreakdown: [],
-        hourCounts: {}
-      };
-
-      const insights = generateInsights(overview, [], null);
-      const forecast = insights.find(i => i.title.includes('Projected spend'));
-      assert.ok(forecast);
-      assert.ok(forecast.description.includes('trending up'));
-      assert.equal(forecast.severity, 'warning');
-    });
-
-    it('skips forecast with fewer than 3 days', () => {
-      const overview = {
-        totalCost: 10,
-        totalMessages: 20,
-        totalSessions: 2,
-        dailyCosts: [{ date: '2026-02-01', cost: 5 }, { date: '2026-02-02', cost: 5 }],
-        dailyActivity: [],
-        tokenComposition: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, total: 0 },
-        modelBreakdown: [],
-        hourCounts: {}
-      };
-
-      const insights = generateInsights(overview, [], null);
-      const forecast = insights.find(i => i.title.includes('Projected spend'));
-      assert.equal(forecast, undefined, 'Should not produce forecast with <3 days');
-    });
-  });
-
   describe('generateInsights - sessionDurationDistribution', () => {
     const { generateInsights } = require('../src/analysis/insights.js');
 
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('anomalies');
+
+const { getCostAnomalies, anomalyInsights, createAnomalyMonitor, robustScore } = require('../src/analysis/anomalies.js');
+const { invalidateSessionsCache } = require('../src/analysis/sessions.js');
+const { invalidateCorpus } = require('../src/data/session-corpus.js');
+
+function writeSession(project, sessionId, ts, model, usage) {
+  writeTranscript(tmpHome, project, sessionId, [
+    { type: 'user', timestamp: ts, message: { content: 'Keep going' } },
+    { type: 'assistant', timestamp: ts, message: { model, usage, content: [] } }
+  ]);
+}
+
+// Twelve ordinary days on Sonnet: 10-12K output tokens, about $0.15-0.18 each
+for (let day = 1; day <= 12; day++) {
+  const date = `2026-03-${String(day).padStart(2, '0')}`;
+  writeSession('/work/app', `day-${day}`, `${date}T10:00:00Z`, 'claude-sonnet-4-6', { input_tokens: 0, output_tokens: 10000 + (day % 3) * 1000 });
+}
+// Then a day on Opus in another project, mostly writing the cache: about $9.40
+writeSession('/work/infra', 'spike', '2026-03-13T10:00:00Z', 'claude-opus-4-6', { input_tokens: 0, output_tokens: 20000, cache_creation_input_tokens: 1500000 });
+
+describe('robustScore', () => {
+  it('measures distance from the median in robust standard deviations', () => {
+    const { median, score } = robustScore(10, [1, 2, 3, 4, 5]);
+    assert.equal(median, 3);
+    assert.ok(Math.abs(score - 7 / 1.4826) < 1e-9);
+  });
+
+  it('keeps a flat history from making every rise a spike', () => {
+    assert.ok(Math.abs(robustScore(1.2, [1, 1, 1, 1]).score - 2) < 1e-9);
+  });
+});
+
+describe('getCostAnomalies', () => {
+  it('flags a day far above the days before it and explains it', async () => {
+    const data = await getCostAnomalies();
+    assert.equal(data.days.length, 1);
+    const [day] = data.days;
+    assert.equal(day.date, '2026-03-13');
+    assert.ok(day.ratio > 50);
+    assert.equal(day.drivers.models[0].key, 'claude-opus-4-6');
+    assert.equal(day.drivers.projects[0].key, '/work/infra');
+    assert.equal(day.drivers.tokenTypes[0].key, 'cache write');
+    assert.ok(day.explanation.includes('project infra'));
+    assert.ok(day.explanation.includes('cache write tokens'));
+  });
+
+  it('flags a session far above the others', async () => {
+    const data = await getCostAnomalies();
+    assert.deepEqual(data.sessions.map(s => s.sessionId), ['spike']);
+    assert.equal(data.sessions[0].drivers.models[0].key, 'claude-opus-4-6');
+    assert.equal(data.sessions[0].drivers.tokenTypes[0].key, 'cache write');
+  });
+
+  it('needs enough history first', async () => {
+    const data = await getCostAnomalies({ from: '2026-03-08' });
+    assert.deepEqual(data.days, []);
+    assert.deepEqual(data.sessions, []);
+  });
+});
+
+describe('anomalyInsights', () => {
+  it('turns findings into warnings', async () => {
+    const insights = anomalyInsights(await getCostAnomalies());
+    assert.equal(insights.length, 2);
+    assert.ok(insights.every(i => i.severity === 'warning'));
+    assert.ok(insights[0].title.startsWith('Unusual spend on 2026-03-13'));
+  });
+
+  it('adds nothing when spend is normal', () => {
+    assert.deepEqual(anomalyInsights({ days: [], sessions: [], helpText: '' }), []);
+  });
+});
+
+describe('createAnomalyMonitor', () => {
+  it('reports only spikes that appear after the first check', async () => {
+    const check = createAnomalyMonitor();
+    assert.deepEqual(await check(), []);
+
+    writeSession('/work/app', 'spike-2', '2026-03-14T10:00:00Z', 'claude-opus-4-6', { input_tokens: 0, output_tokens: 20000, cache_creation_input_tokens: 3000000 });
+    invalidateCorpus();
+    invalidateSessionsCache();
+
+    const alerts = await check();
+    assert.deepEqual(alerts.map(a => a.kind === 'day' ? 'day:' + a.date : 'session:' + a.sessionId).sort(), ['day:2026-03-14', 'session:spike-2']);
+    assert.deepEqual(await check(), []);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('budgets');
+
+const { getBudgets, createBudgetMonitor, readBudgetLimits, periodStart } = require('../src/analysis/budgets.js');
+const { runBudgetCheck } = require('../src/terminal/check.js');
+const { getSettingsFile, setSettingsFile } = require('../src/data/settings.js');
+const { invalidateCorpus } = require('../src/data/session-corpus.js');
+const { invalidateSessionsCache } = require('../src/analysis/sessions.js');
+
+const settingsFile = getSettingsFile();
+fs.mkdirSync(path.dirname(settingsFile), { recursive: true });
+
+// Sonnet output at $15/M
+function writeSession(sessionId, { cwd = '/work/app', branch = 'main', outputTokens, timestamp = new Date().toISOString() }) {
+  writeTranscript(tmpHome, cwd, sessionId, [
+    { type: 'user', timestamp, message: { content: 'go' } },
+    { type: 'assistant', timestamp, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: outputTokens }, content: [] } }
+  ], { gitBranch: branch });
+  invalidateCorpus();
+  invalidateSessionsCache();
+}
+
+function configure(budgets) {
+  fs.writeFileSync(settingsFile, JSON.stringify({ budgets }));
+  setSettingsFile(settingsFile);
+}
+
+describe('readBudgetLimits', () => {
+  it('reads period limits overall and per project or branch', () => {
+    const limits = readBudgetLimits({ daily: 10, monthly: 0, projects: { '/work/app': 50 }, branches: { main: { weekly: 5 } } });
+    assert.deepEqual(limits, [
+      { scope: 'total', target: null, period: 'daily', limit: 10 },
+      { scope: 'project', target: '/work/app', period: 'monthly', limit: 50 },
+      { scope: 'branch', target: 'main', period: 'weekly', limit: 5 }
+    ]);
+  });
+});
+
+describe('periodStart', () => {
+  it('starts weeks on Monday and months on the 1st (UTC)', () => {
+    const now = new Date('2026-02-19T23:00:00Z');
+    assert.equal(periodStart('daily', now), '2026-02-19');
+    assert.equal(periodStart('weekly', now), '2026-02-16');
+    assert.equal(periodStart('monthly', now), '2026-02-01');
+    assert.equal(periodStart('weekly', new Date('2026-02-22T10:00:00Z')), '2026-02-16');
+  });
+});
+
+describe('getBudgets', () => {
+  beforeEach(() => {
+    writeSession('a', { outputTokens: 1_000_000 });
+    writeSession('b', { cwd: '/work/other', branch: 'feature', outputTokens: 200_000 });
+    // Too old for any current period
+    writeSession('old', { outputTokens: 1_000_000, timestamp: '2020-01-01T10:00:00Z' });
+  });
+
+  it('checks spend per scope against each limit', async () => {
+    configure({ daily: 20, projects: { '/work/app': { daily: 16 } }, branches: { feature: { daily: 3 } } });
+    const data = await getBudgets();
+    assert.equal(data.configured, true);
+    assert.deepEqual(data.budgets.map(b => [b.scope, Math.round(b.spent * 100) / 100, b.status]), [
+      ['total', 18, 'warning'],
+      ['project', 15, 'warning'],
+      ['branch', 3, 'over']
+    ]);
+    assert.equal(data.over, 1);
+    assert.equal(data.warning, 2);
+  });
+
+  it('exits non-zero from check only when a budget is over', async t => {
+    t.mock.method(console, 'log', () => {});
+    configure({ daily: 100 });
+    assert.equal(await runBudgetCheck(), 0);
+    configure({ daily: 10 });
+    assert.equal(await runBudgetCheck(), 1);
+    configure(undefined);
+    assert.equal(await runBudgetCheck(), 0);
+  });
+
+  it('alerts once as spend crosses 80% and again at 100%', async () => {
+    configure({ daily: 25 });
+    const check = createBudgetMonitor();
+    assert.deepEqual(await check(), []);
+
+    writeSession('c', { outputTokens: 300_000 });
+    const warning = await check();
+    assert.deepEqual(warning.map(a => a.threshold), [80]);
+    assert.deepEqual(await check(), []);
+
+    writeSession('d', { outputTokens: 500_000 });
+    assert.deepEqual((await check()).map(a => a.threshold), [100]);
+  });
+});
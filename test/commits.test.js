@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('commits');
+
+const { getCommitCosts, mergedBranchName } = require('../src/analysis/commits.js');
+
+const repo = path.join(tmpHome, 'app');
+const elsewhere = path.join(tmpHome, 'scratch');
+
+function git(args, date, env = {}) {
+  return execFileSync('git', args, { cwd: repo, env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date, ...env }, stdio: 'pipe' });
+}
+
+function commit(file, lines, date, message, email) {
+  fs.writeFileSync(path.join(repo, file), Array.from({ length: lines }, (_, i) => `line ${i}`).join('\n') + '\n');
+  git(['add', file], date);
+  const env = email ? { GIT_AUTHOR_EMAIL: email, GIT_AUTHOR_NAME: 'Someone Else' } : {};
+  git(['commit', '-q', '-m', message], date, env);
+}
+
+// Sonnet output at $15/M, from start to end
+function writeSession(sessionId, cwd, start, end, outputTokens) {
+  writeTranscript(tmpHome, cwd, sessionId, [
+    { type: 'user', timestamp: start, message: { content: 'Work on ' + sessionId } },
+    { type: 'assistant', timestamp: end, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: outputTokens }, content: [] } }
+  ], { gitBranch: 'main' });
+}
+
+fs.mkdirSync(repo, { recursive: true });
+fs.mkdirSync(elsewhere, { recursive: true });
+git(['init', '-q', '-b', 'main'], '2026-03-02T09:00:00Z');
+git(['config', 'user.email', 'me@example.com'], '2026-03-02T09:00:00Z');
+git(['config', 'user.name', 'Me'], '2026-03-02T09:00:00Z');
+
+// Session "fix" ($1.50) commits a.js; someone else's commit in the same window is ignored
+writeSession('fix', repo, '2026-03-02T10:00:00Z', '2026-03-02T10:10:00Z', 100000);
+commit('a.js', 10, '2026-03-02T10:05:00Z', 'Fix a');
+commit('other.js', 50, '2026-03-02T10:06:00Z', 'Unrelated', 'other@example.com');
+
+// Session "feature" ($3.00) commits twice on a branch shortly after it ends, then it's merged
+writeSession('feature', repo, '2026-03-02T11:50:00Z', '2026-03-02T12:00:00Z', 200000);
+git(['checkout', '-q', '-b', 'feature/login'], '2026-03-02T12:10:00Z');
+commit('b.js', 30, '2026-03-02T12:20:00Z', 'Add login form');
+commit('c.js', 10, '2026-03-02T12:25:00Z', 'Add login route');
+git(['checkout', '-q', 'main'], '2026-03-02T13:00:00Z');
+git(['merge', '-q', '--no-ff', '-m', "Merge branch 'feature/login'", 'feature/login'], '2026-03-02T13:00:00Z');
+
+// Session "question" ($0.15) commits nothing
+writeSession('question', repo, '2026-03-02T15:00:00Z', '2026-03-02T15:05:00Z', 10000);
+// Outside any repository
+writeSession('notes', elsewhere, '2026-03-02T16:00:00Z', '2026-03-02T16:05:00Z', 10000);
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+describe('getCommitCosts', () => {
+  it('splits each session cost over its commits by lines changed', async () => {
+    const data = await getCommitCosts();
+    assert.equal(data.repos, 1);
+    assert.deepEqual(data.commits.map(c => c.subject), ['Add login form', 'Fix a', 'Add login route']);
+    const [form, fix, route] = data.commits;
+    close(form.cost, 2.25);
+    close(fix.cost, 1.5);
+    close(route.cost, 0.75);
+    assert.deepEqual(form.sessions, ['feature']);
+    assert.equal(form.added, 30);
+    assert.equal(form.branch, 'feature/login');
+    close(data.totals.costPerCommit, 1.5);
+  });
+
+  it('adds up cost per changed file', async () => {
+    const data = await getCommitCosts();
+    assert.deepEqual(data.files.map(f => [f.file, Math.round(f.cost * 100) / 100]), [['b.js', 2.25], ['a.js', 1.5], ['c.js', 0.75]]);
+  });
+
+  it('adds up cost per merged branch', async () => {
+    const data = await getCommitCosts();
+    assert.equal(data.branches.length, 1);
+    const [branch] = data.branches;
+    assert.equal(branch.branch, 'feature/login');
+    assert.equal(branch.commits, 2);
+    assert.equal(branch.sessions, 1);
+    close(branch.cost, 3);
+  });
+
+  it('lists sessions in a repository that produced no commit', async () => {
+    const data = await getCommitCosts();
+    assert.deepEqual(data.sessionsWithoutCommits.map(s => s.sessionId), ['question']);
+    assert.equal(data.totals.sessionsWithCommits, 2);
+    assert.equal(data.totals.sessionsOutsideGit, 1);
+  });
+
+  it('applies filters', async () => {
+    const data = await getCommitCosts({ from: '2026-03-03' });
+    assert.equal(data.repos, 0);
+    assert.deepEqual(data.commits, []);
+  });
+});
+
+describe('mergedBranchName', () => {
+  it('reads the branch from merge commit subjects', () => {
+    assert.equal(mergedBranchName("Merge branch 'fix/typo' into main"), 'fix/typo');
+    assert.equal(mergedBranchName('Merge pull request #12 from someone/feature/search'), 'feature/search');
+    assert.equal(mergedBranchName('Release 1.2'), 'Release 1.2');
+  });
+});
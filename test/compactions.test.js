@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, line, transcriptDir } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('compactions');
+
+const { parseSessionFile } = require('../src/data/session-parser.js');
+const { getCompactions } = require('../src/analysis/compactions.js');
+
+const projectDir = transcriptDir(tmpHome, '/work/app');
+
+function write(file, entries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, entries.map(line).join(''));
+}
+
+// Sonnet input at $3/M
+function assistant(ts, inputTokens) {
+  return { type: 'assistant', timestamp: ts, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: inputTokens, output_tokens: 0 }, content: [] } };
+}
+
+function user(ts, content, extra = {}) {
+  return { type: 'user', timestamp: ts, ...extra, message: { content } };
+}
+
+function boundary(ts, trigger, preTokens) {
+  return { type: 'system', subtype: 'compact_boundary', timestamp: ts, content: 'Conversation compacted', compactMetadata: { trigger, preTokens } };
+}
+
+const command = name => `<command-name>/${name}</command-name>\n<command-message>${name}</command-message>\n<command-args></command-args>`;
+
+describe('compaction markers', () => {
+  it('records compact_boundary entries once, with their trigger and size', async () => {
+    const file = path.join(tmpHome, 'boundary.jsonl');
+    write(file, [
+      user('2026-02-01T10:00:00Z', 'go', { sessionId: 'b' }),
+      assistant('2026-02-01T10:00:01Z', 150000),
+      boundary('2026-02-01T10:00:02Z', 'auto', 150000),
+      user('2026-02-01T10:00:02Z', 'This session is being continued from a previous conversation.', { isCompactSummary: true }),
+      assistant('2026-02-01T10:00:03Z', 20000)
+    ]);
+    const session = await parseSessionFile(file);
+    assert.deepEqual(session.events, [
+      { type: 'compact', trigger: 'auto', timestamp: '2026-02-01T10:00:02Z', preTokens: 150000, messageIndex: 1 }
+    ]);
+    assert.equal(session.userMessages[1].compactSummary, true);
+  });
+
+  it('treats a /compact command as a manual compaction, before or after the summary', async () => {
+    const file = path.join(tmpHome, 'manual.jsonl');
+    write(file, [
+      user('2026-02-01T10:00:00Z', 'go', { sessionId: 'm' }),
+      assistant('2026-02-01T10:00:01Z', 100),
+      user('2026-02-01T10:00:02Z', command('compact')),
+      user('2026-02-01T10:00:03Z', 'Summary', { isCompactSummary: true }),
+      assistant('2026-02-01T10:00:04Z', 100),
+      user('2026-02-01T10:00:05Z', 'Summary', { isCompactSummary: true }),
+      user('2026-02-01T10:00:06Z', command('compact')),
+      assistant('2026-02-01T10:00:07Z', 100),
+      user('2026-02-01T10:00:08Z', 'Summary', { isCompactSummary: true })
+    ]);
+    const session = await parseSessionFile(file);
+    assert.deepEqual(session.events.map(e => e.trigger), ['manual', 'manual', 'auto']);
+  });
+
+  it('records /clear commands', async () => {
+    const file = path.join(tmpHome, 'clear.jsonl');
+    write(file, [
+      user('2026-02-01T10:00:00Z', command('clear'), { sessionId: 'c' }),
+      assistant('2026-02-01T10:00:01Z', 100)
+    ]);
+    const session = await parseSessionFile(file);
+    assert.deepEqual(session.events.map(e => [e.type, e.messageIndex]), [['clear', 0]]);
+  });
+});
+
+describe('getCompactions', () => {
+  it('compares the cost of requests before and after each compaction', async () => {
+    write(path.join(projectDir, 'session.jsonl'), [
+      user('2026-02-01T10:00:00Z', 'go', { sessionId: 'session', cwd: '/work/app' }),
+      assistant('2026-02-01T10:00:01Z', 100000),
+      assistant('2026-02-01T10:00:02Z', 200000),
+      boundary('2026-02-01T10:00:03Z', 'auto', 200000),
+      assistant('2026-02-01T10:00:04Z', 10000),
+      assistant('2026-02-01T10:00:05Z', 30000),
+      user('2026-02-01T10:00:06Z', command('compact')),
+      boundary('2026-02-01T10:00:07Z', 'manual', 30000),
+      user('2026-02-01T10:00:08Z', command('clear'))
+    ]);
+
+    const data = await getCompactions();
+    assert.equal(data.sessions, 1);
+    assert.equal(data.auto.count, 1);
+    assert.equal(data.manual.count, 1);
+    assert.equal(data.clear.count, 1);
+
+    // $0.45 average before, $0.06 after, over the two requests that followed
+    assert.ok(Math.abs(data.auto.avgCostBefore - 0.45) < 1e-9);
+    assert.ok(Math.abs(data.auto.avgCostAfter - 0.06) < 1e-9);
+    assert.ok(Math.abs(data.auto.saved - 0.78) < 1e-9);
+    assert.equal(data.auto.avgContextBefore, 150000);
+
+    // Nothing was answered after the manual compaction
+    assert.equal(data.manual.compared, 0);
+    assert.equal(data.manual.saved, 0);
+    assert.equal(data.events.length, 3);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('compare');
+
+const { splitComparison, change, compareRows, withComparison, compareProjects, compareBranchCosts, compareToolUsage } = require('../src/analysis/compare.js');
+const { getProjects } = require('../src/analysis/projects.js');
+const { getBranchCosts } = require('../src/analysis/branch-costs.js');
+const { getToolUsage } = require('../src/analysis/tool-usage.js');
+
+// Sonnet output at $15/M
+function writeSession(project, sessionId, gitBranch, ts, outputTokens, tools = []) {
+  writeTranscript(tmpHome, project, sessionId, [
+    { type: 'user', timestamp: ts, message: { content: 'Do the thing' } },
+    { type: 'assistant', timestamp: ts, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: outputTokens }, content: tools.map((name, i) => ({ type: 'tool_use', id: `${sessionId}_${i}`, name, input: {} })) } }
+  ], { gitBranch });
+}
+
+// January: app $1.50, lib $0.15. February: app $3.00, api $0.30, nothing in lib.
+writeSession('/work/app', 'jan-app', 'main', '2026-01-10T10:00:00Z', 100000, ['Read']);
+writeSession('/work/lib', 'jan-lib', 'main', '2026-01-12T10:00:00Z', 10000, ['Read', 'Edit']);
+writeSession('/work/app', 'feb-app', 'main', '2026-02-10T10:00:00Z', 200000, ['Read', 'Bash', 'Bash']);
+writeSession('/work/api', 'feb-api', 'feature/auth', '2026-02-11T10:00:00Z', 20000);
+
+const FEBRUARY_VS_JANUARY = { from: '2026-02-01', to: '2026-02-28', compareFrom: '2026-01-01', compareTo: '2026-01-31' };
+
+describe('splitComparison', () => {
+  it('returns null without a second range', () => {
+    assert.equal(splitComparison(null), null);
+    assert.equal(splitComparison({ from: '2026-02-01' }), null);
+  });
+
+  it('gives the second period the other filters and its own dates', () => {
+    const periods = splitComparison({ ...FEBRUARY_VS_JANUARY, project: '/work/app' });
+    assert.deepEqual(periods.current, { from: '2026-02-01', to: '2026-02-28', project: '/work/app' });
+    assert.deepEqual(periods.previous, { from: '2026-01-01', to: '2026-01-31', project: '/work/app' });
+  });
+
+  it('compares all time with an open-ended range', () => {
+    const periods = splitComparison({ from: '2026-02-01', compareTo: '2026-01-31' });
+    assert.deepEqual(periods.current, { from: '2026-02-01' });
+    assert.deepEqual(periods.previous, { to: '2026-01-31' });
+    assert.deepEqual(splitComparison({ compareFrom: '2026-01-01' }).current, {});
+  });
+});
+
+describe('change', () => {
+  it('gives the difference and the percentage change', () => {
+    assert.deepEqual(change(3, 2), { current: 3, previous: 2, change: 1, percent: 50 });
+    assert.deepEqual(change(1, 3), { current: 1, previous: 3, change: -2, percent: -66.7 });
+  });
+
+  it('has no percentage when there was nothing before', () => {
+    assert.equal(change(5, 0).percent, null);
+  });
+});
+
+describe('compareRows', () => {
+  it('includes rows found in only one period, sorted by the current value', () => {
+    const rows = compareRows(
+      [{ name: 'a', n: 1 }, { name: 'b', n: 4 }],
+      [{ name: 'a', n: 2 }, { name: 'c', n: 9 }],
+      r => r.name, ['n'], r => ({ name: r.name })
+    );
+    assert.deepEqual(rows.map(r => [r.name, r.n.current, r.n.previous]), [['b', 4, 0], ['a', 1, 2], ['c', 0, 9]]);
+  });
+});
+
+describe('withComparison', () => {
+  it('runs the analysis as usual without a second range', async () => {
+    const projects = await withComparison({ from: '2026-02-01' }, getProjects, compareProjects);
+    assert.ok(Array.isArray(projects));
+    assert.equal(projects.length, 2);
+  });
+
+  it('filters both periods even when only the second has a range', async () => {
+    const seen = [];
+    const data = await withComparison({ compareFrom: '2026-01-01', compareTo: '2026-01-31' }, async filters => {
+      seen.push(filters);
+      return getProjects(filters);
+    }, compareProjects);
+    // Null filters would take the unfiltered fast paths for one period only
+    assert.deepEqual(seen, [{}, { from: '2026-01-01', to: '2026-01-31' }]);
+    assert.deepEqual(data.periods.current, { from: null, to: null });
+    assert.equal(data.current.length, 3);
+  });
+
+  it('compares project cost between two periods', async () => {
+    const data = await withComparison(FEBRUARY_VS_JANUARY, getProjects, compareProjects);
+    assert.deepEqual(data.periods, {
+      current: { from: '2026-02-01', to: '2026-02-28' },
+      previous: { from: '2026-01-01', to: '2026-01-31' }
+    });
+    assert.equal(data.current.length, 2);
+    assert.equal(data.previous.length, 2);
+
+    const [app, api, lib] = data.deltas.projects;
+    assert.equal(app.project, '/work/app');
+    assert.ok(Math.abs(app.cost.change - 1.5) < 1e-9);
+    assert.equal(app.cost.percent, 100);
+    assert.equal(api.project, '/work/api');
+    assert.equal(api.cost.percent, null);
+    assert.equal(lib.project, '/work/lib');
+    assert.equal(lib.cost.current, 0);
+    assert.equal(lib.sessions.percent, -100);
+  });
+
+  it('compares branches and tools', async () => {
+    const branches = await withComparison(FEBRUARY_VS_JANUARY, getBranchCosts, compareBranchCosts);
+    assert.deepEqual(branches.deltas.branches.map(b => [b.project, b.branch]), [
+      ['/work/app', 'main'], ['/work/api', 'feature/auth'], ['/work/lib', 'main']
+    ]);
+
+    const tools = await withComparison(FEBRUARY_VS_JANUARY, getToolUsage, compareToolUsage);
+    assert.deepEqual(tools.deltas.totalToolCalls, { current: 3, previous: 3, change: 0, percent: 0 });
+    assert.deepEqual(tools.deltas.tools.map(t => [t.name, t.count.current, t.count.previous]), [
+      ['Bash', 2, 0], ['Read', 1, 2], ['Edit', 0, 1]
+    ]);
+  });
+});
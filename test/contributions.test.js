@@ -0,0 +1,145 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { useTempHome, line, transcriptDir, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('contrib');
+
+const { getContributions } = require('../src/analysis/contributions.js');
+const { diffLines, splitLines } = require('../src/data/line-diff.js');
+
+const repo = path.join(tmpHome, 'app');
+const jsFile = path.join(repo, 'a.js');
+const pyFile = path.join(repo, 'b.py');
+
+// Each call is [timestamp, tool name, input, is_error, toolUseResult]
+function writeSession(sessionId, calls, gitBranch = 'main') {
+  const entries = [{ type: 'user', timestamp: calls[0][0], message: { content: 'Work on ' + sessionId } }];
+  calls.forEach(([timestamp, name, input, isError, toolUseResult], i) => {
+    const id = `${sessionId}-${i}`;
+    entries.push({ type: 'assistant', timestamp, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 10, output_tokens: 10 }, content: [{ type: 'tool_use', id, name, input }] } });
+    entries.push({ type: 'user', timestamp, toolUseResult, message: { content: [{ type: 'tool_result', tool_use_id: id, is_error: !!isError, content: isError ? 'String to replace not found' : 'ok' }] } });
+  });
+  writeTranscript(tmpHome, repo, sessionId, entries, { gitBranch });
+}
+
+writeSession('first', [
+  ['2026-03-02T10:00:00Z', 'Write', { file_path: jsFile, content: 'const a = 1;\nconst b = 2;\nconst c = 3;\n' }],
+  ['2026-03-02T10:01:00Z', 'Edit', { file_path: jsFile, old_string: 'const b = 2;', new_string: 'const b = 20;\nconst d = 4;' }],
+  // Overwrites the file with one new line at the end
+  ['2026-03-02T10:02:00Z', 'Write', { file_path: jsFile, content: 'const a = 1;\nconst b = 20;\nconst d = 4;\nconst c = 3;\nconst e = 5;\n' }],
+  ['2026-03-02T10:03:00Z', 'Edit', { file_path: jsFile, old_string: 'nowhere', new_string: 'anything' }, true]
+]);
+writeSession('second', [
+  // A file Claude never saw whole
+  ['2026-03-02T11:00:00Z', 'MultiEdit', { file_path: pyFile, edits: [{ old_string: 'x = 1', new_string: 'x = 2' }, { old_string: 'y', new_string: 'y\nz' }] }],
+  ['2026-03-02T11:01:00Z', 'Edit', { file_path: jsFile, old_string: 'const', new_string: 'let', replace_all: true }]
+]);
+// Newer Claude Code logs what each file held before the change
+const txt = name => path.join(repo, name);
+writeSession('third', [
+  ['2026-03-04T09:00:00Z', 'Write', { file_path: txt('c.txt'), content: 'one\ntwo\nthree\n' }, false, { type: 'update', originalFile: 'one\n2\nthree\n' }],
+  ['2026-03-04T09:01:00Z', 'Write', { file_path: txt('d.txt'), content: 'a\nb\nc\n' }, false, { type: 'update', structuredPatch: [{ oldStart: 1, oldLines: 3, newStart: 1, newLines: 3, lines: [' a', '-x', '+b', ' c'] }] }],
+  ['2026-03-04T09:02:00Z', 'Write', { file_path: txt('e.txt'), content: 'new\nfile\n' }, false, { type: 'create' }],
+  ['2026-03-04T09:03:00Z', 'Edit', { file_path: txt('f.txt'), old_string: 'b', new_string: 'B' }, false, { originalFile: 'a\nb\n', structuredPatch: [] }],
+  ['2026-03-04T09:04:00Z', 'Write', { file_path: txt('f.txt'), content: 'a\nB\nc\n' }, false, { type: 'update', originalFile: 'a\nB\n' }]
+], 'logged');
+
+// An Edit made by a subagent, in its own transcript beside the session's
+writeSession('fourth', [
+  ['2026-03-05T09:00:00Z', 'Task', { subagent_type: 'general-purpose', description: 'Fix g.txt', prompt: 'Fix g.txt' }]
+], 'agents');
+const agentFile = path.join(transcriptDir(tmpHome, repo), 'fourth', 'subagents', 'agent-x1.jsonl');
+fs.mkdirSync(path.dirname(agentFile), { recursive: true });
+fs.writeFileSync(agentFile, [
+  { type: 'user', timestamp: '2026-03-05T09:00:01Z', message: { content: 'Fix g.txt' } },
+  { type: 'assistant', timestamp: '2026-03-05T09:00:02Z', message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 10, output_tokens: 10 }, content: [{ type: 'tool_use', id: 'x1-0', name: 'Edit', input: { file_path: txt('g.txt'), old_string: 'old', new_string: 'new' } }] } },
+  { type: 'user', timestamp: '2026-03-05T09:00:02Z', toolUseResult: { originalFile: 'keep\nold\n', structuredPatch: [] }, message: { content: [{ type: 'tool_result', tool_use_id: 'x1-0', content: 'ok' }] } }
+].map(e => line({ sessionId: 'fourth', agentId: 'x1', isSidechain: true, cwd: repo, ...e })).join(''));
+
+// Only part of a.js is committed, and b.py not at all
+fs.mkdirSync(repo, { recursive: true });
+fs.writeFileSync(jsFile, 'let a = 1;\n  let b = 20;\nlet d = 4;\n');
+const git = args => execFileSync('git', args, { cwd: repo, stdio: 'pipe' });
+git(['init', '-q', '-b', 'main']);
+git(['add', 'a.js']);
+git(['-c', 'user.email=me@example.com', '-c', 'user.name=Me', 'commit', '-q', '-m', 'Add a']);
+git(['-c', 'user.email=me@example.com', '-c', 'user.name=Me', 'commit', '-q', '--allow-empty', '-m', 'Tidy up\n\nCo-Authored-By: Claude <noreply@anthropic.com>']);
+
+describe('getContributions', () => {
+  it('diffs each operation against the file as Claude left it', async () => {
+    const data = await getContributions({ branch: 'main' });
+    // a.js: +3, +2 -1, +1, then +5 -5 renaming every line; b.py: +1 -1, +1
+    assert.equal(data.linesAdded, 13);
+    assert.equal(data.linesRemoved, 7);
+    assert.equal(data.totalFilesTouched, 2);
+    const js = data.topFiles.find(f => f.file === jsFile);
+    assert.deepEqual([js.changes, js.added, js.removed, js.language], [4, 11, 6, 'JavaScript']);
+  });
+
+  it('starts from the file as logged before its first change', async () => {
+    const data = await getContributions({ branch: 'logged' });
+    // c.txt +1 -1 from the original, d.txt +1 -1 from the patch, e.txt +2
+    // as created, f.txt +1 -1 for the edit then +1 for the write
+    assert.equal(data.linesAdded, 6);
+    assert.equal(data.linesRemoved, 3);
+    assert.deepEqual(data.topFiles.map(f => [path.basename(f.file), f.added, f.removed]).sort(), [['c.txt', 1, 1], ['d.txt', 1, 1], ['e.txt', 2, 0], ['f.txt', 2, 1]]);
+  });
+
+  it('counts the changes subagents made', async () => {
+    const data = await getContributions({ branch: 'agents' });
+    assert.deepEqual(data.topFiles.map(f => [path.basename(f.file), f.added, f.removed]), [['g.txt', 1, 1]]);
+    assert.deepEqual(data.sessions.map(s => [s.sessionId, s.added, s.removed]), [['fourth', 1, 1]]);
+  });
+
+  it('skips failed calls', async () => {
+    const data = await getContributions({ branch: 'main' });
+    assert.equal(data.topFiles.find(f => f.file === jsFile).changes, 4);
+  });
+
+  it('adds up lines per session and language', async () => {
+    const data = await getContributions({ branch: 'main' });
+    assert.deepEqual(data.sessions.map(s => [s.sessionId, s.added, s.removed, s.files]), [['second', 7, 6, 2], ['first', 6, 1, 1]]);
+    assert.deepEqual(data.languages.map(l => [l.language, l.files, l.added, l.removed]), [['JavaScript', 1, 11, 6], ['Python', 1, 2, 1]]);
+  });
+
+  it('counts the added lines still at HEAD', async () => {
+    const data = await getContributions({ branch: 'main' });
+    // Of a.js's 11 added lines, the three let lines are committed; b.py isn't
+    assert.equal(data.survival.linesAdded, 13);
+    assert.equal(data.survival.surviving, 3);
+    assert.equal(data.survival.percent, 23.1);
+    assert.equal(data.survival.projects.length, 1);
+    const js = data.topFiles.find(f => f.file === jsFile);
+    assert.deepEqual([js.surviving, js.written], [3, 11]);
+  });
+
+  it('counts commits Claude co-authored in the repository the sessions ran in', async () => {
+    // The project directory name doesn't decode back to this path; the
+    // transcripts' recorded cwd does
+    const data = await getContributions();
+    assert.equal(data.coAuthoredCommits, 1);
+  });
+
+  it('applies filters', async () => {
+    const data = await getContributions({ from: '2026-03-03', to: '2026-03-03' });
+    assert.equal(data.linesAdded, 0);
+    assert.equal(data.totalFilesTouched, 0);
+    assert.equal(data.survival.linesAdded, 0);
+  });
+});
+
+describe('diffLines', () => {
+  it('finds the shortest set of added and removed lines', () => {
+    assert.deepEqual(diffLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e']), { added: ['x', 'e'], removed: ['b'] });
+    assert.deepEqual(diffLines(['a', 'b'], ['a', 'b']), { added: [], removed: [] });
+    assert.deepEqual(diffLines([], ['a']), { added: ['a'], removed: [] });
+  });
+
+  it('treats a trailing newline as the end of the last line', () => {
+    assert.deepEqual(splitLines('a\nb\n'), ['a', 'b']);
+    assert.deepEqual(splitLines(''), []);
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('forecast');
+
+const { forecastSeries, getForecast, forecastInsights } = require('../src/analysis/forecast.js');
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+}
+
+// Weekdays only, $10 a day from Monday 2026-01-05 up to a given day
+function workdays(until, cost = () => 10) {
+  const days = [];
+  for (let d = new Date('2026-01-05T00:00:00Z'); d.toISOString() < until; d.setUTCDate(d.getUTCDate() + 1)) {
+    const weekday = d.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) days.push({ date: d.toISOString().split('T')[0], cost: cost(days.length) });
+  }
+  return days;
+}
+
+describe('forecastSeries', () => {
+  // Wednesday 2026-03-18, with $4 spent so far today
+  const daily = [...workdays('2026-03-18'), { date: '2026-03-18', cost: 4 }];
+  const f = forecastSeries(daily, '2026-03-18');
+
+  it('forecasts weekends at zero and weekdays at the weekday level', () => {
+    const byDate = Object.fromEntries(f.forecast.map(p => [p.date, p.cost]));
+    close(byDate['2026-03-19'], 10);
+    close(byDate['2026-03-21'], 0);
+    close(byDate['2026-03-22'], 0);
+    assert.equal(f.weekdayFactors.Sat, 0);
+    assert.equal(f.weekdayFactors.Mon, 1.4);
+  });
+
+  it('projects the month from what is spent and what is forecast', () => {
+    assert.equal(f.forecast[0].date, '2026-03-18');
+    assert.equal(f.forecast[f.forecast.length - 1].date, '2026-03-31');
+    assert.equal(f.month.daysLeft, 14);
+    // Twelve workdays in March before today, plus today so far
+    close(f.month.spentSoFar, 124);
+    // Ten workdays left including today, less the $4 already spent
+    close(f.month.projected, 220);
+  });
+
+  it('beats the flat average on a weekly pattern in the back-test', () => {
+    assert.equal(f.backtest.days, 28);
+    assert.ok(f.backtest.mae < 1e-6);
+    assert.ok(f.backtest.baselineMae > 1);
+  });
+
+  it('keeps today at least at what is spent so far', () => {
+    const busy = forecastSeries([...workdays('2026-03-18'), { date: '2026-03-18', cost: 25 }], '2026-03-18');
+    assert.equal(busy.forecast[0].cost, 25);
+    assert.ok(busy.forecast[0].low80 >= 25);
+  });
+
+  it('widens the interval with noisier history', () => {
+    const noisy = forecastSeries(workdays('2026-03-18', i => (i % 2 ? 5 : 15)), '2026-03-18');
+    const next = noisy.forecast.find(p => p.date === '2026-03-19');
+    assert.ok(next.high80 > next.cost && next.low80 < next.cost);
+    assert.ok(next.high95 > next.high80 && next.low95 <= next.low80);
+    assert.ok(noisy.month.high80 > noisy.month.projected);
+    assert.ok(noisy.backtest.coverage80 !== null);
+  });
+
+  it('needs two weeks of history', () => {
+    const short = forecastSeries([{ date: '2026-03-10', cost: 5 }], '2026-03-18');
+    assert.equal(short.insufficient, true);
+    assert.equal(short.days, 8);
+    assert.deepEqual(short.forecast, []);
+  });
+});
+
+describe('forecastInsights', () => {
+  it('reports the month-end projection', () => {
+    const [insight] = forecastInsights(forecastSeries([...workdays('2026-03-18'), { date: '2026-03-18', cost: 4 }], '2026-03-18'));
+    assert.equal(insight.title, 'Projected spend for 2026-03: $220.00');
+    assert.equal(insight.severity, 'info');
+    assert.ok(insight.description.includes('stable'));
+  });
+
+  it('warns when the last week ran above the one before', () => {
+    const [insight] = forecastInsights(forecastSeries(workdays('2026-03-18', i => (i >= 45 ? 20 : 10)), '2026-03-18'));
+    assert.equal(insight.severity, 'warning');
+    assert.ok(insight.description.includes('trending up'));
+  });
+
+  it('adds nothing without two weeks of history', () => {
+    assert.deepEqual(forecastInsights(forecastSeries([{ date: '2026-03-10', cost: 5 }], '2026-03-18')), []);
+  });
+});
+
+describe('getForecast', () => {
+  it('forecasts from transcript costs', async () => {
+    // $0.15 of Sonnet output every workday
+    for (const { date } of workdays('2026-03-18')) {
+      writeTranscript(tmpHome, '/work/app', date, [
+        { type: 'user', timestamp: `${date}T10:00:00Z`, message: { content: 'Next task' } },
+        { type: 'assistant', timestamp: `${date}T10:00:01Z`, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: 10000 }, content: [] } }
+      ]);
+    }
+
+    const f = await getForecast(null, { today: '2026-03-18' });
+    assert.equal(f.insufficient, false);
+    close(f.forecast.find(p => p.date === '2026-03-19').cost, 0.15);
+    close(f.month.projected, 0.15 * 22);
+    assert.ok(f.helpText);
+  });
+});
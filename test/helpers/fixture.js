@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { after } = require('node:test');
+
+// Point HOME, the XDG directories and the tool's own settings at a fresh
+// temporary home, removed after the test file finishes. Call it before
+// requiring anything from src/: several modules resolve their paths on load.
+function useTempHome(name) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), `burn-rate-${name}-`));
+  process.env.HOME = home;
+  process.env.USERPROFILE = home;
+  process.env.XDG_CACHE_HOME = path.join(home, '.cache');
+  process.env.XDG_CONFIG_HOME = path.join(home, '.config');
+  delete process.env.CLAUDE_CONFIG_DIR;
+  delete process.env.CLAUDE_BURN_RATE_CONFIG;
+  delete process.env.CLAUDE_BURN_RATE_PRICING;
+  after(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+  return home;
+}
+
+// One JSONL line
+function line(obj) {
+  return JSON.stringify(obj) + '\n';
+}
+
+// Where Claude Code keeps the transcripts of sessions run in cwd
+function transcriptDir(home, cwd) {
+  return path.join(home, '.claude', 'projects', cwd.replace(/\//g, '-'));
+}
+
+// Write a transcript for a session run in cwd, with sessionId, cwd and any
+// other fields repeated on every line. Returns its path.
+function writeTranscript(home, cwd, sessionId, entries, fields = {}) {
+  const dir = transcriptDir(home, cwd);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, sessionId + '.jsonl');
+  fs.writeFileSync(file, entries.map(e => line({ sessionId, cwd, ...fields, ...e })).join(''));
+  return file;
+}
+
+module.exports = { useTempHome, line, transcriptDir, writeTranscript };
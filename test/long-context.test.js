@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('long-context');
+
+const { getLongContextUsage } = require('../src/analysis/long-context.js');
+const { getSessions, invalidateSessionsCache } = require('../src/analysis/sessions.js');
+const { setPricingFile, getPricingFile } = require('../src/cost/pricing.js');
+
+function assistant(ts, usage) {
+  return { type: 'assistant', timestamp: ts, message: { model: 'claude-sonnet-4-6', usage, content: [] } };
+}
+
+writeTranscript(tmpHome, '/work/app', 's1', [
+  { type: 'user', timestamp: '2026-02-01T10:00:00Z', message: { content: 'hi' } },
+  // 100K prompt: standard tier
+  assistant('2026-02-01T10:00:05Z', { input_tokens: 100_000, output_tokens: 0 }),
+  // 250K prompt: long-context tier ($6/M input, $0.60/M cache read)
+  assistant('2026-02-01T10:01:00Z', { input_tokens: 50_000, cache_read_input_tokens: 200_000, output_tokens: 0 })
+]);
+
+describe('getLongContextUsage', () => {
+  it('prices each request by its own prompt size', async () => {
+    const [session] = await getSessions();
+    assert.ok(Math.abs(session.cost - (0.3 + 0.3 + 0.12)) < 1e-9);
+    assert.ok(Math.abs(session.longContextCost - 0.42) < 1e-9);
+  });
+
+  it('fails on a malformed pricing file rather than pricing sessions at $0', async () => {
+    const pricingFile = getPricingFile();
+    const bad = path.join(tmpHome, 'bad-pricing.json');
+    fs.writeFileSync(bad, '{ "models": ');
+    setPricingFile(bad);
+    invalidateSessionsCache();
+    try {
+      await assert.rejects(getSessions(), /bad-pricing\.json/);
+    } finally {
+      setPricingFile(pricingFile);
+      invalidateSessionsCache();
+    }
+  });
+
+  it('reports long-context spend and the premium over standard rates', async () => {
+    const data = await getLongContextUsage(null);
+    assert.equal(data.requests, 1);
+    assert.ok(Math.abs(data.longContextCost - 0.42) < 1e-9);
+    // Same tokens at standard rates: 0.15 + 0.06
+    assert.ok(Math.abs(data.premium - 0.21) < 1e-9);
+    assert.equal(data.models[0].modelId, 'claude-sonnet-4-6');
+    assert.equal(data.topSessions[0].sessionId, 's1');
+  });
+});
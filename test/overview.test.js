@@ -43,6 +43,7 @@ describe('buildOverview', () => {
     assert.ok(overview.modelBreakdown.length > 0);
     assert.ok(overview.tokenComposition.total > 0);
     assert.ok(overview.dailyCosts.length > 0);
+    assert.match(overview.helpText, /stats-cache\.json.*not charged the long-context rate/);
   });
 });
 
@@ -73,4 +74,22 @@ describe('buildOverview token composition', () => {
     assert.equal(tc.percentages.cacheRead, '40.0');
     assert.equal(tc.percentages.cacheWrite, '40.0');
   });
+
+  it('splits cache writes by TTL for session data', () => {
+    const sessions = [{
+      sessionId: 's1',
+      date: '2026-02-01',
+      messages: 2,
+      tokensByModel: {
+        'claude-sonnet-4-6': { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 3_000_000, cacheCreation1hInputTokens: 1_000_000 }
+      }
+    }];
+    const overview = buildOverview({ dailyActivity: [] }, { project: '/work/app' }, sessions);
+    assert.equal(overview.tokenComposition.cacheWrite5m, 2_000_000);
+    assert.equal(overview.tokenComposition.cacheWrite1h, 1_000_000);
+    const [model] = overview.modelBreakdown;
+    assert.ok(Math.abs(model.costBreakdown.cacheWrite - 13.5) < 1e-9);
+    assert.ok(Math.abs(model.costBreakdown.cacheWrite1h - 6) < 1e-9);
+    assert.match(overview.helpText, /request by request/);
+  });
 });
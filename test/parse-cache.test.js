@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, line, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('cache');
+
+const sessionFile = path.join(tmpHome, 'session.jsonl');
+
+// Fresh module instances simulate a new process launch
+function freshCache() {
+  for (const mod of ['parse-cache.js', 'session-corpus.js']) {
+    delete require.cache[require.resolve('../src/data/' + mod)];
+  }
+  return require('../src/data/parse-cache.js');
+}
+
+describe('parse cache', () => {
+  fs.writeFileSync(sessionFile, [
+    line({ type: 'user', sessionId: 's1', timestamp: '2026-02-01T10:00:00Z', message: { content: 'hi' } }),
+    line({ type: 'assistant', timestamp: '2026-02-01T10:01:00Z', message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 100, output_tokens: 50 }, content: [] } })
+  ].join(''));
+
+  it('parses on first use and persists aggregates to disk', async () => {
+    const { getSessionAggregates, flushParseCache, CACHE_FILE } = freshCache();
+    const agg = await getSessionAggregates(sessionFile);
+    assert.equal(agg.sessionId, 's1');
+    assert.equal(agg.duration, 60000);
+    assert.equal(agg.tokensByModel['claude-sonnet-4-6'].outputTokens, 50);
+    assert.equal(agg.tokensByDate['2026-02-01']['claude-sonnet-4-6'].inputTokens, 100);
+
+    await flushParseCache(new Set([sessionFile]));
+    const onDisk = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
+    assert.ok(onDisk.entries[sessionFile]);
+  });
+
+  it('reuses the cached entry when size and mtime are unchanged', async () => {
+    const { getSessionAggregates, CACHE_FILE } = freshCache();
+    // Tamper with the cached value; a cache hit must return it untouched
+    const onDisk = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
+    onDisk.entries[sessionFile].aggregates.duration = 12345;
+    fs.writeFileSync(CACHE_FILE, JSON.stringify(onDisk));
+
+    const agg = await getSessionAggregates(sessionFile);
+    assert.equal(agg.duration, 12345);
+  });
+
+  it('re-parses a file that has grown', async () => {
+    fs.appendFileSync(sessionFile, line({
+      type: 'assistant', timestamp: '2026-02-01T10:02:00Z',
+      message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 10, output_tokens: 5 }, content: [] }
+    }));
+    const { getSessionAggregates } = freshCache();
+    const agg = await getSessionAggregates(sessionFile);
+    assert.equal(agg.duration, 120000);
+    assert.equal(agg.tokensByModel['claude-sonnet-4-6'].outputTokens, 55);
+  });
+
+  it('does not hold on to the full parse', async () => {
+    fs.appendFileSync(sessionFile, line({ type: 'user', timestamp: '2026-02-01T10:03:00Z', message: { content: 'more' } }));
+    const { getSessionAggregates } = freshCache();
+    await getSessionAggregates(sessionFile);
+    // Still unknown to the corpus, so reading it there parses it afresh
+    const { refreshSessionFile } = require('../src/data/session-corpus.js');
+    const { added } = await refreshSessionFile(sessionFile);
+    assert.equal(added.length, 4);
+  });
+
+  it('drops entries for files that are no longer live', async () => {
+    const { getSessionAggregates, flushParseCache, CACHE_FILE } = freshCache();
+    await getSessionAggregates(sessionFile);
+    await flushParseCache(new Set());
+    const onDisk = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
+    assert.deepEqual(onDisk.entries, {});
+  });
+
+  it('summarizes from the shared corpus instead of parsing the file again', async () => {
+    const file = writeTranscript(tmpHome, '/work/app', 's2', [
+      { type: 'user', timestamp: '2026-02-02T10:00:00Z', message: { content: 'hi' } },
+      { type: 'assistant', timestamp: '2026-02-02T10:01:00Z', message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 100, output_tokens: 50 }, content: [] } }
+    ]);
+    const parser = require('../src/data/session-parser.js');
+    const parse = parser.parseSessionFile;
+    let parses = 0;
+    parser.parseSessionFile = filePath => {
+      parses++;
+      return parse(filePath);
+    };
+    try {
+      const { getSessionAggregates } = freshCache();
+      const { getSessionCorpus } = require('../src/data/session-corpus.js');
+      // A cold dashboard load asks for both at once
+      const [agg, corpus] = await Promise.all([getSessionAggregates(file), getSessionCorpus()]);
+      assert.equal(agg.sessionId, 's2');
+      assert.equal(corpus.length, 1);
+      assert.equal(parses, 1);
+
+      // A file that grew is tail-parsed in the corpus, not parsed afresh
+      fs.appendFileSync(file, line({ type: 'user', sessionId: 's2', timestamp: '2026-02-02T10:02:00Z', message: { content: 'more' } }));
+      assert.equal((await getSessionAggregates(file)).messageCount, 3);
+      assert.equal(corpus[0].session.messageCount, 3);
+      assert.equal(parses, 1);
+    } finally {
+      parser.parseSessionFile = parse;
+    }
+  });
+});
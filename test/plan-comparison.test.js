@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('plan');
+
+const { resolvePlan } = require('../src/cost/plans.js');
+const { getSettingsFile, setSettingsFile, setSettingsOverrides, getSettings } = require('../src/data/settings.js');
+const { getPlanComparison, cycleStart, cycleEnd } = require('../src/analysis/plan-comparison.js');
+
+// Sonnet output at $15/M: 1M output tokens costs $15
+function writeSession(sessionId, timestamp, outputTokens) {
+  writeTranscript(tmpHome, '/work/app', sessionId, [
+    { type: 'user', timestamp, message: { content: 'go' } },
+    { type: 'assistant', timestamp, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: outputTokens }, content: [] } }
+  ]);
+}
+
+// With billing on the 1st: January costs $75, February $90
+writeSession('a', '2026-01-20T10:00:00Z', 5_000_000);
+writeSession('b', '2026-02-05T10:00:00Z', 5_000_000);
+writeSession('c', '2026-02-12T10:00:00Z', 1_000_000);
+const settingsFile = getSettingsFile();
+fs.mkdirSync(path.dirname(settingsFile), { recursive: true });
+
+describe('resolvePlan', () => {
+  it('accepts plan ids in any common spelling', () => {
+    assert.equal(resolvePlan('Max 5x').id, 'max5x');
+    assert.equal(resolvePlan('max-20x').monthlyPrice, 200);
+    assert.equal(resolvePlan(undefined).id, 'api');
+  });
+
+  it('treats a number as a custom monthly price', () => {
+    assert.deepEqual(resolvePlan('$150'), { id: 'custom', label: 'Custom plan', monthlyPrice: 150, tier: null });
+    assert.equal(resolvePlan({ name: 'Team', monthlyPrice: 30 }).label, 'Team');
+  });
+
+  it('rejects an unknown plan', () => {
+    assert.throws(() => resolvePlan('enterprise'), /Unknown plan "enterprise"/);
+  });
+});
+
+describe('billing cycles', () => {
+  it('starts a cycle on the billing day, rolling back over year ends', () => {
+    assert.equal(cycleStart('2026-03-14', 14), '2026-03-14');
+    assert.equal(cycleStart('2026-01-13', 14), '2025-12-14');
+    assert.equal(cycleEnd('2025-12-14'), '2026-01-13');
+  });
+});
+
+describe('getPlanComparison', () => {
+  function configure(settings) {
+    fs.writeFileSync(settingsFile, JSON.stringify(settings));
+    setSettingsFile(settingsFile);
+  }
+
+  it('compares API-equivalent spend with the plan per cycle', async () => {
+    configure({ plan: 'max5x' });
+    const data = await getPlanComparison();
+    assert.deepEqual(data.cycles.map(c => [c.start, c.end]), [['2026-01-01', '2026-01-31'], ['2026-02-01', '2026-02-28']]);
+    assert.ok(Math.abs(data.cycles[1].apiCost - 90) < 1e-9);
+    assert.equal(data.cycles[1].planCost, 100);
+    assert.ok(Math.abs(data.cycles[1].valueMultiplier - 0.9) < 1e-9);
+    assert.equal(data.cycles[1].activeDays, 2);
+  });
+
+  it('recommends a cheaper plan, never a smaller subscription tier', async () => {
+    configure({ plan: 'max5x' });
+    const data = await getPlanComparison();
+    assert.deepEqual(data.alternatives.map(a => a.id), ['api', 'max5x', 'max20x']);
+    assert.equal(data.recommendation.plan, 'api');
+    assert.ok(Math.abs(data.recommendation.savings - 35) < 1e-9);
+  });
+
+  it('splits cycles on the billing day', async () => {
+    configure({ plan: 'api', billingDay: 10 });
+    const data = await getPlanComparison();
+    assert.deepEqual(data.cycles.map(c => c.start), ['2026-01-10', '2026-02-10']);
+    assert.ok(Math.abs(data.cycles[0].apiCost - 150) < 1e-9);
+    assert.equal(data.valueMultiplier, null);
+    assert.equal(data.recommendation.plan, 'pro');
+  });
+
+  it('lets a command-line plan override the file', async () => {
+    configure({ plan: 'pro' });
+    setSettingsOverrides({ plan: '300' });
+    assert.equal(getSettings().plan, '300');
+    const data = await getPlanComparison();
+    assert.equal(data.plan.monthlyPrice, 300);
+    assert.ok(Math.abs(data.planCost - 600) < 1e-9);
+    setSettingsOverrides({ plan: undefined });
+  });
+
+  it('names the file when it is malformed', () => {
+    fs.writeFileSync(settingsFile, '{ plan: ');
+    setSettingsFile(settingsFile);
+    assert.throws(() => getSettings(), /Invalid settings file .*config\.json/);
+  });
+});
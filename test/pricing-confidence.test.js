@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('confidence');
+
+const { getPricingConfidence } = require('../src/analysis/pricing-confidence.js');
+
+function assistant(model, inputTokens) {
+  return { type: 'assistant', timestamp: '2026-02-01T10:00:05Z', message: { model, usage: { input_tokens: inputTokens, output_tokens: 0 }, content: [] } };
+}
+
+writeTranscript(tmpHome, '/work/app', 's1', [
+  { type: 'user', timestamp: '2026-02-01T10:00:00Z', message: { content: 'hi' } },
+  assistant('claude-sonnet-4-6', 100_000),
+  assistant('claude-nova-9', 100_000),
+  assistant('<synthetic>', 0)
+]);
+
+describe('getPricingConfidence', () => {
+  it('lists each model seen with its match type and cost', async () => {
+    const data = await getPricingConfidence(null);
+    assert.deepEqual(data.models.map(m => [m.modelId, m.match]).sort(), [
+      ['claude-nova-9', 'fallback'],
+      ['claude-sonnet-4-6', 'exact']
+    ], 'Models without usage are left out');
+    assert.equal(data.models[0].sessions, 1);
+  });
+
+  it('totals the spend that rests on guessed prices', async () => {
+    const data = await getPricingConfidence(null);
+    assert.ok(Math.abs(data.totalCost - 0.6) < 1e-9);
+    assert.ok(Math.abs(data.guessedCost - 0.3) < 1e-9);
+    assert.equal(data.guessedPercent, 50);
+    assert.deepEqual(data.unknownModels, ['claude-nova-9']);
+    assert.equal(data.pricingFile, path.join(tmpHome, '.config', 'claude-burn-rate', 'pricing.json'));
+  });
+});
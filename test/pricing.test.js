@@ -1,6 +1,13 @@
-const { describe, it } = require('node:test');
+const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert/strict');
-const { getPricing, calculateCost, calculateTotalCost, formatCost, formatTokens } = require('../src/cost/pricing.js');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getPricing, calculateCost, calculateTotalCost, formatCost, formatTokens, setPricingFile } = require('../src/cost/pricing.js');
+
+// Keep a developer's own pricing overrides out of the expected numbers
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'burn-rate-pricing-'));
+setPricingFile(path.join(tmpDir, 'missing.json'));
 
 describe('getPricing', () => {
   it('returns exact match for known model', () => {
@@ -32,6 +39,15 @@ describe('getPricing', () => {
     const p = getPricing('some-random-model');
     assert.equal(p.input, 3.00);
   });
+
+  it('reports how each model ID was matched', () => {
+    assert.equal(getPricing('claude-sonnet-4-6').match, 'exact');
+    const prefixed = getPricing('claude-sonnet-4-6-20260101');
+    assert.equal(prefixed.match, 'prefix');
+    assert.equal(prefixed.pricedAs, 'claude-sonnet-4-6');
+    assert.equal(getPricing('claude-opus-99').match, 'heuristic');
+    assert.equal(getPricing('some-random-model').match, 'fallback');
+  });
 });
 
 describe('calculateCost', () => {
@@ -58,6 +74,49 @@ describe('calculateCost', () => {
   });
 });
 
+describe('cache write TTLs', () => {
+  it('bills 1-hour cache writes at their own rate', () => {
+    const result = calculateCost({ cacheCreationInputTokens: 3_000_000, cacheCreation1hInputTokens: 1_000_000 }, 'claude-sonnet-4-6');
+    // 2M at the 5-minute $3.75 plus 1M at the 1-hour $6
+    assert.ok(Math.abs(result.cacheWriteCost - 13.5) < 1e-9);
+    assert.ok(Math.abs(result.cacheWrite1hCost - 6) < 1e-9);
+  });
+
+  it('prices 1-hour writes for unrecognized models too', () => {
+    const p = getPricing('some-random-model');
+    assert.equal(p.cacheWrite1h, 6);
+  });
+});
+
+describe('long-context pricing', () => {
+  it('bills a whole request over the threshold at the long-context rate', () => {
+    const small = calculateCost({ inputTokens: 1000, cacheReadInputTokens: 199_000, outputTokens: 1_000_000, contextTokens: 200_000 }, 'claude-sonnet-4-6');
+    assert.equal(small.longContextCost, 0);
+    assert.ok(Math.abs(small.outputCost - 15) < 1e-9);
+
+    const large = calculateCost({ inputTokens: 1000, cacheReadInputTokens: 200_000, outputTokens: 1_000_000, contextTokens: 201_000 }, 'claude-sonnet-4-6');
+    assert.ok(Math.abs(large.outputCost - 22.5) < 1e-9);
+    assert.ok(Math.abs(large.cacheReadCost - 0.12) < 1e-9);
+    assert.equal(large.longContextCost, large.totalCost);
+  });
+
+  it('prices the long-context share of an aggregate separately', () => {
+    const result = calculateCost({
+      inputTokens: 2_000_000, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0,
+      longContext: { inputTokens: 1_000_000, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 }
+    }, 'claude-sonnet-4-6');
+    // 1M at $3 plus 1M at $6
+    assert.ok(Math.abs(result.totalCost - 9) < 1e-9);
+    assert.ok(Math.abs(result.longContextCost - 6) < 1e-9);
+    assert.equal(result.breakdown.inputTokens, 2_000_000);
+  });
+
+  it('keeps standard rates for models without a long-context tier', () => {
+    const result = calculateCost({ inputTokens: 300_000, contextTokens: 300_000 }, 'claude-haiku-4-5-20251001');
+    assert.ok(Math.abs(result.inputCost - 0.24) < 1e-9);
+  });
+});
+
 describe('calculateTotalCost', () => {
   it('sums costs across models', () => {
     const result = calculateTotalCost({
@@ -73,6 +132,69 @@ describe('calculateTotalCost', () => {
   });
 });
 
+describe('pricing overrides', () => {
+  const pricingFile = path.join(tmpDir, 'pricing.json');
+
+  before(() => {
+    fs.writeFileSync(pricingFile, JSON.stringify({
+      models: {
+        'claude-opus-4-6': {
+          prices: [{ from: '2026-03-01', input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 }]
+        },
+        'claude-nova-1': {
+          displayName: 'Claude Nova 1',
+          prices: [{ input: 2, output: 10, cacheRead: 0.2, cacheWrite: 2.5 }]
+        }
+      }
+    }));
+    setPricingFile(pricingFile);
+  });
+
+  after(() => {
+    setPricingFile(path.join(tmpDir, 'missing.json'));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('prices each timestamp at the rate in force on that date', () => {
+    assert.equal(getPricing('claude-opus-4-6', '2026-02-28T23:59:59Z').output, 75);
+    assert.equal(getPricing('claude-opus-4-6', '2026-03-01T00:00:00Z').output, 25);
+    assert.equal(calculateCost({ outputTokens: 1_000_000 }, 'claude-opus-4-6', '2026-01-15T10:00:00Z').totalCost, 75);
+    assert.equal(calculateCost({ outputTokens: 1_000_000 }, 'claude-opus-4-6', '2026-03-15').totalCost, 25);
+  });
+
+  it('uses the latest price when no timestamp is given', () => {
+    assert.equal(getPricing('claude-opus-4-6').output, 25);
+    assert.equal(getPricing('claude-opus-4-6-20260301').output, 25);
+  });
+
+  it('adds models missing from the built-in table', () => {
+    const p = getPricing('claude-nova-1-20260401');
+    assert.equal(p.input, 2);
+    assert.equal(p.displayName, 'Claude Nova 1');
+  });
+
+  it('spreads aggregate usage over days when pricing totals', () => {
+    const result = calculateTotalCost(
+      { 'claude-opus-4-6': { inputTokens: 0, outputTokens: 2_000_000, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 } },
+      [
+        { date: '2026-02-20', tokensByModel: { 'claude-opus-4-6': 1000 } },
+        { date: '2026-03-05', tokensByModel: { 'claude-opus-4-6': 1000 } }
+      ]
+    );
+    // Half at the old $75/M, half at the new $25/M
+    assert.ok(Math.abs(result.totalCost - 100) < 1e-9);
+    assert.equal(result.byModel['claude-opus-4-6'].breakdown.outputTokens, 2_000_000);
+  });
+
+  it('rejects a malformed pricing file with its path in the message', () => {
+    const bad = path.join(tmpDir, 'bad.json');
+    fs.writeFileSync(bad, JSON.stringify({ models: { 'claude-opus-4-6': { prices: [{ input: 1 }] } } }));
+    setPricingFile(bad);
+    assert.throws(() => getPricing('claude-opus-4-6'), /bad\.json.*missing output/);
+    setPricingFile(pricingFile);
+  });
+});
+
 describe('formatCost', () => {
   it('formats large costs with 2 decimals', () => {
     assert.equal(formatCost(10.5), '$10.50');
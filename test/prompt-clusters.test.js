@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('clusters');
+
+const { getPromptClusters } = require('../src/analysis/prompt-clusters.js');
+
+// Output at $15/M on Sonnet, $75/M on Opus 4.1
+function turn(ts, prompt, outputTokens, model = 'claude-sonnet-4-6') {
+  return [
+    { type: 'user', timestamp: ts, message: { content: prompt } },
+    { type: 'assistant', timestamp: ts, message: { model, usage: { input_tokens: 0, output_tokens: outputTokens }, content: [] } }
+  ];
+}
+
+// A Bash call, its result, then the reply, at the same cost as one response
+function toolLoop(ts, prompt, outputTokens) {
+  return [
+    { type: 'user', timestamp: ts, message: { content: prompt } },
+    { type: 'assistant', timestamp: ts, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: 1000 }, content: [{ type: 'tool_use', id: 'tu_' + ts, name: 'Bash', input: { command: 'npm test' } }] } },
+    { type: 'user', timestamp: ts, message: { content: [{ type: 'tool_result', tool_use_id: 'tu_' + ts, content: '3 failing' }] } },
+    { type: 'assistant', timestamp: ts, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: outputTokens - 1000 }, content: [] } }
+  ];
+}
+
+const entries = [
+  ...toolLoop('2026-02-01T10:00:00Z', 'Fix the failing tests in the parser', 100000),
+  ...turn('2026-02-01T10:10:00Z', 'fix failing tests for the exporter', 100000),
+  ...turn('2026-02-01T10:20:00Z', 'Please fix failing unit tests', 100000, 'claude-opus-4-1'),
+  ...turn('2026-02-01T10:30:00Z', 'Write a migration adding the orders table', 10000),
+  ...turn('2026-02-01T10:40:00Z', 'write migration to drop the orders index', 10000),
+  ...turn('2026-02-01T10:50:00Z', 'Explain how the websocket reconnect logic works', 1000),
+  ...turn('2026-02-01T11:00:00Z', 'Bump the version and update the changelog', 1000),
+  ...turn('2026-02-01T11:10:00Z', 'Rename the config loader module', 1000)
+];
+writeTranscript(tmpHome, '/work/app', 'work', entries);
+
+describe('getPromptClusters', () => {
+  it('groups prompts asking for the same kind of task', async () => {
+    const data = await getPromptClusters();
+    assert.equal(data.prompts, 8);
+    assert.equal(data.clusters.length, 2);
+
+    const [tests, migrations] = data.clusters;
+    assert.deepEqual(tests.terms.slice(0, 2).sort(), ['failing', 'fix']);
+    assert.equal(tests.count, 3);
+    assert.ok(Math.abs(tests.totalCost - 10.5) < 1e-9);
+    assert.ok(Math.abs(tests.avgCost - 3.5) < 1e-9);
+    assert.deepEqual(tests.modelMix.map(m => [m.modelId, m.prompts, m.percent]), [
+      ['claude-opus-4-1', 1, 71.4],
+      ['claude-sonnet-4-6', 2, 28.6]
+    ]);
+    assert.equal(tests.recurring, false);
+    assert.equal(tests.examples[0].prompt, 'Please fix failing unit tests');
+
+    assert.equal(migrations.count, 2);
+    assert.ok(migrations.terms.includes('migration'));
+  });
+
+  it('leaves one-off prompts unclustered', async () => {
+    const data = await getPromptClusters();
+    assert.equal(data.unclustered.prompts, 3);
+    assert.ok(Math.abs(data.unclustered.cost - 0.045) < 1e-9);
+  });
+
+  it('applies filters', async () => {
+    const data = await getPromptClusters({ project: '/work/other' });
+    assert.equal(data.prompts, 0);
+    assert.deepEqual(data.clusters, []);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { useTempHome, line } = require('./helpers/fixture.js');
+
+// Two data roots, configured before the reader resolves them
+const tmpHome = useTempHome('roots');
+const laptopDir = path.join(tmpHome, '.claude');
+const devboxDir = path.join(tmpHome, 'devbox', '.claude');
+process.env.CLAUDE_CONFIG_DIR = `laptop=${laptopDir},${devboxDir}`;
+
+const { resolveClaudeRoots, getClaudeRoots, getClaudeDir, readStatsCache } = require('../src/data/reader.js');
+const { getSessions, getUncachedSessions } = require('../src/analysis/sessions.js');
+const { buildOverview } = require('../src/analysis/overview.js');
+
+function writeSession(root, name, sessionId, timestamp) {
+  const dir = path.join(root, 'projects', '-work-app');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, name), [
+    line({ type: 'user', sessionId, cwd: '/work/app', timestamp, message: { content: 'hello' } }),
+    line({ type: 'assistant', timestamp, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 10, output_tokens: 20 }, content: [] } })
+  ].join(''));
+}
+
+writeSession(laptopDir, 'l1.jsonl', 'l1', '2026-02-01T10:00:00Z');
+writeSession(laptopDir, 'shared.jsonl', 'shared', '2026-02-03T10:00:00Z');
+writeSession(devboxDir, 'd1.jsonl', 'd1', '2026-02-05T10:00:00Z');
+writeSession(devboxDir, 'shared.jsonl', 'shared', '2026-02-03T10:00:00Z');
+fs.writeFileSync(path.join(laptopDir, 'stats-cache.json'), JSON.stringify({
+  version: 2, lastComputedDate: '2026-02-02', totalSessions: 1, totalMessages: 2
+}));
+
+describe('resolveClaudeRoots', () => {
+  it('labels roots explicitly or after their directory', () => {
+    const roots = resolveClaudeRoots(['work=/data/work/.claude', '/mnt/devbox/.claude', '/data/claude-laptop']);
+    assert.deepEqual(roots.map(r => r.label), ['work', 'devbox', 'claude-laptop']);
+    assert.equal(roots[1].path, path.resolve('/mnt/devbox/.claude'));
+  });
+
+  it('drops duplicate paths and disambiguates clashing labels', () => {
+    const roots = resolveClaudeRoots(['/a/box/.claude', '/a/box/.claude/', '/b/box/.claude']);
+    assert.deepEqual(roots.map(r => r.label), ['box', 'box-2']);
+  });
+
+  it('falls back to ~/.claude when nothing usable is given', () => {
+    const roots = resolveClaudeRoots([' ', '']);
+    assert.equal(roots.length, 1);
+    assert.equal(roots[0].path, path.join(os.homedir(), '.claude'));
+  });
+});
+
+describe('multiple data roots', () => {
+  it('reads roots from CLAUDE_CONFIG_DIR, first one primary', () => {
+    assert.deepEqual(getClaudeRoots().map(r => r.label), ['laptop', 'devbox']);
+    assert.equal(getClaudeDir(), laptopDir);
+  });
+
+  it('tags each session with its root and counts synced copies once', async () => {
+    const sessions = await getSessions();
+    const byId = Object.fromEntries(sessions.map(s => [s.sessionId, s.root]));
+    assert.equal(sessions.length, 3);
+    assert.deepEqual(byId, { l1: 'laptop', shared: 'laptop', d1: 'devbox' });
+  });
+
+  it('filters by root', async () => {
+    const sessions = await getSessions({ root: 'devbox' });
+    assert.deepEqual(sessions.map(s => s.sessionId), ['d1']);
+  });
+
+  it('supplements each root past its own stats cache', async () => {
+    const stats = await readStatsCache();
+    assert.deepEqual(stats.lastComputedDateByRoot, { laptop: '2026-02-02' });
+    const recent = await getUncachedSessions(stats);
+    assert.deepEqual(recent.map(s => s.sessionId).sort(), ['d1', 'shared']);
+  });
+
+  it("leaves out the stats cache of a root holding another root's sessions", async () => {
+    // devbox's cache would count the shared session a second time
+    fs.writeFileSync(path.join(devboxDir, 'stats-cache.json'), JSON.stringify({
+      version: 2, lastComputedDate: '2026-02-05', totalSessions: 2, totalMessages: 4
+    }));
+    const stats = await readStatsCache();
+    assert.deepEqual(stats.lastComputedDateByRoot, { laptop: '2026-02-02' });
+    assert.equal(stats.totalSessions, 1);
+
+    const overview = buildOverview(stats, null, await getUncachedSessions(stats));
+    assert.equal(overview.totalSessions, (await getSessions()).length);
+    fs.rmSync(path.join(devboxDir, 'stats-cache.json'));
+  });
+});
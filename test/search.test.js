@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('search');
+
+const { searchSessions } = require('../src/analysis/search.js');
+const { handleApi } = require('../src/server/api.js');
+
+// Sonnet output at $15/M
+function assistant(ts, outputTokens, content) {
+  return { type: 'assistant', timestamp: ts, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: outputTokens }, content } };
+}
+
+function writeSession(sessionId, gitBranch, entries) {
+  writeTranscript(tmpHome, '/work/app', sessionId, entries, { gitBranch });
+}
+
+writeSession('migrate', 'main', [
+  { type: 'user', timestamp: '2026-02-01T10:00:00Z', message: { content: 'Hello' } },
+  assistant('2026-02-01T10:00:01Z', 1000, [{ type: 'text', text: 'Hi' }]),
+  { type: 'user', timestamp: '2026-02-01T10:01:00Z', message: { content: 'Fix the migration script, the password=hunter2secret is wrong' } },
+  assistant('2026-02-01T10:01:01Z', 100000, [
+    { type: 'text', text: 'Running the database migrations now.' },
+    { type: 'tool_use', id: 'tu_1', name: 'Bash', input: { command: 'npm run db:rollback' } }
+  ]),
+  { type: 'user', timestamp: '2026-02-01T10:01:30Z', message: { content: [{ type: 'tool_result', tool_use_id: 'tu_1', content: 'Rolled back' }] } },
+  assistant('2026-02-01T10:01:31Z', 50000, [{ type: 'text', text: 'Everything finished cleanly.' }])
+]);
+writeSession('docs', 'feature/docs', [
+  { type: 'user', timestamp: '2026-02-03T09:00:00Z', message: { content: 'Document the migration steps' } },
+  assistant('2026-02-03T09:00:01Z', 2000, [{ type: 'text', text: 'Done' }])
+]);
+
+describe('searchSessions', () => {
+  it('finds turns whose prompt has every word, matching word prefixes', async () => {
+    const data = await searchSessions('migrat script');
+    assert.equal(data.total, 1);
+    const [hit] = data.hits;
+    assert.equal(hit.sessionId, 'migrate');
+    assert.equal(hit.turnIndex, 1);
+    assert.equal(hit.date, '2026-02-01');
+    assert.equal(hit.field, 'prompt');
+    // The reply after the tool result counts toward the prompt
+    assert.ok(Math.abs(hit.cost - 2.25) < 1e-9);
+  });
+
+  it('lists newer matches first and masks secrets in the excerpt', async () => {
+    const data = await searchSessions('Migration');
+    assert.deepEqual(data.hits.map(h => h.sessionId), ['docs', 'migrate']);
+    assert.ok(!data.hits[1].snippet.includes('hunter2'));
+    assert.ok(data.hits[1].snippet.includes('[redacted password= parameter]'));
+  });
+
+  it('searches replies and tool input only when asked to', async () => {
+    assert.equal((await searchSessions('rollback')).total, 0);
+    const data = await searchSessions('rollback', null, { scope: 'all' });
+    assert.equal(data.total, 1);
+    assert.equal(data.hits[0].field, 'tool');
+    assert.equal((await searchSessions('database', null, { scope: 'all' })).hits[0].field, 'response');
+  });
+
+  it('ties replies after a tool result to the prompt that asked for them', async () => {
+    const data = await searchSessions('script cleanly', null, { scope: 'all' });
+    assert.equal(data.total, 1);
+    assert.equal(data.hits[0].turnIndex, 1);
+  });
+
+  it('applies date, project and branch filters', async () => {
+    assert.deepEqual((await searchSessions('migration', { branch: 'main' })).hits.map(h => h.sessionId), ['migrate']);
+    assert.deepEqual((await searchSessions('migration', { from: '2026-02-02' })).hits.map(h => h.sessionId), ['docs']);
+    assert.equal((await searchSessions('migration', { project: '/work/other' })).total, 0);
+  });
+
+  it('returns nothing for an empty query', async () => {
+    assert.equal((await searchSessions('  ')).total, 0);
+  });
+});
+
+describe('/api/search', () => {
+  async function get(query) {
+    const res = { statusCode: 200, setHeader() {}, end(body) { this.body = JSON.parse(body); } };
+    await handleApi('/api/search', { url: '/api/search?' + query, headers: {} }, res);
+    return res;
+  }
+
+  it('rejects a limit that is not a whole number from 1 to 500', async () => {
+    for (const limit of ['-1', '0', '1.5', 'ten', '501']) {
+      const res = await get(`q=migration&limit=${limit}`);
+      assert.equal(res.statusCode, 400, `limit=${limit}`);
+      assert.match(res.body.error, /limit/);
+    }
+  });
+
+  it('returns at most limit hits', async () => {
+    const res = await get('q=migration&limit=1');
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.hits.length, 1);
+    assert.ok(res.body.total > 1);
+  });
+});
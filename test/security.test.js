@@ -4,6 +4,7 @@ const {
   isSensitivePath,
   classifyBashCommand,
   detectSecretsInCommand,
+  maskSecrets,
   assessMcpRisk,
   detectAnomalies
 } = require('../src/analysis/security.js');
@@ -268,6 +269,24 @@ describe('detectSecretsInCommand', () => {
   });
 });
 
+// ========== maskSecrets ==========
+describe('maskSecrets', () => {
+  it('replaces every secret and counts them', () => {
+    const key = 'sk-' + 'a'.repeat(30);
+    const result = maskSecrets(`export KEY=${key}\ncurl -H "Authorization: Bearer abc123" https://api.com?token=xyz987654 ${key}`);
+    assert.equal(result.count, 4);
+    assert.ok(!result.text.includes(key));
+    assert.ok(!result.text.includes('abc123'));
+    assert.ok(result.text.includes('[redacted Bearer Token]'));
+    assert.ok(result.text.startsWith('export KEY=[redacted OpenAI/Anthropic Key (sk-)]'));
+  });
+
+  it('leaves text without secrets alone', () => {
+    assert.deepEqual(maskSecrets('npm test'), { text: 'npm test', count: 0 });
+    assert.deepEqual(maskSecrets(null), { text: '', count: 0 });
+  });
+});
+
 // ========== assessMcpRisk ==========
 describe('assessMcpRisk', () => {
   it('flags sensitive env var names', () => {
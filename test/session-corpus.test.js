@@ -0,0 +1,74 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, line, transcriptDir, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('corpus');
+
+const { getSessionCorpus, refreshSessionFile, invalidateCorpus } = require('../src/data/session-corpus.js');
+
+const projectDir = transcriptDir(tmpHome, '/work/app');
+
+describe('getSessionCorpus', () => {
+  before(() => {
+    writeTranscript(tmpHome, '/work/app', 'a', [
+      { type: 'user', timestamp: '2026-02-01T10:00:00Z', message: { content: 'hello' } },
+      { type: 'assistant', timestamp: '2026-02-01T10:00:05Z', message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 10, output_tokens: 20 }, content: [] } }
+    ]);
+    writeTranscript(tmpHome, '/work/app', 'b', [
+      { type: 'user', timestamp: '2026-02-02T10:00:00Z', message: { content: 'second' } }
+    ]);
+  });
+
+  it('parses every session file once and memoizes the result', async () => {
+    const [first, second] = await Promise.all([getSessionCorpus(), getSessionCorpus()]);
+    assert.equal(first, second, 'Concurrent callers should share one build');
+    assert.equal(first.length, 2);
+
+    const a = first.find(e => e.session.sessionId === 'a');
+    assert.equal(a.dir.projectPath, '/work/app');
+    assert.equal(a.session.assistantMessages.length, 1);
+    assert.equal(await getSessionCorpus(), first);
+  });
+
+  it('reuses unchanged files and re-parses changed ones after invalidation', async () => {
+    const before = await getSessionCorpus();
+    const aBefore = before.find(e => e.session.sessionId === 'a').session;
+    const bBefore = before.find(e => e.session.sessionId === 'b').session;
+
+    fs.appendFileSync(path.join(projectDir, 'b.jsonl'), line({
+      type: 'assistant', timestamp: '2026-02-02T10:00:05Z',
+      message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 1, output_tokens: 2 }, content: [] }
+    }));
+    invalidateCorpus();
+
+    const afterCorpus = await getSessionCorpus();
+    assert.notEqual(afterCorpus, before);
+    assert.equal(afterCorpus.find(e => e.session.sessionId === 'a').session, aBefore, 'Unchanged file should not be re-parsed');
+    const bAfter = afterCorpus.find(e => e.session.sessionId === 'b').session;
+    assert.equal(bAfter, bBefore, 'Grown file should be tail-parsed in place');
+    assert.equal(bAfter.assistantMessages.length, 1);
+    assert.equal(bAfter.userMessages.length, 1);
+  });
+
+  it('reports only appended messages from refreshSessionFile', async () => {
+    const file = path.join(projectDir, 'a.jsonl');
+    const { added: none } = await refreshSessionFile(file);
+    assert.equal(none.length, 0);
+
+    fs.appendFileSync(file, line({ type: 'user', timestamp: '2026-02-01T10:05:00Z', message: { content: 'more' } }));
+    const { session, added } = await refreshSessionFile(file);
+    assert.equal(added.length, 1);
+    assert.equal(added[0].promptText, 'more');
+    assert.equal(session.messageCount, 3);
+  });
+
+  it('drops files that were deleted', async () => {
+    fs.unlinkSync(path.join(projectDir, 'b.jsonl'));
+    invalidateCorpus();
+    const corpus = await getSessionCorpus();
+    assert.equal(corpus.length, 1);
+    assert.equal(corpus[0].session.sessionId, 'a');
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('session-detail');
+
+const { getSessionDetail } = require('../src/analysis/session-detail.js');
+
+// Sonnet: input $3/M, output $15/M
+function assistant(ts, usage, content = []) {
+  return { type: 'assistant', timestamp: ts, message: { model: 'claude-sonnet-4-6', usage, content } };
+}
+
+writeTranscript(tmpHome, '/work/app', 'timeline', [
+  { type: 'user', timestamp: '2026-02-01T10:00:00Z', message: { content: 'Fix the test' } },
+  assistant('2026-02-01T10:00:01Z', { input_tokens: 100000, output_tokens: 0 }, [
+    { type: 'tool_use', id: 'tu_1', name: 'Bash', input: { command: 'npm test' } }
+  ]),
+  { type: 'user', timestamp: '2026-02-01T10:00:02Z', message: { content: [{ type: 'tool_result', tool_use_id: 'tu_1', is_error: true, content: 'failed' }] } },
+  assistant('2026-02-01T10:00:03Z', { input_tokens: 120000, output_tokens: 0 }),
+  { type: 'user', timestamp: '2026-02-01T10:01:00Z', message: { content: 'Thanks' } },
+  assistant('2026-02-01T10:01:01Z', { input_tokens: 0, output_tokens: 100000 })
+], { gitBranch: 'main' });
+
+const token = 'ghp_' + 'a'.repeat(36);
+writeTranscript(tmpHome, '/work/app', 'secrets', [
+  { type: 'user', timestamp: '2026-02-02T10:00:00Z', message: { content: `Push with ${token}` } },
+  assistant('2026-02-02T10:00:01Z', { input_tokens: 10, output_tokens: 10 }, [
+    { type: 'text', text: `Pushing with ${token}` },
+    { type: 'tool_use', id: 'tu_2', name: 'Bash', input: { command: `git push https://${token}@github.com/me/app` } }
+  ])
+]);
+
+describe('getSessionDetail', () => {
+  it('returns null for an unknown session', async () => {
+    assert.equal(await getSessionDetail('missing'), null);
+  });
+
+  it('lists every prompt with its responses, tool calls and running totals', async () => {
+    const data = await getSessionDetail('timeline');
+    assert.equal(data.project, '/work/app');
+    assert.equal(data.gitBranch, 'main');
+    assert.equal(data.peakContextTokens, 120000);
+
+    assert.equal(data.turns.length, 2);
+    const [first, last] = data.turns;
+    assert.equal(first.prompt, 'Fix the test');
+    assert.equal(first.toolCalls, 1);
+    // The tool result and the reply after it belong to the prompt that asked
+    assert.equal(first.responses.length, 2);
+    assert.deepEqual(first.responses[0].toolCalls, [
+      { name: 'Bash', target: 'npm test', result: { isError: true, size: 6, rejected: false } }
+    ]);
+    assert.ok(Math.abs(first.cost - 0.66) < 1e-9);
+    assert.equal(first.contextTokens, 120000);
+
+    assert.equal(last.tokens.output, 100000);
+    assert.equal(last.contextTokens, 120000, 'A request without prompt tokens keeps the last known context');
+    assert.ok(Math.abs(last.cumulativeCost - 2.16) < 1e-9);
+    assert.ok(Math.abs(data.cost - 2.16) < 1e-9);
+    assert.deepEqual(last.models, [{ modelId: 'claude-sonnet-4-6', displayName: 'Claude Sonnet 4.6' }]);
+  });
+
+  it('includes what Claude replied, with secrets masked as in the transcript viewer', async () => {
+    const [turn] = (await getSessionDetail('secrets')).turns;
+    assert.equal(turn.prompt, 'Push with [redacted GitHub Token (ghp_)]');
+    assert.equal(turn.responses[0].text, 'Pushing with [redacted GitHub Token (ghp_)]');
+    assert.equal(turn.responses[0].toolCalls[0].target, 'git push https://[redacted GitHub Token (ghp_)]@github.com/me/app');
+  });
+});
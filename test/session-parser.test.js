@@ -0,0 +1,233 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { parseSessionFile, parseSessionAppend, aggregateSessionTokens, pairMessages, groupPrompts } = require('../src/data/session-parser.js');
+const { summarizeDelta } = require('../src/server/session-watcher.js');
+const { line } = require('./helpers/fixture.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'burn-rate-parser-'));
+
+function assistant(ts, usage, content = []) {
+  return { type: 'assistant', timestamp: ts, message: { model: 'claude-sonnet-4-6', usage, content } };
+}
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('parseSessionAppend', () => {
+  it('parses only bytes appended since the last read', async () => {
+    const file = path.join(tmpDir, 'grow.jsonl');
+    fs.writeFileSync(file, line({ type: 'user', sessionId: 'grow', timestamp: '2026-02-01T10:00:00Z', message: { content: 'start' } }));
+
+    const session = await parseSessionFile(file);
+    assert.equal(session.messageCount, 1);
+    assert.equal(session.bytesParsed, fs.statSync(file).size);
+
+    fs.appendFileSync(file, line(assistant('2026-02-01T10:00:30Z', { input_tokens: 5, output_tokens: 7 })));
+    const added = await parseSessionAppend(session, file);
+
+    assert.equal(added.length, 1);
+    assert.equal(added[0].usage.outputTokens, 7);
+    assert.equal(session.assistantMessages.length, 1);
+    assert.equal(session.duration, 30000);
+    assert.equal(session.bytesParsed, fs.statSync(file).size);
+  });
+
+  it('leaves a half-written trailing line for the next read', async () => {
+    const file = path.join(tmpDir, 'partial.jsonl');
+    const full = line(assistant('2026-02-01T11:00:00Z', { input_tokens: 1, output_tokens: 2 }));
+    fs.writeFileSync(file, line({ type: 'user', sessionId: 'p', timestamp: '2026-02-01T10:59:00Z', message: { content: 'go' } }));
+    fs.appendFileSync(file, full.slice(0, 20));
+
+    const session = await parseSessionFile(file);
+    assert.equal(session.assistantMessages.length, 0);
+    assert.ok(session.bytesParsed < fs.statSync(file).size);
+
+    fs.appendFileSync(file, full.slice(20));
+    const added = await parseSessionAppend(session, file);
+    assert.equal(added.length, 1);
+    assert.equal(session.assistantMessages.length, 1);
+  });
+
+  it('accepts a complete final line without a trailing newline', async () => {
+    const file = path.join(tmpDir, 'nonl.jsonl');
+    fs.writeFileSync(file, JSON.stringify({ type: 'user', sessionId: 'n', message: { content: 'x' } }));
+    const session = await parseSessionFile(file);
+    assert.equal(session.messageCount, 1);
+    assert.equal(session.sessionId, 'n');
+  });
+});
+
+describe('cache write TTLs', () => {
+  it('reads the 5-minute and 1-hour cache write buckets', async () => {
+    const file = path.join(tmpDir, 'ttl.jsonl');
+    fs.writeFileSync(file, [
+      line(assistant('2026-02-01T10:00:00Z', {
+        input_tokens: 1, output_tokens: 1, cache_creation_input_tokens: 300,
+        cache_creation: { ephemeral_5m_input_tokens: 100, ephemeral_1h_input_tokens: 200 }
+      })),
+      // Only the split is present
+      line(assistant('2026-02-01T10:01:00Z', {
+        input_tokens: 1, output_tokens: 1,
+        cache_creation: { ephemeral_5m_input_tokens: 0, ephemeral_1h_input_tokens: 50 }
+      }))
+    ].join(''));
+    const session = await parseSessionFile(file);
+    const [first, second] = session.assistantMessages;
+    assert.equal(first.usage.cacheCreationInputTokens, 300);
+    assert.equal(first.usage.cacheCreation1hInputTokens, 200);
+    assert.equal(second.usage.cacheCreationInputTokens, 50);
+    assert.equal(aggregateSessionTokens(session)['claude-sonnet-4-6'].cacheCreation1hInputTokens, 250);
+  });
+});
+
+describe('streamed responses', () => {
+  function streamed(ts, id, requestId, content, usage = { input_tokens: 10, output_tokens: 500 }) {
+    return { type: 'assistant', timestamp: ts, requestId, message: { id, model: 'claude-sonnet-4-6', usage, content } };
+  }
+
+  it('counts one API response once however many lines it was written as', async () => {
+    const file = path.join(tmpDir, 'streamed.jsonl');
+    fs.writeFileSync(file, [
+      line({ type: 'user', sessionId: 's', timestamp: '2026-02-01T10:00:00Z', message: { content: 'go' } }),
+      line(streamed('2026-02-01T10:00:01Z', 'msg_1', 'req_1', [{ type: 'text', text: 'Looking' }])),
+      line(streamed('2026-02-01T10:00:01Z', 'msg_1', 'req_1', [{ type: 'tool_use', id: 'tu_1', name: 'Read', input: {} }])),
+      line(streamed('2026-02-01T10:00:02Z', 'msg_1', 'req_1', [{ type: 'tool_use', id: 'tu_2', name: 'Grep', input: {} }], { input_tokens: 10, output_tokens: 600 })),
+      line(streamed('2026-02-01T10:00:03Z', 'msg_2', 'req_2', []))
+    ].join(''));
+
+    const session = await parseSessionFile(file);
+    assert.equal(session.assistantMessages.length, 2);
+    assert.equal(session.duplicateMessages, 2);
+    assert.deepEqual(session.assistantMessages[0].toolCalls.map(t => t.name), ['Read', 'Grep']);
+    assert.equal(session.assistantMessages[0].usage.outputTokens, 600);
+    assert.equal(aggregateSessionTokens(session)['claude-sonnet-4-6'].inputTokens, 20);
+    assert.equal(pairMessages(session)[0].responses.length, 2);
+  });
+
+  it('folds a repeat that arrives in a later append', async () => {
+    const file = path.join(tmpDir, 'streamed-append.jsonl');
+    fs.writeFileSync(file, line(streamed('2026-02-01T10:00:01Z', 'msg_1', 'req_1', [])));
+    const session = await parseSessionFile(file);
+    fs.appendFileSync(file, line(streamed('2026-02-01T10:00:01Z', 'msg_1', 'req_1', [])));
+    const added = await parseSessionAppend(session, file);
+    assert.equal(added.length, 0);
+    assert.equal(session.duplicateMessages, 1);
+  });
+});
+
+describe('tool results', () => {
+  it('attaches errors, result size and user rejections to the calls they answer', async () => {
+    const file = path.join(tmpDir, 'tools.jsonl');
+    fs.writeFileSync(file, [
+      line({ type: 'user', sessionId: 't', timestamp: '2026-02-01T10:00:00Z', message: { content: 'go' } }),
+      line(assistant('2026-02-01T10:00:01Z', { input_tokens: 1, output_tokens: 1 }, [
+        { type: 'tool_use', id: 'tu_read', name: 'Read', input: {} },
+        { type: 'tool_use', id: 'tu_bash', name: 'Bash', input: { command: 'false' } },
+        { type: 'tool_use', id: 'tu_edit', name: 'Edit', input: {} }
+      ])),
+      line({ type: 'user', timestamp: '2026-02-01T10:00:02Z', message: { content: [
+        { type: 'tool_result', tool_use_id: 'tu_read', content: 'x'.repeat(1200) },
+        { type: 'tool_result', tool_use_id: 'tu_bash', is_error: true, content: [{ type: 'text', text: 'Exit code 1' }] },
+        { type: 'tool_result', tool_use_id: 'tu_edit', is_error: true, content: "The user doesn't want to proceed with this tool use. The tool use was rejected." }
+      ] } })
+    ].join(''));
+
+    const session = await parseSessionFile(file);
+    const [read, bash, edit] = session.assistantMessages[0].toolCalls;
+    assert.deepEqual(read.result, { isError: false, size: 1200, rejected: false });
+    assert.deepEqual(bash.result, { isError: true, size: 11, rejected: false });
+    assert.equal(edit.result.rejected, true);
+  });
+});
+
+describe('tool input', () => {
+  it('keeps the arguments analyses read and drops bulky payloads', async () => {
+    const file = path.join(tmpDir, 'tool-input.jsonl');
+    fs.writeFileSync(file, line(assistant('2026-02-01T10:00:00Z', { input_tokens: 1, output_tokens: 1 }, [
+      { type: 'tool_use', id: 'tu_1', name: 'TodoWrite', input: { todos: [{ content: 'x'.repeat(1000) }] } },
+      { type: 'tool_use', id: 'tu_2', name: 'Write', input: { file_path: '/a.js', content: 'code' } },
+      { type: 'tool_use', id: 'tu_3', name: 'Bash', input: { command: 'ls', content: 'ignored', timeout: 1000 } }
+    ])));
+    const session = await parseSessionFile(file);
+    assert.deepEqual(session.assistantMessages[0].toolCalls.map(t => t.input), [
+      {},
+      { file_path: '/a.js', content: 'code' },
+      { command: 'ls' }
+    ]);
+  });
+});
+
+describe('groupPrompts', () => {
+  it('folds the tool loop into the prompt that started it', async () => {
+    const file = path.join(tmpDir, 'tool-loop.jsonl');
+    fs.writeFileSync(file, [
+      line({ type: 'user', timestamp: '2026-02-01T10:00:00Z', message: { content: 'Run the tests' } }),
+      line(assistant('2026-02-01T10:00:01Z', { input_tokens: 0, output_tokens: 1000 }, [{ type: 'tool_use', id: 'tu_1', name: 'Bash', input: { command: 'npm test' } }])),
+      line({ type: 'user', timestamp: '2026-02-01T10:00:02Z', message: { content: [{ type: 'tool_result', tool_use_id: 'tu_1', content: 'ok' }] } }),
+      line(assistant('2026-02-01T10:00:03Z', { input_tokens: 0, output_tokens: 100000 })),
+      line({ type: 'user', timestamp: '2026-02-01T10:01:00Z', message: { content: 'Thanks' } }),
+      line(assistant('2026-02-01T10:01:01Z', { input_tokens: 0, output_tokens: 10 }))
+    ].join(''));
+
+    const session = await parseSessionFile(file);
+    assert.equal(pairMessages(session).length, 3);
+    const turns = groupPrompts(session);
+    assert.deepEqual(turns.map(t => [t.turnIndex, t.prompt.promptText, t.responses.length]), [[0, 'Run the tests', 2], [1, 'Thanks', 1]]);
+    assert.equal(turns[0].responses[0].toolCalls[0].result.isError, false);
+  });
+});
+
+describe('summarizeDelta', () => {
+  it('sums cost, tokens and tool calls of the new messages only', async () => {
+    const file = path.join(tmpDir, 'delta.jsonl');
+    fs.writeFileSync(file, [
+      line({ type: 'user', sessionId: 'd', cwd: '/work/app', timestamp: '2026-02-01T10:00:00Z', message: { content: 'hi' } }),
+      line(assistant('2026-02-01T10:00:10Z', { input_tokens: 100000, output_tokens: 0 }))
+    ].join(''));
+    const session = await parseSessionFile(file);
+
+    fs.appendFileSync(file, line(assistant('2026-02-01T10:00:20Z', { input_tokens: 0, output_tokens: 1000000 }, [
+      { type: 'tool_use', name: 'Bash', input: { command: 'ls' } }
+    ])));
+    const added = await parseSessionAppend(session, file);
+    const delta = summarizeDelta(session, added);
+
+    assert.equal(delta.sessionId, 'd');
+    assert.equal(delta.projectPath, '/work/app');
+    assert.equal(delta.messages, 1);
+    assert.equal(delta.tokens.output, 1000000);
+    assert.deepEqual(delta.toolCalls, { Bash: 1 });
+    assert.ok(Math.abs(delta.cost - 15) < 1e-9, 'Only the appended output should be priced');
+    assert.ok(Math.abs(delta.session.cost - 15.3) < 1e-9, 'Session total includes earlier messages');
+  });
+
+  it('counts typed prompts only and includes usage streamed into an earlier request', async () => {
+    const file = path.join(tmpDir, 'delta-stream.jsonl');
+    const streamed = (usage, content) => ({ ...assistant('2026-02-01T10:00:10Z', usage, content), requestId: 'req_1' });
+    fs.writeFileSync(file, [
+      line({ type: 'user', sessionId: 'ds', timestamp: '2026-02-01T10:00:00Z', message: { content: 'fix it' } }),
+      line(streamed({ input_tokens: 0, output_tokens: 100000 }, [{ type: 'text', text: 'Looking' }]))
+    ].join(''));
+    const session = await parseSessionFile(file);
+
+    fs.appendFileSync(file, [
+      // The rest of the same response, with its final usage
+      line(streamed({ input_tokens: 0, output_tokens: 300000 }, [{ type: 'tool_use', id: 'tu_1', name: 'Bash', input: { command: 'ls' } }])),
+      line({ type: 'user', timestamp: '2026-02-01T10:00:15Z', message: { content: [{ type: 'tool_result', tool_use_id: 'tu_1', content: 'ok' }] } })
+    ].join(''));
+    const grown = new Map();
+    const added = await parseSessionAppend(session, file, grown);
+    const delta = summarizeDelta(session, added, grown);
+
+    assert.equal(added.length, 1);
+    assert.equal(delta.prompts, 0, 'A tool result is not a prompt');
+    assert.equal(delta.tokens.output, 200000);
+    assert.deepEqual(delta.toolCalls, { Bash: 1 });
+    assert.ok(Math.abs(delta.cost - 3) < 1e-9, 'Only the usage the streamed line added should be priced');
+    assert.ok(Math.abs(delta.session.cost - 4.5) < 1e-9);
+  });
+});
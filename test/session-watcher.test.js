@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, line, transcriptDir, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('watcher');
+
+const { watchSessionFiles } = require('../src/server/session-watcher.js');
+
+const projectDir = transcriptDir(tmpHome, '/work/app');
+
+// Sonnet output at $15/M
+function assistant(outputTokens, extra = {}) {
+  return { type: 'assistant', timestamp: '2026-03-02T10:00:05Z', ...extra, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: outputTokens }, content: [] } };
+}
+
+writeTranscript(tmpHome, '/work/app', 's1', [
+  { type: 'user', timestamp: '2026-03-02T10:00:00Z', message: { content: 'go' } },
+  assistant(100000)
+]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('watchSessionFiles', () => {
+  it('reports subagent transcripts as part of their session', async () => {
+    const deltas = [];
+    const watcher = watchSessionFiles(delta => deltas.push(delta));
+    try {
+      // The session's directory appears, then its subagents folder, then a transcript in it
+      const subagentsDir = path.join(projectDir, 's1', 'subagents');
+      fs.mkdirSync(path.dirname(subagentsDir));
+      await sleep(200);
+      fs.mkdirSync(subagentsDir);
+      await sleep(200);
+      const agentFile = path.join(subagentsDir, 'agent-a1.jsonl');
+      fs.writeFileSync(agentFile, line({ type: 'user', sessionId: 's1', agentId: 'a1', isSidechain: true, timestamp: '2026-03-02T10:00:06Z', message: { content: 'Look around' } }));
+      for (let i = 0; i < 50 && deltas.length === 0; i++) {
+        if (i % 10 === 0) fs.appendFileSync(agentFile, line(assistant(200000, { sessionId: 's1', agentId: 'a1', isSidechain: true })));
+        await sleep(100);
+      }
+    } finally {
+      watcher.close();
+    }
+
+    assert.ok(deltas.length > 0, 'The agent transcript should produce a delta');
+    const delta = deltas[0];
+    assert.equal(delta.sessionId, 's1');
+    assert.equal(delta.prompts, 0);
+    assert.ok(Math.abs(delta.cost - 3) < 1e-9);
+    // $1.50 of the session's own plus the agent's $3
+    assert.ok(Math.abs(delta.session.cost - 4.5) < 1e-9);
+  });
+});
@@ -1,6 +1,6 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { parseStatsCache, getDateRange, getModelTokenTotals } = require('../src/data/stats-parser.js');
+const { parseStatsCache, getDateRange, getModelTokenTotals, mergeStatsCaches } = require('../src/data/stats-parser.js');
 
 describe('parseStatsCache', () => {
   it('returns null for null input', () => {
@@ -72,3 +72,50 @@ describe('getModelTokenTotals', () => {
     assert.deepEqual(getModelTokenTotals({}), {});
   });
 });
+
+describe('mergeStatsCaches', () => {
+  const laptop = {
+    version: 2,
+    lastComputedDate: '2026-02-10',
+    firstSessionDate: '2026-01-05T09:00:00Z',
+    dailyActivity: [{ date: '2026-02-01', messageCount: 10, sessionCount: 1, toolCallCount: 4 }],
+    dailyModelTokens: [{ date: '2026-02-01', tokensByModel: { 'claude-opus-4-6': 100 } }],
+    modelUsage: { 'claude-opus-4-6': { inputTokens: 5, outputTokens: 100, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 } },
+    totalSessions: 1,
+    totalMessages: 10,
+    longestSession: { sessionId: 'short', duration: 1000, messageCount: 10 },
+    hourCounts: { '9': 1 }
+  };
+  const devbox = {
+    version: 2,
+    lastComputedDate: '2026-02-08',
+    firstSessionDate: '2026-01-20T09:00:00Z',
+    dailyActivity: [
+      { date: '2026-02-01', messageCount: 6, sessionCount: 2, toolCallCount: 1 },
+      { date: '2026-02-02', messageCount: 3, sessionCount: 1, toolCallCount: 0 }
+    ],
+    dailyModelTokens: [{ date: '2026-02-01', tokensByModel: { 'claude-opus-4-6': 50, 'claude-sonnet-4-6': 20 } }],
+    modelUsage: { 'claude-opus-4-6': { inputTokens: 1, outputTokens: 50, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 } },
+    totalSessions: 3,
+    totalMessages: 9,
+    longestSession: { sessionId: 'long', duration: 5000, messageCount: 9 },
+    hourCounts: { '9': 2, '14': 1 }
+  };
+
+  it('sums activity, tokens and totals across roots by date', () => {
+    const merged = mergeStatsCaches([laptop, devbox]);
+    assert.equal(merged.totalSessions, 4);
+    assert.equal(merged.totalMessages, 19);
+    assert.deepEqual(merged.dailyActivity.map(d => [d.date, d.messageCount]), [['2026-02-01', 16], ['2026-02-02', 3]]);
+    assert.deepEqual(merged.dailyModelTokens[0].tokensByModel, { 'claude-opus-4-6': 150, 'claude-sonnet-4-6': 20 });
+    assert.equal(merged.modelUsage['claude-opus-4-6'].outputTokens, 150);
+    assert.deepEqual(merged.hourCounts, { '9': 3, '14': 1 });
+  });
+
+  it('keeps the stalest computed date and the overall first and longest session', () => {
+    const merged = mergeStatsCaches([laptop, devbox]);
+    assert.equal(merged.lastComputedDate, '2026-02-08');
+    assert.equal(merged.firstSessionDate, '2026-01-05T09:00:00Z');
+    assert.equal(merged.longestSession.sessionId, 'long');
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempHome, line, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('statusline');
+
+const { renderStatusline } = require('../src/terminal/statusline.js');
+const { getSessions } = require('../src/analysis/sessions.js');
+
+const now = Date.now();
+
+// Sonnet output at $15/M
+function writeSession(sessionId, outputTokens, timestamp) {
+  return writeTranscript(tmpHome, '/work/app', sessionId, [
+    { type: 'user', timestamp, message: { content: 'go' } },
+    { type: 'assistant', timestamp, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: outputTokens }, content: [] } }
+  ]);
+}
+
+describe('renderStatusline', () => {
+  it('prices the current transcript and takes other sessions from the cache', async () => {
+    writeSession('other', 1_000_000, new Date(now).toISOString());
+    const current = writeSession('current', 100_000, new Date(now).toISOString());
+    // Populates the persistent cache, as a dashboard run would
+    await getSessions();
+    // Grows after the cache was written; only a direct parse sees this
+    fs.appendFileSync(current, line({ type: 'assistant', timestamp: new Date(now).toISOString(), message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: 100_000 }, content: [] } }));
+
+    const text = await renderStatusline({ session_id: 'current', transcript_path: current, model: { display_name: 'Sonnet 4.6' } }, now);
+    const [model, session, today, block] = text.split(' · ');
+    assert.equal(model, 'Sonnet 4.6');
+    assert.equal(session, 'session $3.00');
+    assert.equal(today, 'today $18.00');
+    assert.match(block, /^block \$18\.00 \(\$[\d.]+\/h, \dh\d\dm left\)$/);
+  });
+
+  it('finds the transcript from the session id alone', async () => {
+    const text = await renderStatusline({ session_id: 'other' }, now);
+    assert.match(text, /^session \$15\.00 · today \$\d+\.\d+/);
+  });
+
+  it('still reports daily totals without any input', async () => {
+    const text = await renderStatusline({}, now);
+    assert.match(text, /^session \$0\.0+ · today /);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, line, transcriptDir } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('subagents');
+
+const { parseSessionFile, pairMessages } = require('../src/data/session-parser.js');
+const { collectSubagentRuns } = require('../src/data/subagents.js');
+const { listSessionFiles, listSubagentFiles } = require('../src/data/reader.js');
+const { getSessions } = require('../src/analysis/sessions.js');
+const { getSubagentCosts } = require('../src/analysis/subagents.js');
+const { getExpensivePrompts } = require('../src/analysis/expensive-prompts.js');
+
+const projectDir = transcriptDir(tmpHome, '/work/app');
+
+function write(file, entries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, entries.map(line).join(''));
+}
+
+// Sonnet output at $15/M
+function assistant(ts, outputTokens, content = [], extra = {}) {
+  return { type: 'assistant', timestamp: ts, ...extra, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 0, output_tokens: outputTokens }, content } };
+}
+
+function taskCall(id, subagentType, prompt) {
+  return { type: 'tool_use', id, name: 'Task', input: { subagent_type: subagentType, description: 'Look around', prompt } };
+}
+
+function taskResult(ts, id, extra = {}) {
+  return { type: 'user', timestamp: ts, ...extra, message: { content: [{ type: 'tool_result', tool_use_id: id, content: 'done' }] } };
+}
+
+describe('inline sidechains', () => {
+  it('keeps subagent messages out of the turns and links them to their Task call', async () => {
+    const file = path.join(tmpHome, 'inline.jsonl');
+    write(file, [
+      { type: 'user', sessionId: 'inline', timestamp: '2026-02-01T10:00:00Z', message: { content: 'Find the bug' } },
+      assistant('2026-02-01T10:00:01Z', 100, [taskCall('t1', 'Explore', 'Search for <b>the</b> bug')]),
+      { type: 'user', isSidechain: true, parentUuid: null, timestamp: '2026-02-01T10:00:02Z', message: { content: 'Search for the bug' } },
+      assistant('2026-02-01T10:00:03Z', 1000, [], { isSidechain: true }),
+      taskResult('2026-02-01T10:00:04Z', 't1'),
+      assistant('2026-02-01T10:00:05Z', 10)
+    ]);
+    const session = await parseSessionFile(file);
+    const runs = collectSubagentRuns(session);
+
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].source, 'inline');
+    assert.equal(runs[0].subagentType, 'Explore');
+    assert.equal(runs[0].turnIndex, 0);
+    assert.equal(runs[0].assistantMessages[0].usage.outputTokens, 1000);
+    assert.ok(pairMessages(session).every(pair => pair.responses.every(r => !r.sidechain)));
+  });
+});
+
+describe('agent transcripts', () => {
+  before(() => {
+    write(path.join(projectDir, 'main.jsonl'), [
+      { type: 'user', sessionId: 'main', cwd: '/work/app', timestamp: '2026-02-01T10:00:00Z', message: { content: 'Review the code' } },
+      assistant('2026-02-01T10:00:01Z', 100_000, [taskCall('t1', 'code-reviewer', 'Review src/'), taskCall('t2', 'Explore', 'List tests')]),
+      taskResult('2026-02-01T10:05:00Z', 't1', { toolUseResult: { agentId: 'a1', status: 'completed' } }),
+      taskResult('2026-02-01T10:05:01Z', 't2'),
+      { type: 'user', timestamp: '2026-02-01T10:06:00Z', message: { content: 'Thanks' } },
+      assistant('2026-02-01T10:06:01Z', 100_000)
+    ]);
+    // Newer layout, linked by agent id
+    write(path.join(projectDir, 'main', 'subagents', 'agent-a1.jsonl'), [
+      { type: 'user', sessionId: 'main', agentId: 'a1', isSidechain: true, timestamp: '2026-02-01T10:00:02Z', message: { content: 'Review src/' } },
+      assistant('2026-02-01T10:04:00Z', 1_000_000, [], { isSidechain: true, agentId: 'a1' })
+    ]);
+    // Older layout beside the session, linked by its prompt
+    write(path.join(projectDir, 'agent-b2.jsonl'), [
+      { type: 'user', sessionId: 'main', agentId: 'b2', isSidechain: true, timestamp: '2026-02-01T10:00:02Z', message: { content: 'List tests' } },
+      assistant('2026-02-01T10:01:00Z', 200_000, [], { isSidechain: true, agentId: 'b2' })
+    ]);
+  });
+
+  it('lists agent files under their session instead of as sessions', async () => {
+    assert.deepEqual((await listSessionFiles(projectDir)).map(f => path.basename(f)), ['main.jsonl']);
+    const agents = await listSubagentFiles(projectDir);
+    assert.deepEqual(Object.keys(agents), ['main']);
+    assert.deepEqual(agents.main.map(f => path.basename(f)).sort(), ['agent-a1.jsonl', 'agent-b2.jsonl']);
+  });
+
+  it('adds subagent spend to the session total', async () => {
+    const [session] = await getSessions();
+    assert.ok(Math.abs(session.cost - 21) < 1e-9, `expected $21, got ${session.cost}`);
+    assert.ok(Math.abs(session.subagentCost - 18) < 1e-9);
+    assert.deepEqual(session.subagents.map(r => r.subagentType).sort(), ['Explore', 'code-reviewer']);
+  });
+
+  it('reports cost per subagent type and per parent turn', async () => {
+    const data = await getSubagentCosts();
+    assert.equal(data.runs, 2);
+    assert.equal(data.unlinkedRuns, 0);
+    assert.deepEqual(data.types.map(t => [t.subagentType, Math.round(t.cost * 100) / 100]), [['code-reviewer', 15], ['Explore', 3]]);
+    assert.equal(data.topTurns.length, 1);
+    assert.equal(data.topTurns[0].prompt, 'Review the code');
+    assert.ok(Math.abs(data.topTurns[0].ownCost - 1.5) < 1e-9);
+    assert.ok(Math.abs(data.topTurns[0].totalCost - 19.5) < 1e-9);
+  });
+
+  it('charges delegated work to the prompt that started it', async () => {
+    const [top] = await getExpensivePrompts();
+    assert.equal(top.prompt, 'Review the code');
+    assert.ok(Math.abs(top.cost - 19.5) < 1e-9);
+    assert.ok(Math.abs(top.subagentCost - 18) < 1e-9);
+    assert.match(top.reasons.join('\n'), /Delegated to 2 subagents/);
+  });
+});
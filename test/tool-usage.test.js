@@ -87,3 +87,22 @@ describe('getToolUsage', () => {
     }
   });
 });
+
+describe('getToolOutcomes', () => {
+  const { getToolOutcomes } = require('../src/analysis/tool-usage.js');
+
+  it('returns per-tool rates consistent with the counts', async () => {
+    const data = await getToolOutcomes(null);
+    assert.ok(Array.isArray(data.tools));
+    assert.ok(Array.isArray(data.largestResults));
+    assert.ok(data.helpText, 'Should include helpText');
+
+    for (const t of data.tools) {
+      assert.ok(t.withResult <= t.calls, 'Results cannot outnumber calls');
+      assert.ok(t.failures + t.rejections <= t.withResult);
+      if (t.withResult > 0) {
+        assert.equal(t.failureRate, Math.round((t.failures / t.withResult) * 1000) / 10);
+      }
+    }
+  });
+});
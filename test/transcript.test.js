@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('transcript');
+
+const { getTranscript } = require('../src/analysis/transcript.js');
+
+const secret = 'ghp_' + 'x'.repeat(36);
+
+function assistant(ts, id, content) {
+  return { type: 'assistant', timestamp: ts, message: { id, model: 'claude-sonnet-4-6', usage: { input_tokens: 1, output_tokens: 1 }, content } };
+}
+
+writeTranscript(tmpHome, '/work/app', 'chat', [
+  { type: 'user', timestamp: '2026-02-01T10:00:00Z', message: { content: `Push with ${secret}` } },
+  assistant('2026-02-01T10:00:01Z', 'msg_1', [{ type: 'thinking', thinking: 'The user wants a push' }]),
+  assistant('2026-02-01T10:00:01Z', 'msg_1', [{ type: 'tool_use', id: 'tu_1', name: 'Bash', input: { command: `git push https://${secret}@github.com/o/r` } }]),
+  { type: 'user', timestamp: '2026-02-01T10:00:02Z', message: { content: [{ type: 'tool_result', tool_use_id: 'tu_1', is_error: true, content: 'rejected' }] } },
+  { type: 'user', isMeta: true, timestamp: '2026-02-01T10:00:02Z', message: { content: 'Caveat' } },
+  assistant('2026-02-01T10:00:03Z', 'msg_2', [{ type: 'text', text: 'The push was rejected.' }]),
+  { type: 'system', subtype: 'compact_boundary', timestamp: '2026-02-01T10:01:00Z', compactMetadata: { trigger: 'manual', preTokens: 1000 } },
+  { type: 'user', isCompactSummary: true, timestamp: '2026-02-01T10:01:00Z', message: { content: 'Summary of the push' } }
+]);
+
+describe('getTranscript', () => {
+  it('returns null for an unknown session', async () => {
+    assert.equal(await getTranscript('missing'), null);
+  });
+
+  it('renders the conversation with streamed lines joined and turns numbered', async () => {
+    const data = await getTranscript('chat');
+    assert.deepEqual(data.entries.map(e => [e.role, e.turnIndex]), [
+      ['user', 0], ['assistant', null], ['user', null], ['assistant', null], ['system', null], ['user', null]
+    ]);
+
+    const [, response, result, , compaction, summary] = data.entries;
+    assert.deepEqual(response.blocks.map(b => b.type), ['thinking', 'tool_use']);
+    assert.equal(response.blocks[1].name, 'Bash');
+    assert.equal(result.blocks[0].isError, true);
+    assert.equal(compaction.blocks[0].text, 'Conversation compacted (manual)');
+    assert.equal(summary.compactSummary, true);
+  });
+
+  it('masks secrets in prompts and tool input', async () => {
+    const data = await getTranscript('chat');
+    assert.equal(data.redactions, 2);
+    assert.ok(!JSON.stringify(data.entries).includes(secret));
+    assert.equal(data.entries[0].blocks[0].text, 'Push with [redacted GitHub Token (ghp_)]');
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempHome, writeTranscript } = require('./helpers/fixture.js');
+
+const tmpHome = useTempHome('blocks');
+
+const { getUsageBlocks, buildBlocks, projectBlock } = require('../src/analysis/usage-blocks.js');
+
+const HOUR = 60 * 60 * 1000;
+
+function hour(iso, tokens, cost = 0) {
+  return { time: Date.parse(iso), tokens, cost, models: { 'claude-sonnet-4-6': cost }, sessions: new Set(['s']) };
+}
+
+describe('buildBlocks', () => {
+  it('opens a block at the first active hour and closes it five hours later', () => {
+    const blocks = buildBlocks([
+      hour('2026-02-01T09:00:00Z', 100),
+      hour('2026-02-01T13:00:00Z', 50),
+      // 14:00 is past the 09:00 block, so a new one opens
+      hour('2026-02-01T14:00:00Z', 10),
+      hour('2026-02-02T08:00:00Z', 5)
+    ], Date.parse('2026-02-02T09:30:00Z'));
+
+    assert.deepEqual(blocks.map(b => [b.start.slice(0, 13), b.end.slice(0, 13), b.tokens]), [
+      ['2026-02-01T09', '2026-02-01T14', 150],
+      ['2026-02-01T14', '2026-02-01T19', 10],
+      ['2026-02-02T08', '2026-02-02T13', 5]
+    ]);
+    assert.deepEqual(blocks.map(b => b.active), [false, false, true]);
+    assert.equal(blocks[0].activeHours, 2);
+  });
+});
+
+describe('projectBlock', () => {
+  const block = { start: '2026-02-01T10:00:00.000Z', end: '2026-02-01T15:00:00.000Z', tokens: 60_000, cost: 6 };
+  const now = Date.parse('2026-02-01T11:00:00Z');
+
+  it('projects usage to the end of the block from the burn rate so far', () => {
+    const p = projectBlock(block, null, now);
+    assert.equal(p.tokensPerMinute, 1000);
+    assert.equal(p.costPerHour, 6);
+    assert.equal(p.remainingMinutes, 240);
+    assert.equal(p.projectedTokens, 300_000);
+    assert.equal(p.limitAt, null);
+  });
+
+  it('reports when the limit will be hit at that rate', () => {
+    const p = projectBlock(block, 120_000, now);
+    assert.equal(p.limitPercent, 50);
+    assert.equal(p.limitAt, '2026-02-01T12:00:00.000Z');
+  });
+
+  it('leaves limitAt empty when the block resets first', () => {
+    assert.equal(projectBlock(block, 1_000_000, now).limitAt, null);
+  });
+});
+
+describe('getUsageBlocks', () => {
+  it('tracks the current block against the busiest finished one', async () => {
+    const now = Date.now();
+    const earlier = new Date(now - 24 * HOUR).toISOString();
+    const recent = new Date(now - 60 * 1000).toISOString();
+    writeTranscript(tmpHome, '/work/app', 's', [
+      { type: 'user', timestamp: earlier, message: { content: 'go' } },
+      { type: 'assistant', timestamp: earlier, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 1000, output_tokens: 3000 }, content: [] } },
+      { type: 'assistant', timestamp: recent, message: { model: 'claude-sonnet-4-6', usage: { input_tokens: 500, output_tokens: 500 }, content: [] } }
+    ]);
+
+    const data = await getUsageBlocks();
+    assert.equal(data.blocks.length, 2);
+    assert.deepEqual(data.limit, { tokens: 4000, source: 'history' });
+    assert.equal(data.current.tokens, 1000);
+    assert.equal(data.current.limitPercent, 25);
+  });
+});